@@ -0,0 +1,59 @@
+// components/AttributedContent.jsx
+import { attributeParagraphs } from "../utils/editTracking";
+import Markdown from "./Markdown";
+
+function editorLabel(entry) {
+  return entry.name || entry.email || "Unknown";
+}
+
+function sameEditor(a, b) {
+  if (!a || !b) return false;
+  return String(a.editedBy || a.email || a.name) === String(b.editedBy || b.email || b.name);
+}
+
+// Note text with a gutter showing who last wrote each paragraph (from Note.attribution).
+// The annotation is shown where the author changes, so runs by one person get a single label.
+export default function AttributedContent({ content, attribution, emptyText = "Empty note" }) {
+  const paragraphs = attributeParagraphs(content, attribution);
+
+  if (paragraphs.length === 0) {
+    return <span className="text-gray-400 italic">{emptyText}</span>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {paragraphs.map((paragraph, idx) => {
+        const entry = paragraph.attribution;
+        const showLabel = entry && !sameEditor(entry, paragraphs[idx - 1]?.attribution);
+        return (
+          <div key={idx} className="flex gap-3">
+            <div className="w-32 shrink-0 text-right pt-0.5">
+              {showLabel && (
+                <span
+                  className="block text-xs text-gray-500 dark:text-gray-400 truncate"
+                  title={`${editorLabel(entry)}${entry.email && entry.name ? ` (${entry.email})` : ""}${
+                    entry.editedAt ? ` - ${new Date(entry.editedAt).toLocaleString()}` : ""
+                  }`}
+                >
+                  {editorLabel(entry)}
+                  {entry.editedAt && (
+                    <span className="block text-[10px] text-gray-400">
+                      {new Date(entry.editedAt).toLocaleDateString()}
+                    </span>
+                  )}
+                </span>
+              )}
+            </div>
+            <div
+              className={`flex-1 min-w-0 pl-3 border-l-2 text-gray-700 dark:text-gray-300 ${
+                entry ? "border-blue-200 dark:border-blue-800" : "border-gray-200 dark:border-gray-700"
+              }`}
+            >
+              <Markdown text={paragraph.text} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
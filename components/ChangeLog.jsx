@@ -0,0 +1,100 @@
+// components/ChangeLog.jsx
+import { useState } from "react";
+
+const MAX_SHOWN = 20;
+
+function editorKey(entry) {
+  return String(entry.editedBy || entry.email || entry.name || "unknown");
+}
+
+function editorLabel(entry) {
+  return entry.name || entry.email || "Unknown";
+}
+
+// One word-level change with its surrounding text: removed words struck out, added words highlighted
+function ChangeSnippet({ change }) {
+  return (
+    <div className="px-3 py-1.5 rounded bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 whitespace-pre-wrap break-words">
+      {change.before && <span className="text-gray-400">…{change.before}</span>}
+      {change.removed && (
+        <del className="bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300">{change.removed}</del>
+      )}
+      {change.removed && change.added && " "}
+      {change.added && (
+        <ins className="no-underline bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300">{change.added}</ins>
+      )}
+      {change.after && <span className="text-gray-400">{change.after}…</span>}
+    </div>
+  );
+}
+
+// Note.editLog, newest first. Entries expand to show exactly which words changed,
+// and the list can be narrowed to one collaborator.
+export default function ChangeLog({ entries }) {
+  const [editor, setEditor] = useState("all");
+  const [expanded, setExpanded] = useState(null);
+
+  const editors = new Map();
+  entries.forEach((entry) => editors.set(editorKey(entry), editorLabel(entry)));
+
+  const shown = entries
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => editor === "all" || editorKey(entry) === editor)
+    .slice(-MAX_SHOWN)
+    .reverse();
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 flex items-center space-x-2">
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+          </svg>
+          <span>Change Log</span>
+        </h3>
+        {editors.size > 1 && (
+          <select
+            value={editor}
+            onChange={(e) => setEditor(e.target.value)}
+            className="text-xs border border-gray-300 dark:border-gray-600 rounded-lg px-2 py-1 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300"
+          >
+            <option value="all">Everyone</option>
+            {Array.from(editors.entries()).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      <ul className="bg-gray-50 dark:bg-gray-900/40 rounded-lg p-4 text-sm text-gray-600 dark:text-gray-400 space-y-2 max-h-96 overflow-y-auto">
+        {shown.map(({ entry, index }) => {
+          const hasChanges = entry.changes?.length > 0;
+          const isOpen = expanded === index;
+          return (
+            <li key={index}>
+              <button
+                type="button"
+                onClick={() => setExpanded(isOpen ? null : index)}
+                disabled={!hasChanges}
+                className="text-left w-full disabled:cursor-default"
+              >
+                <span className="font-mono text-xs text-gray-400">
+                  {entry.editedAt ? new Date(entry.editedAt).toLocaleString() : "Unknown time"}
+                </span>{" "}
+                <span className="font-medium text-gray-700 dark:text-gray-300">{editorLabel(entry)}</span>{" "}
+                {entry.summary}
+                {hasChanges && <span className="ml-1 text-xs text-blue-600 dark:text-blue-400">{isOpen ? "Hide" : "Show"}</span>}
+              </button>
+              {isOpen && (
+                <div className="mt-2 space-y-1 text-xs">
+                  {entry.changes.map((change, idx) => (
+                    <ChangeSnippet key={idx} change={change} />
+                  ))}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+// components/Checklist.jsx
+import { useState } from "react";
+import { getChecklistProgress } from "../utils/checklist";
+
+// Renders checklist items. Every handler is optional - without them the list is read-only.
+export default function Checklist({
+  items = [],
+  onToggle,
+  onDelete,
+  onMove,
+  onAdd,
+  disabled = false,
+  maxVisible,
+  compact = false,
+}) {
+  const [newItemText, setNewItemText] = useState("");
+  const { done, total } = getChecklistProgress(items);
+  const visibleItems = maxVisible ? items.slice(0, maxVisible) : items;
+  const hiddenCount = items.length - visibleItems.length;
+
+  async function handleAdd() {
+    const text = newItemText.trim();
+    if (!text || !onAdd) return;
+    const added = await onAdd(text);
+    if (added !== false) setNewItemText("");
+  }
+
+  return (
+    <div>
+      {total > 0 && (
+        <div className="text-xs font-medium text-gray-500 dark:text-gray-400 mb-1.5">
+          {done}/{total} done
+        </div>
+      )}
+
+      <ul className={compact ? "space-y-1" : "space-y-2"}>
+        {visibleItems.map((item, index) => (
+          <li
+            key={item._id || index}
+            className="group/item flex items-start gap-2"
+          >
+            <input
+              type="checkbox"
+              checked={Boolean(item.checked)}
+              disabled={disabled || !onToggle}
+              onChange={() => onToggle && onToggle(item)}
+              className="mt-1 h-4 w-4 flex-shrink-0 rounded border-gray-300 text-blue-600 focus:ring-blue-500 disabled:cursor-default"
+              aria-label={item.checked ? `Uncheck ${item.text}` : `Check ${item.text}`}
+            />
+            <span
+              className={`flex-1 min-w-0 break-words ${compact ? "text-sm" : ""} ${
+                item.checked
+                  ? "line-through text-gray-400 dark:text-gray-500"
+                  : "text-gray-700 dark:text-gray-300"
+              }`}
+            >
+              {item.text}
+            </span>
+            {!disabled && (onMove || onDelete) && (
+              <span className="flex items-center gap-0.5 opacity-100 lg:opacity-0 lg:group-hover/item:opacity-100 transition-opacity">
+                {onMove && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => onMove(index, -1)}
+                      disabled={index === 0}
+                      className="p-1 text-gray-500 hover:text-gray-900 dark:hover:text-gray-100 disabled:opacity-30"
+                      title="Move up"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onMove(index, 1)}
+                      disabled={index === items.length - 1}
+                      className="p-1 text-gray-500 hover:text-gray-900 dark:hover:text-gray-100 disabled:opacity-30"
+                      title="Move down"
+                    >
+                      ↓
+                    </button>
+                  </>
+                )}
+                {onDelete && (
+                  <button
+                    type="button"
+                    onClick={() => onDelete(item, index)}
+                    className="p-1 text-gray-500 hover:text-red-600 dark:hover:text-red-400"
+                    title="Remove item"
+                  >
+                    ✕
+                  </button>
+                )}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {hiddenCount > 0 && (
+        <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+          +{hiddenCount} more item{hiddenCount === 1 ? "" : "s"}
+        </div>
+      )}
+
+      {total === 0 && !onAdd && (
+        <span className="text-sm text-gray-400 italic">Empty checklist</span>
+      )}
+
+      {onAdd && !disabled && (
+        <div className="flex items-center gap-2 mt-3">
+          <input
+            value={newItemText}
+            onChange={(e) => setNewItemText(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                e.preventDefault();
+                handleAdd();
+              }
+            }}
+            placeholder="Add item..."
+            maxLength={1000}
+            className="input-field flex-1"
+          />
+          <button
+            type="button"
+            onClick={handleAdd}
+            disabled={!newItemText.trim()}
+            className="px-3 py-2 text-sm font-medium text-blue-700 dark:text-blue-300 bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-700 rounded-lg hover:bg-blue-100 dark:hover:bg-blue-900/50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            + Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
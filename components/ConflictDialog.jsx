@@ -0,0 +1,138 @@
+// components/ConflictDialog.jsx
+import { useState } from "react";
+import { diffLines } from "../utils/diff";
+import { hasConflictMarkers } from "../utils/editTracking";
+
+// Shown when a save comes back 409: someone else saved the note first.
+// The user picks the saved version, or edits a merged version and saves that.
+// `merge` is the server's three-way merge, with conflict markers where both sides changed the same lines.
+export default function ConflictDialog({ mine, theirs, theirsLabel, merge, contentEditable = true, onResolve, onDiscard, onCancel }) {
+  const [merged, setMerged] = useState({
+    title: (merge && merge.title !== undefined ? merge.title : mine.title) || "",
+    content: (merge && merge.content !== undefined ? merge.content : mine.content) || "",
+  });
+  const [saving, setSaving] = useState(false);
+
+  const titleChanged = (mine.title || "") !== (theirs.title || "");
+  const diff = diffLines(theirs.content || "", mine.content || "");
+  const contentChanged = diff.some((line) => line.type !== "equal");
+
+  async function handleSave() {
+    setSaving(true);
+    try {
+      await onResolve(merged);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-2xl font-bold text-gray-900 dark:text-gray-100">This note changed while you were editing</h2>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            {theirsLabel || "Someone else saved a newer version."} Review the differences, then save a merged version or use theirs.
+          </p>
+        </div>
+
+        <div className="px-6 py-4 overflow-y-auto space-y-4">
+          {titleChanged && (
+            <div className="text-sm">
+              <span className="text-gray-500">Title: </span>
+              <span className="text-red-700 dark:text-red-300">{theirs.title || "Untitled"}</span>
+              {" (saved) → "}
+              <span className="text-green-700 dark:text-green-300">{mine.title || "Untitled"}</span>
+              {" (yours)"}
+            </div>
+          )}
+
+          {contentChanged ? (
+            <div>
+              <div className="text-xs text-gray-500 mb-1">
+                <span className="text-red-700 dark:text-red-300">- only in the saved version</span>
+                {" · "}
+                <span className="text-green-700 dark:text-green-300">+ only in yours</span>
+              </div>
+              <pre className="max-h-60 overflow-auto rounded-lg border border-gray-200 dark:border-gray-700 text-sm font-mono leading-relaxed">
+                {diff.map((line, idx) => (
+                  <div
+                    key={idx}
+                    className={`px-3 whitespace-pre-wrap break-words ${
+                      line.type === "add"
+                        ? "bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-300"
+                        : line.type === "remove"
+                          ? "bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300"
+                          : "text-gray-700 dark:text-gray-300"
+                    }`}
+                  >
+                    {line.type === "add" ? "+ " : line.type === "remove" ? "- " : "  "}
+                    {line.text}
+                  </div>
+                ))}
+              </pre>
+            </div>
+          ) : (
+            !titleChanged && (
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                The text is the same in both versions - only other details changed.
+              </p>
+            )
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Merged version</label>
+            {merge && merge.conflicts > 0 && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                Changes to different lines were combined. {merge.conflicts === 1 ? "One place" : `${merge.conflicts} places`} where
+                both versions changed the same lines {merge.conflicts === 1 ? "is" : "are"} marked with &lt;&lt;&lt;&lt;&lt;&lt;&lt; and &gt;&gt;&gt;&gt;&gt;&gt;&gt; - keep the lines you want and remove the markers.
+              </p>
+            )}
+            <input
+              value={merged.title}
+              onChange={(e) => setMerged((prev) => ({ ...prev, title: e.target.value }))}
+              placeholder="Title"
+              className="input-field mb-2"
+            />
+            {contentEditable && (
+              <textarea
+                value={merged.content}
+                onChange={(e) => setMerged((prev) => ({ ...prev, content: e.target.value }))}
+                rows={8}
+                className="input-field resize-y font-mono text-sm"
+              />
+            )}
+            {contentEditable && hasConflictMarkers(merged.content) && (
+              <p className="mt-1 text-xs text-amber-600 dark:text-amber-400">The merged text still has conflict markers.</p>
+            )}
+          </div>
+        </div>
+
+        <div className="px-6 py-4 border-t border-gray-200 dark:border-gray-700 flex flex-wrap items-center justify-end gap-3">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg font-medium transition-colors"
+          >
+            Keep editing
+          </button>
+          <button
+            type="button"
+            onClick={onDiscard}
+            className="px-4 py-2 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 border border-red-200 dark:border-red-800 rounded-lg font-medium transition-colors"
+          >
+            Use saved version
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="btn-primary disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save merged version"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+// components/InfiniteScrollTrigger.jsx
+import { useEffect, useRef } from "react";
+
+// Invisible marker placed after a list; calls onLoadMore when it scrolls into view
+export default function InfiniteScrollTrigger({ onLoadMore, hasMore, loading }) {
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!node || !hasMore || loading) return;
+    if (typeof window === "undefined" || !("IntersectionObserver" in window)) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) onLoadMore();
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(node);
+
+    return () => observer.disconnect();
+  }, [onLoadMore, hasMore, loading]);
+
+  if (!hasMore) return null;
+
+  return (
+    <div ref={sentinelRef} className="flex items-center justify-center py-6">
+      {loading ? (
+        <svg className="animate-spin h-6 w-6 text-blue-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+        </svg>
+      ) : (
+        <button
+          type="button"
+          onClick={onLoadMore}
+          className="text-sm text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+        >
+          Load more notes
+        </button>
+      )}
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import Link from 'next/link';
 import { useRouter } from 'next/router';
 import { useState } from 'react';
 import { useAuth, useTheme } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
 
 export default function Layout({ children }) {
   const { token } = useAuth();
@@ -31,6 +32,13 @@ export default function Layout({ children }) {
                 </span>
               </Link>
 
+              {/* Notifications - one bell for both layouts, pushed next to the navigation */}
+              {token && (
+                <div className="ml-auto mr-1 md:mr-3">
+                  <NotificationBell token={token} />
+                </div>
+              )}
+
               {/* Desktop Navigation */}
               <nav className="hidden md:flex items-center space-x-3 lg:space-x-4">
                 {token && (
@@ -51,12 +59,32 @@ export default function Layout({ children }) {
                   </button>
                 )}
                 {token ? (
-                  <Link
-                    href="/"
-                    className="px-3 lg:px-4 py-2 text-gray-700 dark:text-gray-200 font-medium rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
-                  >
-                    Notes
-                  </Link>
+                  <>
+                    <Link
+                      href="/"
+                      className="px-3 lg:px-4 py-2 text-gray-700 dark:text-gray-200 font-medium rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+                    >
+                      Notes
+                    </Link>
+                    <Link
+                      href="/archive"
+                      className="px-3 lg:px-4 py-2 text-gray-700 dark:text-gray-200 font-medium rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+                    >
+                      Archive
+                    </Link>
+                    <Link
+                      href="/trash"
+                      className="px-3 lg:px-4 py-2 text-gray-700 dark:text-gray-200 font-medium rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+                    >
+                      Trash
+                    </Link>
+                    <Link
+                      href="/settings"
+                      className="px-3 lg:px-4 py-2 text-gray-700 dark:text-gray-200 font-medium rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+                    >
+                      Settings
+                    </Link>
+                  </>
                 ) : (
                   <>
                     <Link
@@ -117,13 +145,36 @@ export default function Layout({ children }) {
               <div className="md:hidden mt-3 pt-3 border-t border-gray-200 dark:border-gray-700">
                 <nav className="flex flex-col space-y-2">
                   {token ? (
-                    <Link
-                      href="/"
-                      onClick={() => setMobileMenuOpen(false)}
-                      className="px-4 py-2.5 text-gray-700 dark:text-gray-200 font-medium rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors text-center"
-                    >
-                      Notes
-                    </Link>
+                    <>
+                      <Link
+                        href="/"
+                        onClick={() => setMobileMenuOpen(false)}
+                        className="px-4 py-2.5 text-gray-700 dark:text-gray-200 font-medium rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors text-center"
+                      >
+                        Notes
+                      </Link>
+                      <Link
+                        href="/archive"
+                        onClick={() => setMobileMenuOpen(false)}
+                        className="px-4 py-2.5 text-gray-700 dark:text-gray-200 font-medium rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors text-center"
+                      >
+                        Archive
+                      </Link>
+                      <Link
+                        href="/trash"
+                        onClick={() => setMobileMenuOpen(false)}
+                        className="px-4 py-2.5 text-gray-700 dark:text-gray-200 font-medium rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors text-center"
+                      >
+                        Trash
+                      </Link>
+                      <Link
+                        href="/settings"
+                        onClick={() => setMobileMenuOpen(false)}
+                        className="px-4 py-2.5 text-gray-700 dark:text-gray-200 font-medium rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors text-center"
+                      >
+                        Settings
+                      </Link>
+                    </>
                   ) : (
                     <>
                       <Link
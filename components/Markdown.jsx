@@ -0,0 +1,13 @@
+// components/Markdown.jsx
+import { renderMarkdown } from "../utils/markdown";
+
+// Note content rendered as Markdown. renderMarkdown escapes everything it doesn't
+// build itself, so its output is safe to inject.
+export default function Markdown({ text, className = "" }) {
+  return (
+    <div
+      className={`markdown ${className}`}
+      dangerouslySetInnerHTML={{ __html: renderMarkdown(text) }}
+    />
+  );
+}
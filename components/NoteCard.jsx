@@ -1,7 +1,13 @@
 // components/NoteCard.jsx
+import { useState } from "react";
 import Link from "next/link";
 import { useAuth } from "../context/AuthContext";
 import { getColorClasses } from "./ColorPicker";
+import Checklist from "./Checklist";
+import Markdown from "./Markdown";
+import { describeRecurrence } from "../utils/recurrence";
+import { ROLE_LABELS } from "../utils/collaborators";
+import { SNOOZE_OPTIONS } from "../utils/snooze";
 
 export default function NoteCard({
   note,
@@ -9,13 +15,21 @@ export default function NoteCard({
   onDelete,
   onToggleComplete,
   onTogglePin,
+  onToggleArchive,
+  onToggleItem,
+  onSnooze,
   isNew = false,
 }) {
   const { user } = useAuth();
+  const [snoozeOpen, setSnoozeOpen] = useState(false);
   const isOwner = note.isOwner;
   const isShared = !isOwner;
+  // Viewers and commenters get a read-only card (older API responses have no canEdit flag)
+  const canEdit = note.canEdit !== false;
   const isCompleted = note.completed;
   const isPinned = note.pinned || false;
+  const isArchived = note.archived || false;
+  const isChecklist = note.type === "checklist";
 
   // Get color classes for this note - use green for new notes
   const colorData = isNew 
@@ -126,6 +140,24 @@ export default function NoteCard({
                 <span>Pinned</span>
               </div>
             )}
+            {isArchived && (
+              <div className="flex items-center space-x-1.5 px-2.5 py-1 bg-gray-100 dark:bg-gray-700/50 text-gray-700 dark:text-gray-300 rounded-full border border-gray-300 dark:border-gray-600 text-xs font-medium">
+                <svg
+                  className="w-3.5 h-3.5"
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4"
+                  />
+                </svg>
+                <span>Archived</span>
+              </div>
+            )}
             {isShared && (
               <div className="flex items-center space-x-1.5 px-2.5 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-800 dark:text-purple-300 rounded-full border border-purple-300 dark:border-purple-700 text-xs font-medium">
                 <svg
@@ -153,19 +185,30 @@ export default function NoteCard({
 
           {note.title && (
             <div 
-              onClick={() => !isCompleted && onEdit(note)} 
-              className={isCompleted ? "" : "cursor-pointer"}
+              onClick={() => !isCompleted && canEdit && onEdit(note)} 
+              className={isCompleted || !canEdit ? "" : "cursor-pointer"}
             >
               <h3 className={`font-semibold text-lg text-gray-900 dark:text-gray-100 mb-2 line-clamp-2 transition-colors ${
                 isCompleted 
                   ? "line-through opacity-60" 
-                  : "hover:text-blue-600 dark:hover:text-blue-400"
+                  : canEdit ? "hover:text-blue-600 dark:hover:text-blue-400" : ""
               }`}>
                 {note.title}
               </h3>
             </div>
           )}
 
+          {isChecklist ? (
+            <div className={`mt-2 ${isCompleted ? "opacity-60" : ""}`}>
+              <Checklist
+                items={note.items || []}
+                onToggle={onToggleItem && canEdit ? (item) => onToggleItem(note, item) : undefined}
+                disabled={isCompleted || !canEdit}
+                maxVisible={8}
+                compact
+              />
+            </div>
+          ) : (
           <div className="mt-2 space-y-3">
             <div className="border-l-4 border-yellow-400 pl-3 py-2 bg-yellow-50 dark:bg-yellow-900/10 rounded-r">
               <div className="flex items-center space-x-1.5 mb-1">
@@ -191,12 +234,14 @@ export default function NoteCard({
                   </span>
                 )}
               </div>
-              <div className={`text-sm whitespace-pre-wrap ${
+              <div className={`text-sm break-words ${
                 isCompleted 
                   ? "text-gray-500 dark:text-gray-500 line-through opacity-60" 
                   : "text-gray-700 dark:text-gray-300"
               }`}>
-                {originalContent || (
+                {originalContent ? (
+                  <Markdown text={originalContent} />
+                ) : (
                   <span className="text-gray-400 italic">Empty note</span>
                 )}
               </div>
@@ -227,12 +272,14 @@ export default function NoteCard({
                     </span>
                   )}
                 </div>
-                <div className={`text-sm whitespace-pre-wrap ${
+                <div className={`text-sm break-words ${
                   isCompleted 
                     ? "text-gray-500 dark:text-gray-500 line-through opacity-60" 
                     : "text-gray-700 dark:text-gray-300"
                 }`}>
-                  {currentContent || (
+                  {currentContent ? (
+                    <Markdown text={currentContent} />
+                  ) : (
                     <span className="text-gray-400 italic">Empty note</span>
                   )}
                 </div>
@@ -243,6 +290,7 @@ export default function NoteCard({
               </div>
             )}
           </div>
+          )}
 
           <div className="mt-3 sm:mt-4 flex flex-wrap items-center gap-2 sm:gap-3 text-xs">
             {note.reminderAt && (
@@ -263,6 +311,40 @@ export default function NoteCard({
                 <span className="font-medium">
                   {new Date(note.reminderAt).toLocaleString()}
                 </span>
+                {note.recurrence?.rule && (
+                  <span title={note.recurrence.rule}>
+                    · ↻ {describeRecurrence(note.recurrence.rule) || "Repeats"}
+                  </span>
+                )}
+                {onSnooze && canEdit && !isCompleted && !isArchived && (
+                  <span className="relative">
+                    <button
+                      type="button"
+                      onClick={() => setSnoozeOpen((open) => !open)}
+                      className="ml-1 underline hover:text-blue-900 dark:hover:text-blue-100"
+                      title="Snooze reminder"
+                    >
+                      Snooze
+                    </button>
+                    {snoozeOpen && (
+                      <div className="absolute left-0 top-full mt-1 z-20 min-w-[10rem] py-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+                        {SNOOZE_OPTIONS.map((option) => (
+                          <button
+                            key={option.id}
+                            type="button"
+                            onClick={() => {
+                              setSnoozeOpen(false);
+                              onSnooze(note, option.id);
+                            }}
+                            className="block w-full text-left px-3 py-1.5 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </span>
+                )}
               </div>
             )}
             {note.collaborators && note.collaborators.length > 0 && (
@@ -290,6 +372,36 @@ export default function NoteCard({
                 ))}
               </div>
             )}
+            {note.labels && note.labels.length > 0 && (
+              <div className="flex flex-wrap items-center gap-1.5">
+                {note.labels
+                  .filter((label) => label && label.name)
+                  .map((label) => {
+                    const labelColor = getColorClasses(label.color || "default");
+                    return (
+                      <div
+                        key={label._id}
+                        className={`flex items-center space-x-1.5 px-2.5 py-1 ${labelColor.bg} text-gray-700 dark:text-gray-200 rounded-full border ${labelColor.border}`}
+                      >
+                        <svg
+                          className="w-3.5 h-3.5"
+                          fill="none"
+                          stroke="currentColor"
+                          viewBox="0 0 24 24"
+                        >
+                          <path
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth={2}
+                            d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z"
+                          />
+                        </svg>
+                        <span className="font-medium text-xs">{label.name}</span>
+                      </div>
+                    );
+                  })}
+              </div>
+            )}
             {isShared && !isOwner && (
               <div className="flex items-center space-x-1.5 px-2.5 py-1 bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded-full border border-green-200 dark:border-green-700">
                 <svg
@@ -305,7 +417,7 @@ export default function NoteCard({
                     d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"
                   />
                 </svg>
-                <span className="font-medium">Can edit</span>
+                <span className="font-medium">{ROLE_LABELS[note.role] || ROLE_LABELS.editor}</span>
               </div>
             )}
           </div>
@@ -314,78 +426,116 @@ export default function NoteCard({
         {/* Action Buttons */}
         <div className="flex-shrink-0 flex flex-col items-end space-y-1.5 sm:space-y-2 opacity-100 lg:opacity-0 lg:group-hover:opacity-100 transition-opacity">
           {/* Pin Button */}
-          <button
-            onClick={() => onTogglePin(note)}
-            className={`p-2 sm:p-2.5 rounded-lg transition-colors touch-manipulation min-w-[44px] min-h-[44px] flex items-center justify-center ${
-              isPinned
-                ? "text-yellow-600 bg-yellow-50 dark:bg-yellow-900/30"
-                : "text-gray-600 dark:text-gray-400 hover:text-yellow-600 dark:hover:text-yellow-400 hover:bg-yellow-50 dark:hover:bg-yellow-900/30"
-            }`}
-            title={isPinned ? "Unpin note" : "Pin note"}
-          >
-            <svg
-              className="w-5 h-5"
-              fill={isPinned ? "currentColor" : "none"}
-              stroke="currentColor"
-              viewBox="0 0 24 24"
+          {canEdit && (
+            <button
+              onClick={() => onTogglePin(note)}
+              className={`p-2 sm:p-2.5 rounded-lg transition-colors touch-manipulation min-w-[44px] min-h-[44px] flex items-center justify-center ${
+                isPinned
+                  ? "text-yellow-600 bg-yellow-50 dark:bg-yellow-900/30"
+                  : "text-gray-600 dark:text-gray-400 hover:text-yellow-600 dark:hover:text-yellow-400 hover:bg-yellow-50 dark:hover:bg-yellow-900/30"
+              }`}
+              title={isPinned ? "Unpin note" : "Pin note"}
             >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z"
-              />
-            </svg>
-          </button>
+              <svg
+                className="w-5 h-5"
+                fill={isPinned ? "currentColor" : "none"}
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z"
+                />
+              </svg>
+            </button>
+          )}
 
-          <button
-            onClick={onToggleComplete}
-            className={`p-2 sm:p-2.5 rounded-lg transition-colors touch-manipulation min-w-[44px] min-h-[44px] flex items-center justify-center ${
-              isCompleted
-                ? "text-green-600 bg-green-50 dark:bg-green-900/30"
-                : "text-gray-600 dark:text-gray-400 hover:text-green-600 dark:hover:text-green-400 hover:bg-green-50 dark:hover:bg-green-900/30"
-            }`}
-            title={isCompleted ? "Mark as incomplete" : "Mark as complete"}
-          >
-            <svg
-              className="w-5 h-5"
-              fill="none"
-              stroke="currentColor"
-              viewBox="0 0 24 24"
+          {/* Archive Button - owner only, archiving hides the note for everyone */}
+          {isOwner && onToggleArchive && (
+            <button
+              onClick={() => onToggleArchive(note)}
+              className={`p-2 sm:p-2.5 rounded-lg transition-colors touch-manipulation min-w-[44px] min-h-[44px] flex items-center justify-center ${
+                isArchived
+                  ? "text-gray-800 dark:text-gray-200 bg-gray-100 dark:bg-gray-700/50"
+                  : "text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700/50"
+              }`}
+              title={isArchived ? "Unarchive note" : "Archive note"}
             >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M5 13l4 4L19 7"
-              />
-            </svg>
-          </button>
+              <svg
+                className="w-5 h-5"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d={
+                    isArchived
+                      ? "M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-7 9v-6m0 0l-3 3m3-3l3 3"
+                      : "M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-7 3v6m0 0l-3-3m3 3l3-3"
+                  }
+                />
+              </svg>
+            </button>
+          )}
 
-          <button
-            onClick={() => !isCompleted && onEdit(note)}
-            disabled={isCompleted}
-            className={`p-2 sm:p-2.5 rounded-lg transition-colors touch-manipulation min-w-[44px] min-h-[44px] flex items-center justify-center ${
-              isCompleted
-                ? "text-gray-400 dark:text-gray-600 cursor-not-allowed opacity-50"
-                : "text-gray-600 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30"
-            }`}
-            title={isCompleted ? "Cannot edit completed notes" : "Edit note"}
-          >
-            <svg
-              className="w-5 h-5"
-              fill="none"
-              stroke="currentColor"
-              viewBox="0 0 24 24"
-            >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"
-              />
-            </svg>
-          </button>
+          {/* Complete/Edit - editors and the owner only */}
+          {canEdit && (
+            <>
+              <button
+                onClick={onToggleComplete}
+                className={`p-2 sm:p-2.5 rounded-lg transition-colors touch-manipulation min-w-[44px] min-h-[44px] flex items-center justify-center ${
+                  isCompleted
+                    ? "text-green-600 bg-green-50 dark:bg-green-900/30"
+                    : "text-gray-600 dark:text-gray-400 hover:text-green-600 dark:hover:text-green-400 hover:bg-green-50 dark:hover:bg-green-900/30"
+                }`}
+                title={isCompleted ? "Mark as incomplete" : "Mark as complete"}
+              >
+                <svg
+                  className="w-5 h-5"
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M5 13l4 4L19 7"
+                  />
+                </svg>
+              </button>
+
+              <button
+                onClick={() => !isCompleted && onEdit(note)}
+                disabled={isCompleted}
+                className={`p-2 sm:p-2.5 rounded-lg transition-colors touch-manipulation min-w-[44px] min-h-[44px] flex items-center justify-center ${
+                  isCompleted
+                    ? "text-gray-400 dark:text-gray-600 cursor-not-allowed opacity-50"
+                    : "text-gray-600 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30"
+                }`}
+                title={isCompleted ? "Cannot edit completed notes" : "Edit note"}
+              >
+                <svg
+                  className="w-5 h-5"
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"
+                  />
+                </svg>
+              </button>
+            </>
+          )}
 
           {isOwner && (
             <button
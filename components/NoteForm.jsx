@@ -1,4 +1,19 @@
+import { useEffect, useState } from "react";
 import ColorPicker, { getColorClasses } from "./ColorPicker";
+import { textToItems, itemsToText } from "../utils/checklist";
+import { WEEKDAY_CODES, getRecurrencePreset, describeRecurrence } from "../utils/recurrence";
+import Markdown from "./Markdown";
+
+// Weekday toggles for the weekly preset, Monday first
+const WEEKDAY_OPTIONS = [
+  { code: "MO", label: "M" },
+  { code: "TU", label: "T" },
+  { code: "WE", label: "W" },
+  { code: "TH", label: "T" },
+  { code: "FR", label: "F" },
+  { code: "SA", label: "S" },
+  { code: "SU", label: "S" },
+];
 
 export default function NoteForm({
   form,
@@ -7,8 +22,99 @@ export default function NoteForm({
   editing,
   cancelEdit,
   user,
+  labels = [],
+  onCreateLabel,
 }) {
   const colorData = getColorClasses(form.color || "default");
+  const [newLabelName, setNewLabelName] = useState("");
+  const [newItemText, setNewItemText] = useState("");
+  const selectedLabels = form.labels || [];
+  const isChecklist = form.type === "checklist";
+  const items = form.items || [];
+  const [customRepeat, setCustomRepeat] = useState(false);
+  const [preview, setPreview] = useState(false);
+  const recurrencePreset = getRecurrencePreset(form.recurrence);
+  const repeatMode = customRepeat ? "custom" : recurrencePreset.preset;
+
+  // Switching to another note starts from that note's own rule, in the editor
+  useEffect(() => {
+    setCustomRepeat(false);
+    setPreview(false);
+  }, [editing]);
+
+  function setRecurrence(value) {
+    handleChange({ target: { name: "recurrence", value } });
+  }
+
+  function handleRepeatChange(mode) {
+    setCustomRepeat(mode === "custom");
+    if (mode === "none") {
+      setRecurrence("");
+    } else if (mode === "daily") {
+      setRecurrence("FREQ=DAILY");
+    } else if (mode === "weekly") {
+      // Default to the weekday of the reminder itself
+      const day = form.reminderAt ? new Date(form.reminderAt).getDay() : new Date().getDay();
+      setRecurrence(`FREQ=WEEKLY;BYDAY=${WEEKDAY_CODES[day]}`);
+    } else if (mode === "monthly") {
+      setRecurrence("FREQ=MONTHLY");
+    } else if (!form.recurrence) {
+      setRecurrence("FREQ=DAILY");
+    }
+  }
+
+  function toggleWeekday(code) {
+    const current = recurrencePreset.byDay;
+    const next = current.includes(code)
+      ? current.filter((d) => d !== code)
+      : [...current, code];
+    // A weekly rule needs at least one day
+    if (next.length === 0) return;
+    const ordered = WEEKDAY_OPTIONS.map((o) => o.code).filter((d) => next.includes(d));
+    setRecurrence(`FREQ=WEEKLY;BYDAY=${ordered.join(",")}`);
+  }
+
+  // Convert between text and checklist without losing what was typed
+  function switchType(type) {
+    if (type === (form.type || "text")) return;
+    if (type === "checklist") {
+      handleChange({ target: { name: "items", value: textToItems(form.content) } });
+    } else {
+      handleChange({ target: { name: "content", value: itemsToText(items) } });
+    }
+    handleChange({ target: { name: "type", value: type } });
+  }
+
+  function updateItems(next) {
+    handleChange({ target: { name: "items", value: next } });
+  }
+
+  function addItem() {
+    const text = newItemText.trim();
+    if (!text) return;
+    updateItems([...items, { text, checked: false }]);
+    setNewItemText("");
+  }
+
+  function toggleLabel(labelId) {
+    const next = selectedLabels.includes(labelId)
+      ? selectedLabels.filter((id) => id !== labelId)
+      : [...selectedLabels, labelId];
+    handleChange({ target: { name: "labels", value: next } });
+  }
+
+  async function handleCreateLabel() {
+    const name = newLabelName.trim();
+    if (!name || !onCreateLabel) return;
+    const created = await onCreateLabel(name);
+    if (created && created._id) {
+      // Attach the new label to the note being edited straight away
+      handleChange({
+        target: { name: "labels", value: [...selectedLabels, created._id] },
+      });
+      setNewLabelName("");
+    }
+  }
 
   return (
     <form
@@ -67,14 +173,117 @@ export default function NoteForm({
         </div>
 
         <div>
-          <textarea
-            name="content"
-            value={form.content}
-            onChange={handleChange}
-            placeholder="Take a note..."
-            rows={6}
-            className="w-full px-3 sm:px-4 py-2.5 sm:py-3.5 border-2 border-gray-200 dark:border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 resize-none transition-all duration-200 leading-relaxed text-sm sm:text-base"
-          />
+          <div className="inline-flex rounded-lg border border-gray-200 dark:border-gray-700 overflow-hidden mb-3 text-xs sm:text-sm font-medium">
+            {[
+              { type: "text", label: "Note" },
+              { type: "checklist", label: "Checklist" },
+            ].map((option) => (
+              <button
+                key={option.type}
+                type="button"
+                onClick={() => switchType(option.type)}
+                className={`px-3 sm:px-4 py-1.5 transition-colors ${
+                  (form.type || "text") === option.type
+                    ? "bg-blue-600 text-white"
+                    : "bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                }`}
+                aria-pressed={(form.type || "text") === option.type}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          {!isChecklist && (
+            <div className="inline-flex rounded-lg border border-gray-200 dark:border-gray-700 overflow-hidden mb-3 ml-2 text-xs sm:text-sm font-medium">
+              {[
+                { value: false, label: "Write" },
+                { value: true, label: "Preview" },
+              ].map((option) => (
+                <button
+                  key={option.label}
+                  type="button"
+                  onClick={() => setPreview(option.value)}
+                  className={`px-3 sm:px-4 py-1.5 transition-colors ${
+                    preview === option.value
+                      ? "bg-gray-700 dark:bg-gray-200 text-white dark:text-gray-900"
+                      : "bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  }`}
+                  aria-pressed={preview === option.value}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {isChecklist ? (
+            <div className="p-3 sm:p-4 border-2 border-gray-200 dark:border-gray-700 rounded-xl bg-gray-50 dark:bg-gray-900 space-y-2">
+              {items.map((item, idx) => (
+                <div key={item._id || idx} className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(item.checked)}
+                    onChange={() =>
+                      updateItems(items.map((it, i) => (i === idx ? { ...it, checked: !it.checked } : it)))
+                    }
+                    className="h-4 w-4 flex-shrink-0 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <input
+                    value={item.text}
+                    onChange={(e) =>
+                      updateItems(items.map((it, i) => (i === idx ? { ...it, text: e.target.value } : it)))
+                    }
+                    maxLength={1000}
+                    className={`flex-1 min-w-0 px-2 py-1 bg-transparent border-b border-transparent focus:border-blue-400 focus:outline-none text-sm sm:text-base ${
+                      item.checked ? "line-through text-gray-400" : "text-gray-900 dark:text-gray-100"
+                    }`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => updateItems(items.filter((_, i) => i !== idx))}
+                    className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                    title="Remove item"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <div className="flex items-center gap-2 pt-1">
+                <span className="w-4 text-center text-gray-400">+</span>
+                <input
+                  value={newItemText}
+                  onChange={(e) => setNewItemText(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") {
+                      e.preventDefault();
+                      addItem();
+                    }
+                  }}
+                  onBlur={addItem}
+                  placeholder="List item"
+                  maxLength={1000}
+                  className="flex-1 min-w-0 px-2 py-1 bg-transparent border-b border-gray-200 dark:border-gray-700 focus:border-blue-400 focus:outline-none text-sm sm:text-base text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500"
+                />
+              </div>
+            </div>
+          ) : preview ? (
+            <div className="min-h-[9.5rem] px-3 sm:px-4 py-2.5 sm:py-3.5 border-2 border-gray-200 dark:border-gray-700 rounded-xl bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 text-sm sm:text-base">
+              {form.content && form.content.trim() ? (
+                <Markdown text={form.content} />
+              ) : (
+                <span className="text-gray-400 dark:text-gray-500 italic">Nothing to preview</span>
+              )}
+            </div>
+          ) : (
+            <textarea
+              name="content"
+              value={form.content}
+              onChange={handleChange}
+              placeholder="Take a note... (Markdown supported)"
+              rows={6}
+              className="w-full px-3 sm:px-4 py-2.5 sm:py-3.5 border-2 border-gray-200 dark:border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 resize-none transition-all duration-200 leading-relaxed text-sm sm:text-base"
+            />
+          )}
         </div>
 
         <div className="grid grid-cols-1 gap-3 sm:gap-4">
@@ -106,9 +315,149 @@ export default function NoteForm({
               onChange={handleChange}
               className="w-full px-3 sm:px-4 py-2 sm:py-3 text-sm sm:text-base border-2 border-gray-200 dark:border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-all duration-200"
             />
+
+            {form.reminderAt && (
+              <div className="mt-3 space-y-2">
+                <select
+                  value={repeatMode}
+                  onChange={(e) => handleRepeatChange(e.target.value)}
+                  className="w-full px-3 sm:px-4 py-2 text-sm sm:text-base border-2 border-gray-200 dark:border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-all duration-200"
+                  aria-label="Repeat"
+                >
+                  <option value="none">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                  <option value="custom">Custom (RRULE)</option>
+                </select>
+
+                {repeatMode === "weekly" && (
+                  <div className="flex flex-wrap gap-1.5">
+                    {WEEKDAY_OPTIONS.map((option) => {
+                      const isSelected = recurrencePreset.byDay.includes(option.code);
+                      return (
+                        <button
+                          key={option.code}
+                          type="button"
+                          onClick={() => toggleWeekday(option.code)}
+                          className={`w-8 h-8 rounded-full text-xs font-semibold border transition-colors ${
+                            isSelected
+                              ? "bg-blue-600 text-white border-blue-600"
+                              : "bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-300 border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700"
+                          }`}
+                          aria-pressed={isSelected}
+                          title={option.code}
+                        >
+                          {option.label}
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+
+                {repeatMode === "custom" && (
+                  <div>
+                    <input
+                      value={form.recurrence || ""}
+                      onChange={(e) => setRecurrence(e.target.value)}
+                      placeholder="FREQ=MONTHLY;BYDAY=-1FR"
+                      maxLength={500}
+                      className="w-full px-3 sm:px-4 py-2 text-sm font-mono border-2 border-gray-200 dark:border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 transition-all duration-200"
+                    />
+                  </div>
+                )}
+
+                {form.recurrence && (
+                  <p
+                    className={`text-xs ml-1 ${
+                      describeRecurrence(form.recurrence)
+                        ? "text-gray-500 dark:text-gray-400"
+                        : "text-red-600 dark:text-red-400"
+                    }`}
+                  >
+                    {describeRecurrence(form.recurrence) ||
+                      "Unsupported rule - use FREQ=DAILY|WEEKLY|MONTHLY|YEARLY with INTERVAL, BYDAY, BYMONTHDAY, COUNT or UNTIL"}
+                  </p>
+                )}
+              </div>
+            )}
           </div>
         </div>
 
+        <div>
+          <label className="block text-xs sm:text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2 sm:mb-2.5">
+            <span className="flex items-center space-x-1.5 sm:space-x-2">
+              <div className="w-7 h-7 sm:w-8 sm:h-8 bg-gradient-to-br from-teal-100 to-teal-200 dark:from-teal-900 dark:to-teal-800 rounded-lg flex items-center justify-center">
+                <svg
+                  className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-teal-600 dark:text-teal-400"
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z"
+                  />
+                </svg>
+              </div>
+              <span>Labels</span>
+            </span>
+          </label>
+
+          {labels.length > 0 && (
+            <div className="flex flex-wrap gap-1.5 sm:gap-2 mb-2 sm:mb-3">
+              {labels.map((label) => {
+                const isSelected = selectedLabels.includes(label._id);
+                const labelColor = getColorClasses(label.color || "default");
+                return (
+                  <button
+                    key={label._id}
+                    type="button"
+                    onClick={() => toggleLabel(label._id)}
+                    className={`px-2.5 sm:px-3 py-1 sm:py-1.5 rounded-full text-xs sm:text-sm font-medium border-2 transition-all duration-200 ${labelColor.bg} ${
+                      isSelected
+                        ? "border-teal-500 ring-2 ring-teal-300 dark:ring-teal-700 text-gray-900 dark:text-gray-100"
+                        : `${labelColor.border} text-gray-600 dark:text-gray-300 opacity-70 hover:opacity-100`
+                    }`}
+                    aria-pressed={isSelected}
+                  >
+                    {isSelected ? "✓ " : ""}
+                    {label.name}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          {onCreateLabel && (
+            <div className="flex items-center gap-2">
+              <input
+                value={newLabelName}
+                onChange={(e) => setNewLabelName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") {
+                    e.preventDefault();
+                    handleCreateLabel();
+                  }
+                }}
+                placeholder="New label..."
+                maxLength={50}
+                className="flex-1 px-3 sm:px-4 py-2 text-sm sm:text-base border-2 border-gray-200 dark:border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-teal-500 focus:border-transparent bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 transition-all duration-200"
+              />
+              <button
+                type="button"
+                onClick={handleCreateLabel}
+                disabled={!newLabelName.trim()}
+                className="px-3 sm:px-4 py-2 text-xs sm:text-sm font-medium text-teal-700 dark:text-teal-300 bg-teal-50 dark:bg-teal-900/30 border border-teal-200 dark:border-teal-700 rounded-xl hover:bg-teal-100 dark:hover:bg-teal-900/50 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+              >
+                + Add
+              </button>
+            </div>
+          )}
+        </div>
+
         <div>
           <label className="block text-xs sm:text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2 sm:mb-2.5">
             <span className="flex items-center space-x-1.5 sm:space-x-2">
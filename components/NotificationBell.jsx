@@ -0,0 +1,147 @@
+// components/NotificationBell.jsx
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useRouter } from "next/router";
+
+// How often the unread count is refreshed while the app is open
+const POLL_INTERVAL = 60000;
+
+// Header bell with the unread count; opens the latest notifications (see /api/notifications)
+export default function NotificationBell({ token }) {
+  const router = useRouter();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const panelRef = useRef(null);
+
+  const load = useCallback(async () => {
+    if (!token) return;
+    try {
+      const res = await fetch("/api/notifications", {
+        headers: { Authorization: "Bearer " + token },
+      });
+      if (!res.ok) return;
+      const data = await res.json();
+      setNotifications(data.notifications || []);
+      setUnreadCount(data.unreadCount || 0);
+    } catch (err) {
+      console.error("Fetch notifications error", err);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  // Close when clicking outside the panel
+  useEffect(() => {
+    if (!open) return;
+    function handleClick(e) {
+      if (panelRef.current && !panelRef.current.contains(e.target)) setOpen(false);
+    }
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  async function markRead(body) {
+    try {
+      const res = await fetch("/api/notifications", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer " + token,
+        },
+        body: JSON.stringify(body),
+      });
+      if (!res.ok) return;
+      const data = await res.json();
+      setUnreadCount(data.unreadCount);
+      const readAt = new Date().toISOString();
+      setNotifications((prev) =>
+        prev.map((n) => (!n.readAt && (body.action === "mark-all-read" || body.ids.includes(n._id)) ? { ...n, readAt } : n))
+      );
+    } catch (err) {
+      console.error("Mark notifications read error", err);
+    }
+  }
+
+  async function handleToggle() {
+    if (!open) {
+      setLoading(true);
+      await load();
+      setLoading(false);
+    }
+    setOpen(!open);
+  }
+
+  function handleOpenNotification(notification) {
+    if (!notification.readAt) markRead({ action: "mark-read", ids: [notification._id] });
+    setOpen(false);
+    if (notification.note) router.push(`/notes/${notification.note}`);
+  }
+
+  return (
+    <div className="relative" ref={panelRef}>
+      <button
+        onClick={handleToggle}
+        className="relative p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : "Notifications"}
+      >
+        <svg className="w-5 h-5 text-gray-700 dark:text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 flex items-center justify-center text-[10px] font-bold text-white bg-red-600 rounded-full">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+            <span className="text-sm font-semibold text-gray-900 dark:text-gray-100">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => markRead({ action: "mark-all-read" })}
+                className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+          <ul className="max-h-96 overflow-y-auto">
+            {loading && notifications.length === 0 && (
+              <li className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">Loading...</li>
+            )}
+            {!loading && notifications.length === 0 && (
+              <li className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">No notifications yet</li>
+            )}
+            {notifications.map((notification) => (
+              <li key={notification._id}>
+                <button
+                  onClick={() => handleOpenNotification(notification)}
+                  className={`w-full text-left px-4 py-3 border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors ${
+                    notification.readAt ? "" : "bg-blue-50/60 dark:bg-blue-900/20"
+                  }`}
+                >
+                  <div className="flex items-start gap-2">
+                    {!notification.readAt && <span className="mt-1.5 w-2 h-2 rounded-full bg-blue-600 flex-shrink-0" />}
+                    <div className="min-w-0">
+                      <div className="text-sm text-gray-800 dark:text-gray-200 break-words">{notification.message}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                        {new Date(notification.updatedAt).toLocaleString()}
+                      </div>
+                    </div>
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
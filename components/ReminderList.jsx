@@ -0,0 +1,242 @@
+// components/ReminderList.jsx
+import { useState } from "react";
+import { describeRecurrence } from "../utils/recurrence";
+
+const AUDIENCE_LABELS = {
+  everyone: "Everyone",
+  owner: "Only the owner",
+  selected: "Selected people",
+};
+
+function formatTime(value) {
+  return new Date(value).toLocaleString();
+}
+
+// Delivery state shared by the main reminder (note.reminder* fields) and extra ones
+function DeliveryStatus({ state, isOwner, onRetry }) {
+  if (state.sent) {
+    return <span className="text-xs text-green-700 dark:text-green-400">Sent</span>;
+  }
+  // Delivery problems are only shown to the owner
+  if (isOwner && state.failedAt) {
+    return (
+      <span className="flex items-center gap-2 text-xs text-red-700 dark:text-red-400" title={state.lastError || ""}>
+        Email failed after {state.attempts} attempts
+        <button
+          type="button"
+          onClick={onRetry}
+          className="px-2 py-0.5 font-medium bg-white text-red-700 border border-red-300 rounded-full hover:bg-red-100 transition-colors"
+        >
+          Retry
+        </button>
+      </span>
+    );
+  }
+  if (isOwner && state.nextAttemptAt) {
+    return (
+      <span className="text-xs text-amber-700 dark:text-amber-400" title={state.lastError || ""}>
+        Email failed, retrying {formatTime(state.nextAttemptAt)}
+      </span>
+    );
+  }
+  if (state.sentTo?.length > 0) {
+    return (
+      <span className="text-xs text-gray-500 dark:text-gray-400" title={state.sentTo.join(", ")}>
+        Sent to {state.sentTo.length} so far
+      </span>
+    );
+  }
+  return null;
+}
+
+// Reminders panel for the note detail page: the main reminder (set in the edit form, goes to
+// everyone) and the extra ones from /api/notes/[id]/reminders, each with its own audience.
+// `onChange` gets the reminder fields to merge into the note after a change.
+export default function ReminderList({ note, token, canEdit, isOwner, onChange }) {
+  const [form, setForm] = useState({ at: "", audience: "everyone", recipients: [] });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const reminders = [...(note.reminders || [])].sort((a, b) => new Date(a.at) - new Date(b.at));
+  const people = [note.ownerInfo?.email || note.owner?.email, ...(note.collaborators || [])]
+    .filter(Boolean)
+    .filter((email, i, all) => all.findIndex((e) => e.toLowerCase() === email.toLowerCase()) === i);
+  const editable = canEdit && !note.completed && !note.deletedAt;
+
+  async function request(url, options) {
+    setError("");
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: "Bearer " + token,
+      },
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(data.errors?.[0] || data.error || "Failed to update reminders");
+    }
+    return data;
+  }
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    if (!form.at) return;
+    setSaving(true);
+    try {
+      const { _id, ...changes } = await request(`/api/notes/${note._id}/reminders`, {
+        method: "POST",
+        body: JSON.stringify({
+          at: new Date(form.at).toISOString(),
+          audience: form.audience,
+          recipients: form.audience === "selected" ? form.recipients : [],
+        }),
+      });
+      onChange(changes);
+      setForm({ at: "", audience: "everyone", recipients: [] });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete(reminderId) {
+    try {
+      const { _id, ...changes } = await request(`/api/notes/${note._id}/reminders/${reminderId}`, {
+        method: "DELETE",
+      });
+      onChange(changes);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  // Owner only - queues a reminder that failed to send for another round of attempts
+  async function handleRetry(reminderId) {
+    try {
+      const { ok, ...changes } = await request(`/api/notes/${note._id}/reminder`, {
+        method: "POST",
+        body: JSON.stringify({ action: "retry", reminderId }),
+      });
+      onChange(changes);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function toggleRecipient(email) {
+    setForm((prev) => ({
+      ...prev,
+      recipients: prev.recipients.includes(email)
+        ? prev.recipients.filter((r) => r !== email)
+        : [...prev.recipients, email],
+    }));
+  }
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 flex items-center space-x-2 mb-3">
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        <span>Reminders</span>
+      </h3>
+
+      <ul className="space-y-2 text-sm">
+        {note.reminderAt && (
+          <li className="flex flex-wrap items-center gap-x-3 gap-y-1 px-3 py-2 bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300 rounded-lg border border-blue-200 dark:border-blue-800">
+            <span className="font-medium">{formatTime(note.reminderAt)}</span>
+            {note.recurrence?.rule && (
+              <span title={note.recurrence.rule}>↻ {describeRecurrence(note.recurrence.rule) || "Repeats"}</span>
+            )}
+            <span className="text-xs opacity-75">{AUDIENCE_LABELS.everyone}</span>
+            <DeliveryStatus
+              state={{
+                sent: note.reminderSent,
+                sentTo: note.reminderSentTo,
+                attempts: note.reminderAttempts,
+                lastError: note.reminderLastError,
+                nextAttemptAt: note.reminderNextAttemptAt,
+                failedAt: note.reminderFailedAt,
+              }}
+              isOwner={isOwner}
+              onRetry={() => handleRetry(null)}
+            />
+          </li>
+        )}
+        {reminders.map((reminder) => (
+          <li
+            key={reminder._id}
+            className="flex flex-wrap items-center gap-x-3 gap-y-1 px-3 py-2 bg-gray-50 dark:bg-gray-800 text-gray-700 dark:text-gray-300 rounded-lg border border-gray-200 dark:border-gray-700"
+          >
+            <span className="font-medium">{formatTime(reminder.at)}</span>
+            <span className="text-xs opacity-75">
+              {reminder.audience === "selected"
+                ? reminder.recipients.join(", ")
+                : AUDIENCE_LABELS[reminder.audience] || AUDIENCE_LABELS.everyone}
+            </span>
+            <DeliveryStatus state={reminder} isOwner={isOwner} onRetry={() => handleRetry(reminder._id)} />
+            {editable && (
+              <button
+                type="button"
+                onClick={() => handleDelete(reminder._id)}
+                className="ml-auto text-xs text-gray-500 hover:text-red-600 dark:text-gray-400 dark:hover:text-red-400"
+                title="Remove this reminder"
+              >
+                Remove
+              </button>
+            )}
+          </li>
+        ))}
+        {!note.reminderAt && reminders.length === 0 && (
+          <li className="text-gray-500 dark:text-gray-400 italic">No reminders</li>
+        )}
+      </ul>
+
+      {editable && (
+        <form onSubmit={handleAdd} className="mt-3 flex flex-wrap items-start gap-2 text-sm">
+          <input
+            type="datetime-local"
+            value={form.at}
+            onChange={(e) => setForm((prev) => ({ ...prev, at: e.target.value }))}
+            className="border border-gray-300 dark:border-gray-600 rounded-lg px-2 py-1 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            required
+          />
+          <select
+            value={form.audience}
+            onChange={(e) => setForm((prev) => ({ ...prev, audience: e.target.value }))}
+            className="border border-gray-300 dark:border-gray-600 rounded-lg px-2 py-1 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+          >
+            {Object.entries(AUDIENCE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={saving || !form.at || (form.audience === "selected" && form.recipients.length === 0)}
+            className="btn-primary disabled:opacity-50"
+          >
+            {saving ? "Adding..." : "Add reminder"}
+          </button>
+          {form.audience === "selected" && (
+            <div className="w-full flex flex-wrap gap-3">
+              {people.map((email) => (
+                <label key={email} className="flex items-center gap-1 text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={form.recipients.includes(email)}
+                    onChange={() => toggleRecipient(email)}
+                  />
+                  {email}
+                </label>
+              ))}
+            </div>
+          )}
+        </form>
+      )}
+
+      {error && <div className="mt-2 text-sm text-red-600 dark:text-red-400">{error}</div>}
+    </div>
+  );
+}
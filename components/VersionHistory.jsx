@@ -0,0 +1,217 @@
+// components/VersionHistory.jsx
+import { useEffect, useState } from "react";
+import { versionHeaders } from "../utils/concurrency";
+
+const ACTION_LABELS = {
+  create: "Created",
+  edit: "Edited",
+  restore: "Restored",
+};
+
+// History panel for the note detail page: version list, line diff and restore
+// `note` is the copy the page shows; a restore is based on its version
+export default function VersionHistory({ note, token, canRestore, refreshKey, onRestored, onClose }) {
+  const noteId = note._id;
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareWith, setCompareWith] = useState("previous"); // "previous" | "current"
+  const [diffResult, setDiffResult] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState("");
+
+  // Load the version list (again after every save/restore)
+  useEffect(() => {
+    if (!noteId || !token) return;
+    setLoading(true);
+    fetch(`/api/notes/${noteId}/versions`, {
+      headers: { Authorization: "Bearer " + token },
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Failed to load history");
+        setVersions(data.versions || []);
+        setSelectedId((prev) =>
+          prev && data.versions.some((v) => v._id === prev)
+            ? prev
+            : data.versions[0]?._id || null
+        );
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [noteId, token, refreshKey]);
+
+  const selectedIndex = versions.findIndex((v) => v._id === selectedId);
+  const selected = selectedIndex >= 0 ? versions[selectedIndex] : null;
+  const previousVersion = selectedIndex >= 0 ? versions[selectedIndex + 1] : null;
+
+  // Load the diff for the current selection
+  useEffect(() => {
+    if (!selected) {
+      setDiffResult(null);
+      return;
+    }
+    let from;
+    let to;
+    if (compareWith === "current") {
+      from = selected._id;
+      to = "current";
+    } else if (previousVersion) {
+      from = previousVersion._id;
+      to = selected._id;
+    } else {
+      // First version: show it against itself (everything unchanged)
+      from = selected._id;
+      to = selected._id;
+    }
+
+    setDiffLoading(true);
+    fetch(`/api/notes/${noteId}/versions?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`, {
+      headers: { Authorization: "Bearer " + token },
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Failed to load diff");
+        setDiffResult(data);
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setDiffLoading(false));
+  }, [noteId, token, selected?._id, previousVersion?._id, compareWith]);
+
+  async function handleRestore() {
+    if (!selected) return;
+    if (!confirm(`Restore version ${selected.version}? The current content will be kept in history.`)) return;
+    setRestoring(true);
+    setError("");
+    try {
+      const res = await fetch(`/api/notes/${noteId}/versions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer " + token,
+          ...versionHeaders(note),
+        },
+        body: JSON.stringify({ versionId: selected._id }),
+      });
+      const data = await res.json();
+      if (res.status === 409) throw new Error(`${data.message}. Reload the page to see the latest version.`);
+      if (!res.ok) throw new Error(data.error || "Restore failed");
+      if (onRestored) onRestored(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRestoring(false);
+    }
+  }
+
+  return (
+    <div className="card p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100">History</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-sm text-gray-600 hover:text-gray-900 font-medium"
+        >
+          Close
+        </button>
+      </div>
+
+      {error && <div className="mb-3 text-sm font-medium text-red-600">{error}</div>}
+
+      {loading ? (
+        <div className="text-sm text-gray-500">Loading history...</div>
+      ) : versions.length === 0 ? (
+        <div className="text-sm text-gray-500 italic">No versions recorded yet. Edits to the title or content will show up here.</div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {/* Version list */}
+          <ul className="md:col-span-1 max-h-96 overflow-y-auto space-y-1 pr-1">
+            {versions.map((v) => (
+              <li key={v._id}>
+                <button
+                  type="button"
+                  onClick={() => setSelectedId(v._id)}
+                  className={`w-full text-left px-3 py-2 rounded-lg border text-sm transition-colors ${
+                    v._id === selectedId
+                      ? "bg-blue-50 dark:bg-blue-900/30 border-blue-300 dark:border-blue-700"
+                      : "border-transparent hover:bg-gray-50 dark:hover:bg-gray-800"
+                  }`}
+                >
+                  <div className="font-medium text-gray-900 dark:text-gray-100">
+                    v{v.version} · {ACTION_LABELS[v.action] || "Edited"}
+                    {v.restoredFrom ? ` v${v.restoredFrom}` : ""}
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {v.author?.name || v.authorEmail || v.author?.email || "Unknown"} ·{" "}
+                    {new Date(v.createdAt).toLocaleString()}
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {/* Diff */}
+          <div className="md:col-span-2 min-w-0">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+              <select
+                value={compareWith}
+                onChange={(e) => setCompareWith(e.target.value)}
+                className="input-field w-auto text-sm"
+              >
+                <option value="previous">Changes in this version</option>
+                <option value="current">Compare with current note</option>
+              </select>
+              {canRestore && selected && selectedIndex > 0 && (
+                <button
+                  type="button"
+                  onClick={handleRestore}
+                  disabled={restoring}
+                  className="btn-primary text-sm disabled:opacity-50"
+                >
+                  {restoring ? "Restoring..." : `Restore v${selected.version}`}
+                </button>
+              )}
+            </div>
+
+            {diffLoading || !diffResult ? (
+              <div className="text-sm text-gray-500">Loading diff...</div>
+            ) : (
+              <div>
+                {diffResult.titleChanged && (
+                  <div className="mb-2 text-sm">
+                    <span className="text-gray-500">Title: </span>
+                    <span className="line-through text-red-600">{diffResult.from.title || "Untitled"}</span>
+                    {" → "}
+                    <span className="text-green-700">{diffResult.to.title || "Untitled"}</span>
+                  </div>
+                )}
+                <div className="text-xs text-gray-500 mb-2">
+                  +{diffResult.summary.added} / -{diffResult.summary.removed} lines
+                </div>
+                <pre className="max-h-96 overflow-auto rounded-lg border border-gray-200 dark:border-gray-700 text-sm font-mono leading-relaxed">
+                  {diffResult.diff.map((line, idx) => (
+                    <div
+                      key={idx}
+                      className={`px-3 whitespace-pre-wrap break-words ${
+                        line.type === "add"
+                          ? "bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-300"
+                          : line.type === "remove"
+                            ? "bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300"
+                            : "text-gray-700 dark:text-gray-300"
+                      }`}
+                    >
+                      {line.type === "add" ? "+ " : line.type === "remove" ? "- " : "  "}
+                      {line.text}
+                    </div>
+                  ))}
+                </pre>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
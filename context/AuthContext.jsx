@@ -3,6 +3,7 @@
 import { createContext, useContext, useEffect, useState } from 'react';
 import Router from 'next/router';
 import axios from 'axios';
+import { getLocalTimeZone } from '../utils/helpers';
 
 const AuthContext = createContext();
 const ThemeContext = createContext({
@@ -212,7 +213,7 @@ export function AuthProvider({ children }) {
   }
 
   async function register(name, email, password) {
-    const { data } = await axios.post('/api/auth/register', { name, email, password });
+    const { data } = await axios.post('/api/auth/register', { name, email, password, timezone: getLocalTimeZone() });
     setUser(data.user);
     if (data.token) {
       saveToken(data.token);
@@ -0,0 +1,33 @@
+// models/Label.js
+import mongoose from 'mongoose';
+
+const LabelSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: {
+    type: String,
+    required: [true, 'Label name is required'],
+    maxlength: [50, 'Label name must be less than 50 characters'],
+    trim: true
+  },
+
+  // Uses the same palette as notes so chips match note colors
+  color: {
+    type: String,
+    enum: ['default', 'red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink', 'gray'],
+    default: 'default'
+  }
+}, { timestamps: true });
+
+// A user cannot have two labels with the same name
+LabelSchema.index({ owner: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Keep only the label IDs that belong to the given user (drops unknown/foreign labels)
+LabelSchema.statics.filterOwnedIds = async function (ownerId, ids = []) {
+  if (!ids.length) return [];
+  const owned = await this.find({ _id: { $in: ids }, owner: ownerId }).select('_id').lean();
+  const ownedSet = new Set(owned.map(l => l._id.toString()));
+  return ids.filter(id => ownedSet.has(String(id)));
+};
+
+// Prevent model overwrite issue in dev/hot reload
+export default mongoose.models.Label || mongoose.model('Label', LabelSchema);
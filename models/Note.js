@@ -1,6 +1,40 @@
 // models/Note.js
 import mongoose from 'mongoose';
 
+// A single checkable line of a checklist note - array order is display order
+const ChecklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    maxlength: [1000, 'Checklist item must be less than 1000 characters'],
+    trim: true
+  },
+  checked: { type: Boolean, default: false }
+});
+
+// Worker lease on a reminder while it is being sent (see utils/reminders.js)
+const ReminderLeaseSchema = new mongoose.Schema({
+  owner: { type: String, required: true },
+  expiresAt: { type: Date, required: true }
+}, { _id: false });
+
+// An extra one-off reminder besides the note's main reminderAt. Delivery fields mirror
+// the note-level reminder* fields; sentTo lists who has already been emailed.
+const NoteReminderSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  // Who gets it: everyone on the note, only the owner, or the `recipients` listed
+  audience: { type: String, enum: ['everyone', 'owner', 'selected'], default: 'everyone' },
+  recipients: [{ type: String, lowercase: true, trim: true }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  sent: { type: Boolean, default: false },
+  sentTo: [{ type: String }],
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  nextAttemptAt: { type: Date, default: null },
+  failedAt: { type: Date, default: null },
+  lease: { type: ReminderLeaseSchema, default: null }
+});
+
 const NoteSchema = new mongoose.Schema({
   owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   title: {
@@ -15,9 +49,23 @@ const NoteSchema = new mongoose.Schema({
     maxlength: [100000, 'Content must be less than 100,000 characters']
   },
 
+  // Note type - checklist notes keep their items in `items` and mirror them into content
+  type: { type: String, enum: ['text', 'checklist'], default: 'text' },
+  items: [ChecklistItemSchema],
+
   // When the reminder should fire (nullable)
   reminderAt: { type: Date, default: null },
 
+  // Optional repeat rule for the reminder (RRULE subset, see utils/recurrence.js).
+  // startAt is the first occurrence; reminderAt moves forward after each send.
+  recurrence: {
+    type: new mongoose.Schema({
+      rule: { type: String, required: true, maxlength: 500 },
+      startAt: { type: Date, required: true }
+    }, { _id: false }),
+    default: null
+  },
+
 
   // collaborator emails (simple list of strings)
   collaborators: [{
@@ -30,10 +78,38 @@ const NoteSchema = new mongoose.Schema({
     }
   }],
 
+  // Role per collaborator email (viewer, commenter, editor - see utils/collaborators.js).
+  // Collaborators missing from this list are editors.
+  collaboratorRoles: [{
+    _id: false,
+    email: { type: String, required: true },
+    role: { type: String, enum: ['viewer', 'commenter', 'editor'], default: 'editor' }
+  }],
+
   archived: { type: Boolean, default: false },
 
+  // Soft delete - set when the note is moved to trash, purged after 30 days (see utils/trash.js)
+  deletedAt: { type: Date, default: null },
+
   // NEW: mark whether reminder email has been sent
   reminderSent: { type: Boolean, default: false },
+  // Recipients already emailed for the current reminder (cleared when it moves on)
+  reminderSentTo: [{ type: String }],
+
+  // Delivery failures for the current reminder (see utils/reminders.js). Failed sends are
+  // retried with exponential backoff; after the last attempt reminderFailedAt is set and
+  // the reminder stops until the owner retries it from the note page.
+  reminderAttempts: { type: Number, default: 0 },
+  reminderLastError: { type: String, default: null },
+  reminderNextAttemptAt: { type: Date, default: null },
+  reminderFailedAt: { type: Date, default: null },
+
+  // Lease held by the reminder worker sending this note's reminder (see utils/reminders.js).
+  // Other workers skip the note until the lease is released or expires.
+  reminderLease: { type: ReminderLeaseSchema, default: null },
+
+  // More reminders, each with its own time and recipients (the main one above always goes to everyone)
+  reminders: [NoteReminderSchema],
 
   // Completed status - when true, note becomes read-only
   completed: { type: Boolean, default: false },
@@ -58,6 +134,35 @@ const NoteSchema = new mongoose.Schema({
     email: { type: String, default: null } // Email of the collaborator who made the edit
   }],
 
+  // Who last wrote each paragraph of currentContent, in paragraph order (see utils/editTracking.js)
+  attribution: [{
+    _id: false,
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    name: { type: String, default: null },
+    email: { type: String, default: null },
+    editedAt: { type: Date, default: null }
+  }],
+
+  // One entry per content change - replaces the "--- Change Log ---" block that used to live in the text
+  editLog: [{
+    _id: false,
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    name: { type: String, default: null },
+    email: { type: String, default: null },
+    editedAt: { type: Date, default: Date.now },
+    summary: { type: String, default: '' },
+    // Word-level changes with a little surrounding text, for highlighting (see describeChanges)
+    changes: [{
+      _id: false,
+      type: { type: String, enum: ['insert', 'delete', 'replace'] },
+      position: { type: Number, default: 0 },
+      removed: { type: String, default: '' },
+      added: { type: String, default: '' },
+      before: { type: String, default: '' },
+      after: { type: String, default: '' }
+    }]
+  }],
+
   // Track which collaborators opened the email notification link
   emailOpenedBy: [{ type: String }], // Array of collaborator emails who clicked the email link
 
@@ -69,8 +174,28 @@ const NoteSchema = new mongoose.Schema({
   },
 
   // Pin status - pinned notes appear first
-  pinned: { type: Boolean, default: false }
-}, { timestamps: true });
+  pinned: { type: Boolean, default: false },
+
+  // Labels owned by the note owner (see models/Label.js)
+  labels: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Label' }]
+}, {
+  timestamps: true,
+  // Every save bumps __v, which doubles as the If-Match version token (see utils/concurrency.js)
+  optimisticConcurrency: true
+});
+
+NoteSchema.index({ labels: 1 });
+NoteSchema.index({ deletedAt: 1 });
+
+// Support the notes list sort (pinned first, newest first) for owners and collaborators
+NoteSchema.index({ owner: 1, pinned: -1, updatedAt: -1, _id: -1 });
+NoteSchema.index({ collaborators: 1, pinned: -1, updatedAt: -1, _id: -1 });
+
+// Full-text search over title and content (title matches rank higher)
+NoteSchema.index(
+  { title: 'text', content: 'text' },
+  { weights: { title: 5, content: 1 }, name: 'NoteTextIndex' }
+);
 
 // Prevent model overwrite issue in dev/hot reload
 export default mongoose.models.Note || mongoose.model('Note', NoteSchema);
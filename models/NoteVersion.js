@@ -0,0 +1,109 @@
+// models/NoteVersion.js
+import mongoose from 'mongoose';
+
+// Oldest versions beyond this are pruned so busy notes don't grow without bound
+export const MAX_VERSIONS_PER_NOTE = 100;
+
+// Two saves can pick the same next number; the loser of the unique index retries this often
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Snapshot of a note's title/content after a change
+const NoteVersionSchema = new mongoose.Schema({
+  note: { type: mongoose.Schema.Types.ObjectId, ref: 'Note', required: true },
+
+  // 1, 2, 3... per note
+  version: { type: Number, required: true },
+
+  title: { type: String, default: '' },
+  content: { type: String, default: '' },
+
+  // Checklist notes also keep their items so a restore brings back checked state
+  type: { type: String, enum: ['text', 'checklist'], default: 'text' },
+  items: [{
+    _id: false,
+    text: { type: String, default: '' },
+    checked: { type: Boolean, default: false }
+  }],
+
+  // Who made the change (null for the baseline snapshot of notes created before history existed)
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  authorEmail: { type: String, default: null },
+
+  action: { type: String, enum: ['create', 'edit', 'restore'], default: 'edit' },
+  restoredFrom: { type: Number, default: null }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+NoteVersionSchema.index({ note: 1, version: -1 }, { unique: true });
+
+function snapshot(note) {
+  return {
+    title: note.title || '',
+    content: note.currentContent || note.content || '',
+    type: note.type || 'text',
+    items: note.type === 'checklist'
+      ? (note.items || []).map(item => ({ text: item.text, checked: Boolean(item.checked) }))
+      : []
+  };
+}
+
+// One attempt at record(): numbers the version after the latest one
+async function recordNext(Model, note, user, { previous, action, restoredFrom }) {
+  const latest = await Model.findOne({ note: note._id }).sort({ version: -1 }).select('version').lean();
+  let nextVersion = latest ? latest.version + 1 : 1;
+
+  if (!latest && previous) {
+    const owner = note.owner && note.owner._id ? note.owner : null;
+    await Model.create({
+      note: note._id,
+      version: nextVersion++,
+      ...snapshot(previous),
+      author: owner ? owner._id : note.owner || null,
+      authorEmail: owner ? owner.email || null : null,
+      action: 'create',
+      createdAt: previous.createdAt || note.createdAt
+    });
+  }
+
+  const version = await Model.create({
+    note: note._id,
+    version: nextVersion,
+    ...snapshot(note),
+    author: user ? user.id : null,
+    authorEmail: user ? user.email || null : null,
+    action,
+    restoredFrom
+  });
+
+  if (nextVersion > MAX_VERSIONS_PER_NOTE) {
+    await Model.deleteMany({ note: note._id, version: { $lte: nextVersion - MAX_VERSIONS_PER_NOTE } });
+  }
+
+  return version;
+}
+
+/**
+ * Records the note's current title/content as a new version.
+ * The first time a note gets a version, its state before the change
+ * (`previous`) is stored as version 1 so the edit can be diffed.
+ * Concurrent saves that pick the same number retry with the next free one.
+ * @param {object} note - Note document after the change
+ * @param {{id: string, email: string}|null} user - Author of the change
+ * @param {object} options
+ * @param {object} [options.previous] - Note state before the change ({ title, content, type, items, createdAt })
+ * @param {'create'|'edit'|'restore'} [options.action]
+ * @param {number} [options.restoredFrom] - Version number that was restored
+ * @returns {Promise<object>} - The created version
+ */
+NoteVersionSchema.statics.record = async function (note, user, { previous = null, action = 'edit', restoredFrom = null } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await recordNext(this, note, user, { previous, action, restoredFrom });
+    } catch (err) {
+      // 11000: duplicate { note, version } - someone else took this number
+      if (err.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw err;
+    }
+  }
+};
+
+// Prevent model overwrite issue in dev/hot reload
+export default mongoose.models.NoteVersion || mongoose.model('NoteVersion', NoteVersionSchema);
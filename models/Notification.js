@@ -0,0 +1,38 @@
+// models/Notification.js
+import mongoose from 'mongoose';
+
+// Notifications older than this are removed by MongoDB (TTL index below)
+export const NOTIFICATION_TTL_DAYS = 90;
+
+// In-app notification for one user (see utils/notifications.js)
+const NotificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // share: added to a note, edit: someone changed a shared note, reminder: a reminder fired,
+  // role: the user's role on a note changed
+  type: { type: String, enum: ['share', 'edit', 'reminder', 'role'], required: true },
+
+  note: { type: mongoose.Schema.Types.ObjectId, ref: 'Note', default: null },
+  // Title when the notification was created, so it still reads well if the note goes away
+  noteTitle: { type: String, default: '' },
+
+  // Who caused it (null for reminders)
+  actor: {
+    type: new mongoose.Schema({
+      id: { type: String, default: null },
+      name: { type: String, default: null },
+      email: { type: String, default: null }
+    }, { _id: false }),
+    default: null
+  },
+
+  message: { type: String, required: true },
+  readAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// Newest first per user; edits are folded into a recent notification, which bumps updatedAt
+NotificationSchema.index({ user: 1, updatedAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 60 * 60 });
+
+export default mongoose.models.Notification || mongoose.model('Notification', NotificationSchema);
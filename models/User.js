@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import crypto from 'crypto';
+import { isValidTimeZone } from '../utils/helpers.js';
 
 const UserSchema = new mongoose.Schema({
   name: { 
@@ -34,6 +35,45 @@ const UserSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters long']
   },
   isAdmin: { type: Boolean, default: false },
+  // IANA time zone (e.g. "Europe/Berlin") reminder emails and snoozes use; server zone when unset
+  timezone: {
+    type: String,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return v === null || isValidTimeZone(v);
+      },
+      message: 'Unknown time zone'
+    }
+  },
+  // Reminder digest (see utils/reminderDigest.js): with 'daily' or 'weekly', reminders are
+  // queued and sent as one summary email at 8:00 (Mondays for weekly) instead of one each
+  reminderDigest: {
+    mode: { type: String, enum: ['off', 'daily', 'weekly'], default: 'off' },
+    lastSentAt: { type: Date, default: null },
+    queue: [{
+      note: { type: mongoose.Schema.Types.ObjectId, ref: 'Note', required: true },
+      // Entry in Note.reminders, or null for the note's main reminder
+      reminder: { type: mongoose.Schema.Types.ObjectId, default: null },
+      at: { type: Date, required: true },
+      queuedAt: { type: Date, required: true }
+    }]
+  },
+  // What the user wants to hear about (see utils/notificationPrefs.js). Everything is on
+  // until turned off; muted notes send nothing on any channel.
+  notificationPrefs: {
+    email: {
+      share: { type: Boolean, default: true },
+      reminder: { type: Boolean, default: true }
+    },
+    inApp: {
+      share: { type: Boolean, default: true },
+      edit: { type: Boolean, default: true },
+      reminder: { type: Boolean, default: true },
+      role: { type: Boolean, default: true }
+    },
+    mutedNotes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Note' }]
+  },
   refreshTokens: [{
     token: { type: String, required: true },
     createdAt: { type: Date, default: Date.now }
@@ -20,7 +20,7 @@ export default async function handler(req, res) {
     });
   }
 
-  const { name, email, password } = validation.sanitized;
+  const { name, email, password, timezone = null } = validation.sanitized;
 
   // Check if user already exists
   try {
@@ -33,7 +33,7 @@ export default async function handler(req, res) {
     const passwordHash = await bcrypt.hash(password, 10);
     
     // Create user
-    const user = await User.create({ name, email, passwordHash });
+    const user = await User.create({ name, email, passwordHash, timezone });
 
   const accessToken = generateAccessToken(user);
   const refreshToken = generateRefreshToken(user);
@@ -49,7 +49,8 @@ export default async function handler(req, res) {
         _id: user._id,
         name: user.name,
         email: user.email,
-        isAdmin: user.isAdmin
+        isAdmin: user.isAdmin,
+        timezone: user.timezone
       },
       token: accessToken // Also return token for client-side Authorization headers
     });
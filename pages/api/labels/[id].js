@@ -0,0 +1,62 @@
+// pages/api/labels/[id].js
+import dbConnect from '../../../utils/mongoose';
+import Label from '../../../models/Label';
+import Note from '../../../models/Note';
+import { getUserFromReq } from '../../../utils/auth';
+import { validateLabel, isValidObjectId } from '../../../utils/validation';
+
+export default async function handler(req, res) {
+  await dbConnect();
+  const user = await getUserFromReq(req);
+  if (!user) return res.status(401).json({ error: 'unauth' });
+
+  const { id } = req.query;
+
+  // Validate label ID
+  if (!id || !isValidObjectId(id)) {
+    return res.status(400).json({ error: 'Invalid label ID' });
+  }
+
+  const label = await Label.findOne({ _id: id, owner: user.id });
+  if (!label) return res.status(404).json({ error: 'not found' });
+
+  if (req.method === 'PUT') {
+    // Rename and/or recolor
+    const validation = validateLabel(req.body, { partial: true });
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const { name, color } = validation.sanitized;
+    if (name !== undefined) label.name = name;
+    if (color !== undefined) label.color = color;
+
+    try {
+      await label.save();
+      res.json(label.toObject());
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({ error: 'A label with this name already exists' });
+      }
+      console.error('Label update error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  } else if (req.method === 'DELETE') {
+    // Detach the label from every note before removing it
+    // timestamps: false so removing a label doesn't reorder the notes list
+    await Note.updateMany(
+      { labels: label._id },
+      { $pull: { labels: label._id } },
+      { timestamps: false }
+    );
+    await label.remove();
+    res.json({ ok: true });
+  } else if (req.method === 'GET') {
+    res.json(label.toObject());
+  } else {
+    res.status(405).json({ error: 'Method not allowed' });
+  }
+}
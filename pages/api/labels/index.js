@@ -0,0 +1,55 @@
+// pages/api/labels/index.js
+import dbConnect from '../../../utils/mongoose';
+import Label from '../../../models/Label';
+import { getUserFromReq } from '../../../utils/auth';
+import { validateLabel } from '../../../utils/validation';
+
+export default async function handler(req, res) {
+  await dbConnect();
+  const user = await getUserFromReq(req);
+  if (!user) return res.status(401).json({ error: 'unauth' });
+
+  if (req.method === 'GET') {
+    // Labels are private to their owner
+    const labels = await Label.find({ owner: user.id })
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ name: 1 })
+      .lean();
+
+    res.json(labels);
+  } else if (req.method === 'POST') {
+    const validation = validateLabel(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    try {
+      const label = await Label.create({
+        owner: user.id,
+        name: validation.sanitized.name,
+        color: validation.sanitized.color || 'default'
+      });
+
+      res.status(201).json(label.toObject());
+    } catch (error) {
+      // Duplicate key error (label with the same name already exists)
+      if (error.code === 11000) {
+        return res.status(400).json({ error: 'A label with this name already exists' });
+      }
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          error: 'Validation failed',
+          errors
+        });
+      }
+      console.error('Label creation error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  } else {
+    res.status(405).json({ error: 'Method not allowed' });
+  }
+}
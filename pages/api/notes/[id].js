@@ -2,9 +2,79 @@
 import dbConnect from '../../../utils/mongoose';
 import Note from '../../../models/Note';
 import User from '../../../models/User';
+import Label from '../../../models/Label';
+import NoteVersion from '../../../models/NoteVersion';
 import { getUserFromReq } from '../../../utils/auth';
 import { sendNoteAddedNotification } from '../../../utils/emailService';
-import { validateNote, isValidObjectId, sanitizeEmail } from '../../../utils/validation';
+import { validateNote, isValidObjectId, sanitizeEmail, validateRecurrenceRule } from '../../../utils/validation';
+import { getPurgeDate } from '../../../utils/trash';
+import { textToItems, itemsToText } from '../../../utils/checklist';
+import { getCollaboratorRole, roleCanEdit, buildCollaboratorRoles, getSharingChangeError } from '../../../utils/collaborators';
+import { publishNoteEvent, describeActor } from '../../../utils/noteEvents';
+import { isNoteMuted } from '../../../utils/notificationPrefs';
+import { getRequestVersion, formatVersionToken } from '../../../utils/concurrency';
+import { mergeThreeWay, mergeValue, recordEdit, describeEditor, stripLegacyTracking } from '../../../utils/editTracking';
+import { CLEAR_REMINDER_FAILURES } from '../../../utils/reminders';
+import { notifyNoteShared, notifyNoteEdited, notifyRoleChanged } from '../../../utils/notifications';
+
+function sameSet(a, b) {
+  return a.length === b.length && a.every(value => b.includes(value));
+}
+
+// Whether a field sent with a stale update would leave the saved note as it is
+function matchesSavedNote(field, value, note) {
+  switch (field) {
+    case 'type':
+      return (value || 'text') === (note.type || 'text');
+    case 'color':
+      return (value || 'default') === (note.color || 'default');
+    case 'reminderAt':
+      return (value ? new Date(value).getTime() : null) === (note.reminderAt ? note.reminderAt.getTime() : null);
+    case 'recurrence':
+      return validateRecurrenceRule(value || null).rule === ((note.recurrence && note.recurrence.rule) || null);
+    case 'collaborators':
+      return Array.isArray(value) && sameSet(value.map(sanitizeEmail), (note.collaborators || []).map(sanitizeEmail));
+    case 'labels':
+      return Array.isArray(value) && sameSet(value.map(String), (note.labels || []).map(label => String(label._id || label)));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Three-way merges a stale title/content update (one based on an older version) into the saved note.
+ * The client sends the title/content it started from as baseTitle/baseContent.
+ * @param {object} body - Request body
+ * @param {object} note - Saved note document
+ * @returns {{title?: string, content?: string, conflicts: number, titleConflict: boolean}|null}
+ *   Merge result, or null if the update can't be merged (checklist, no base, or other fields changed)
+ */
+function mergeStaleUpdate(body, note) {
+  const { title, content, baseTitle, baseContent } = body;
+  if ((note.type || 'text') !== 'text') return null;
+  if (title === undefined && content === undefined) return null;
+  if ((title !== undefined && typeof baseTitle !== 'string') || (content !== undefined && typeof baseContent !== 'string')) {
+    return null;
+  }
+
+  const mergeable = ['version', '__v', 'title', 'content', 'baseTitle', 'baseContent'];
+  const otherFields = Object.keys(body).filter(field => !mergeable.includes(field));
+  if (!otherFields.every(field => matchesSavedNote(field, body[field], note))) return null;
+
+  const result = { conflicts: 0, titleConflict: false };
+  if (title !== undefined) {
+    const merged = mergeValue(baseTitle, note.title || '', title);
+    result.title = merged.value;
+    result.titleConflict = merged.conflict;
+  }
+  if (content !== undefined) {
+    const saved = stripLegacyTracking(note.currentContent || note.content || '');
+    const merged = mergeThreeWay(baseContent, saved, content || '');
+    result.content = merged.content;
+    result.conflicts = merged.conflicts;
+  }
+  return result;
+}
 
 export default async function handler(req, res) {
   await dbConnect();
@@ -21,7 +91,8 @@ export default async function handler(req, res) {
   const note = await Note.findById(id)
     .populate('owner', 'name email')
     .populate('lastEditedBy', 'name email')
-    .populate('collaboratorEdits.editedBy', 'name email');
+    .populate('collaboratorEdits.editedBy', 'name email')
+    .populate('labels', 'name color');
   if (!note) return res.status(404).json({ error: 'not found' });
 
   // Check if owner exists (in case user was deleted)
@@ -30,14 +101,96 @@ export default async function handler(req, res) {
   }
 
   const isOwner = note.owner._id.toString() === user.id.toString();
-  // Check if user is a collaborator (case-insensitive email comparison)
-  const isCollaborator = (note.collaborators || []).some(
-    email => email && email.toLowerCase() === (user.email || '').toLowerCase()
-  );
-  const canEdit = isOwner || isCollaborator || user.isAdmin;
-  if (!canEdit) return res.status(403).json({ error: 'forbidden' });
+  // Collaborator role (case-insensitive email match) - null if the user isn't a collaborator
+  const collaboratorRole = getCollaboratorRole(note, user.email);
+  const isCollaborator = Boolean(collaboratorRole);
+  if (!isOwner && !isCollaborator && !user.isAdmin) return res.status(403).json({ error: 'forbidden' });
+  // Viewers and commenters can open the note but not change it
+  const canEdit = isOwner || roleCanEdit(collaboratorRole) || user.isAdmin;
+  const role = isOwner ? 'owner' : collaboratorRole;
+
+  // Note with owner info, as returned by GET (also the server copy sent with a 409)
+  function formatNote(doc) {
+    return {
+      ...doc,
+      isOwner,
+      role,
+      canEdit,
+      // Whether the signed-in user muted this note (see /api/notes/[id]/mute)
+      muted: isNoteMuted(user, doc._id),
+      ownerInfo: {
+        name: doc.owner?.name || 'Unknown',
+        email: doc.owner?.email || 'Unknown'
+      },
+      owner: doc.owner?._id || doc.owner,
+      lastEditedBy: doc.lastEditedBy || null,
+      lastEditorEmail: doc.lastEditorEmail || null,
+      // Ensure originalContent and currentContent are included
+      originalContent: doc.originalContent || doc.content || '',
+      currentContent: doc.currentContent || doc.content || '',
+      content: doc.content || doc.currentContent || doc.originalContent || '', // Backward compatibility
+      // Include emailOpenedBy for tracking which collaborators opened email
+      emailOpenedBy: doc.emailOpenedBy || []
+    };
+  }
+
+  // Trashed notes are only visible to the owner
+  const inTrash = Boolean(note.deletedAt);
+  if (inTrash && !isOwner && !user.isAdmin) {
+    return res.status(404).json({ error: 'not found' });
+  }
 
   if (req.method === 'PUT') {
+    // Notes in trash must be restored before they can be edited
+    if (inTrash) {
+      return res.status(403).json({ error: 'Cannot edit notes in trash' });
+    }
+
+    if (!canEdit) {
+      return res.status(403).json({ error: 'Your role on this note does not allow editing' });
+    }
+
+    // Optimistic concurrency: the client must say which version it edited (If-Match or body.version)
+    // and gets the current copy back if someone saved in between
+    const expectedVersion = getRequestVersion(req);
+    if (expectedVersion === null) {
+      return res.status(428).json({ error: 'If-Match version token required', version: note.__v || 0 });
+    }
+    // A stale text edit is merged with the saved copy when the changes don't overlap;
+    // otherwise the 409 carries the merge (with conflict markers) for the user to finish
+    let autoMerged = false;
+    if (expectedVersion !== (note.__v || 0)) {
+      const merge = mergeStaleUpdate(req.body || {}, note);
+      if (!merge || merge.conflicts > 0 || merge.titleConflict) {
+        res.setHeader('ETag', formatVersionToken(note.__v));
+        return res.status(409).json({
+          error: 'conflict',
+          message: 'This note was changed by someone else since you loaded it',
+          note: formatNote(note.toObject()),
+          merge
+        });
+      }
+      req.body = { ...req.body };
+      if (merge.title !== undefined) req.body.title = merge.title;
+      if (merge.content !== undefined) req.body.content = merge.content;
+      autoMerged = true;
+    }
+
+    // Only the owner decides who can edit
+    const sharingError = getSharingChangeError(note, req.body, { isOwner, isAdmin: user.isAdmin });
+    if (sharingError) {
+      return res.status(403).json({ error: sharingError });
+    }
+
+    // Snapshot before the update so the change can be recorded in version history
+    const previous = {
+      title: note.title || '',
+      content: note.currentContent || note.content || '',
+      type: note.type || 'text',
+      items: (note.items || []).map(item => ({ text: item.text, checked: item.checked })),
+      createdAt: note.createdAt
+    };
+
     // Prevent editing if note is completed, unless we are un-completing it
     // We allow the request if 'completed' is present in the body (toggling status)
     if (note.completed && req.body.completed === undefined) {
@@ -49,8 +202,14 @@ export default async function handler(req, res) {
     if (req.body.title !== undefined) dataToValidate.title = req.body.title;
     if (req.body.content !== undefined) dataToValidate.content = req.body.content;
     if (req.body.collaborators !== undefined) dataToValidate.collaborators = req.body.collaborators;
+    if (req.body.collaboratorRoles !== undefined) dataToValidate.collaboratorRoles = req.body.collaboratorRoles;
     if (req.body.reminderAt !== undefined) dataToValidate.reminderAt = req.body.reminderAt;
+    if (req.body.labels !== undefined) dataToValidate.labels = req.body.labels;
+    if (req.body.type !== undefined) dataToValidate.type = req.body.type;
+    if (req.body.recurrence !== undefined) dataToValidate.recurrence = req.body.recurrence;
+    if (req.body.items !== undefined) dataToValidate.items = req.body.items;
 
+    let sanitizedUpdate = {};
     if (Object.keys(dataToValidate).length > 0) {
       const validation = validateNote(dataToValidate);
       if (!validation.valid) {
@@ -59,10 +218,38 @@ export default async function handler(req, res) {
           errors: validation.errors
         });
       }
+      sanitizedUpdate = validation.sanitized;
     }
 
-    const { reminderAt, collaborators, title, content, completed, lastEditorEmail, ...rest } = req.body;
-    // Explicitly exclude lastEditorEmail from rest to prevent tampering - we always use authenticated user's email
+    // Only the fields picked here (plus color and pinned) can be changed, each by its own handling below.
+    // Anything else in the body is ignored: lastEditorEmail always comes from the authenticated user,
+    // deletedAt only changes through DELETE and /restore, attribution/editLog/collaboratorEdits are
+    // written by recordEdit, and reminder delivery state (and extra reminders, see
+    // /api/notes/[id]/reminders) belongs to the reminder engine.
+    const { reminderAt, collaborators, collaboratorRoles, title, content: contentInput, completed, labels, archived, type, items, recurrence } = req.body;
+
+    // Checklist notes: items are the source of truth and content mirrors them.
+    // Switching type converts in place (text lines <-> items).
+    let content = contentInput;
+    const currentType = note.type || 'text';
+    const nextType = type !== undefined ? sanitizedUpdate.type : currentType;
+    if (nextType === 'checklist') {
+      if (items !== undefined) {
+        note.items = sanitizedUpdate.items;
+      } else if (contentInput !== undefined) {
+        note.items = textToItems(contentInput);
+      } else if (currentType !== 'checklist') {
+        note.items = textToItems(note.currentContent || note.content || '');
+      }
+      if (items !== undefined || contentInput !== undefined || currentType !== 'checklist') {
+        content = itemsToText(note.items);
+      }
+    } else if (currentType === 'checklist') {
+      // Back to a text note - keep the serialized items as its content
+      note.items = [];
+      if (contentInput === undefined) content = note.currentContent || note.content || '';
+    }
+    note.type = nextType;
 
     // Track old collaborators to detect new ones
     const oldCollaborators = (note.collaborators || []).map(c => String(c));
@@ -70,12 +257,35 @@ export default async function handler(req, res) {
 
     // Find newly added collaborators
     const addedCollaborators = newCollaborators.filter(c => !oldCollaborators.includes(c));
+    // Roles before this change, to tell collaborators whose role changed
+    const oldRoles = new Map(oldCollaborators.map(email => [email.toLowerCase(), getCollaboratorRole(note, email)]));
 
     // Properly handle reminderAt date conversion
+    const previousReminderTime = note.reminderAt ? note.reminderAt.getTime() : null;
     if (reminderAt !== undefined) {
       note.reminderAt = reminderAt ? new Date(reminderAt) : null;
-      // Reset reminderSent when reminder time changes
+      // Reset reminderSent (and any failed deliveries) when reminder time changes
       note.reminderSent = false;
+      note.reminderSentTo = [];
+      note.set(CLEAR_REMINDER_FAILURES);
+    }
+
+    // Recurrence hangs off the reminder: it needs a reminder time, and the series
+    // restarts from the new time whenever the reminder is moved
+    if (recurrence !== undefined || reminderAt !== undefined) {
+      const rule = recurrence !== undefined ? sanitizedUpdate.recurrence : (note.recurrence && note.recurrence.rule) || null;
+      if (rule && !note.reminderAt) {
+        return res.status(400).json({ error: 'Set a reminder time before making it repeat' });
+      }
+      if (!rule) {
+        note.recurrence = null;
+      } else {
+        const reminderMoved = note.reminderAt.getTime() !== previousReminderTime;
+        note.recurrence = {
+          rule,
+          startAt: reminderMoved || !note.recurrence ? note.reminderAt : note.recurrence.startAt
+        };
+      }
     }
 
     // Handle completed status
@@ -88,6 +298,10 @@ export default async function handler(req, res) {
       const ownerIsEditor = note.owner._id.toString() === user.id.toString();
 
       if (content !== undefined) {
+        // Attribution lives beside the text - drop any old inline tags/change log that came back with it
+        content = stripLegacyTracking(content);
+        recordEdit(note, content, describeEditor(user));
+
         // originalContent must NEVER change after creation
         note.currentContent = content || '';
         note.content = content || ''; // Keep for backward compatibility
@@ -148,6 +362,20 @@ export default async function handler(req, res) {
       }
     }
 
+    // Keep one role entry per collaborator - new collaborators start as editors unless a role is given
+    if (collaborators !== undefined || collaboratorRoles !== undefined) {
+      const requestedRoles = sanitizedUpdate.collaboratorRoles || {};
+      const collaboratorEmails = (note.collaborators || []).map(email => sanitizeEmail(email));
+      const unknown = Object.keys(requestedRoles).filter(email => !collaboratorEmails.includes(email));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          errors: unknown.map(email => `${email} is not a collaborator on this note`)
+        });
+      }
+      note.collaboratorRoles = buildCollaboratorRoles(note.collaborators, requestedRoles, note.collaboratorRoles);
+    }
+
     // Handle color
     if (req.body.color !== undefined) {
       const allowedColors = ['default', 'red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink', 'gray'];
@@ -161,18 +389,59 @@ export default async function handler(req, res) {
       note.pinned = Boolean(req.body.pinned);
     }
 
-    // lastEditorEmail is already excluded from rest in the destructuring above
-    // We always use authenticated user's email, never from request body
-    // Also explicitly remove ringtone if it somehow got into rest (though it shouldn't if not in destructuring, but safety first)
+    // Handle archive status - archiving hides the note for everyone, so only the owner can do it
+    if (archived !== undefined) {
+      if (!isOwner && !user.isAdmin) {
+        return res.status(403).json({ error: 'Only the note owner can archive this note' });
+      }
+      note.archived = Boolean(archived);
+      // Archived notes drop out of the pinned section
+      if (note.archived) note.pinned = false;
+    }
+
+    // Handle labels - labels belong to the note owner, so only the owner's labels can be attached
+    if (labels !== undefined) {
+      note.labels = await Label.filterOwnedIds(note.owner._id, sanitizedUpdate.labels || []);
+    }
+
+    try {
+      await note.save();
+    } catch (err) {
+      // Someone saved between our read and write
+      if (err.name === 'VersionError') {
+        const current = await Note.findById(note._id)
+          .populate('owner', 'name email')
+          .populate('lastEditedBy', 'name email')
+          .populate('collaboratorEdits.editedBy', 'name email')
+          .populate('labels', 'name color');
+        if (!current) return res.status(404).json({ error: 'not found' });
+        res.setHeader('ETag', formatVersionToken(current.__v));
+        return res.status(409).json({
+          error: 'conflict',
+          message: 'This note was changed by someone else since you loaded it',
+          note: formatNote(current.toObject())
+        });
+      }
+      throw err;
+    }
 
-    Object.assign(note, rest);
-    await note.save();
+    // Record every title/content change in version history
+    const titleChanged = (note.title || '') !== previous.title;
+    const contentChanged = (note.currentContent || note.content || '') !== previous.content;
+    if (titleChanged || contentChanged) {
+      try {
+        await NoteVersion.record(note, user, { previous });
+      } catch (err) {
+        console.error('Error recording note version:', err);
+      }
+    }
 
     // Populate and format response
     const updatedNote = await Note.findById(note._id)
       .populate('owner', 'name email')
       .populate('lastEditedBy', 'name email')
       .populate('collaboratorEdits.editedBy', 'name email')
+      .populate('labels', 'name color')
       .lean();
 
     if (!updatedNote || !updatedNote.owner) {
@@ -186,11 +455,26 @@ export default async function handler(req, res) {
         owner: updatedNote.owner,
         collaborators: addedCollaborators
       }).catch(err => console.error('Error sending note notification:', err));
+      notifyNoteShared(updatedNote, describeActor(user), addedCollaborators);
+    }
+
+    // In-app notifications (non-blocking)
+    if (titleChanged || contentChanged) {
+      notifyNoteEdited(updatedNote, describeActor(user));
     }
+    (updatedNote.collaborators || []).forEach(email => {
+      const oldRole = oldRoles.get(email.toLowerCase());
+      const newRole = getCollaboratorRole(updatedNote, email);
+      if (oldRole && newRole && oldRole !== newRole) {
+        notifyRoleChanged(updatedNote, describeActor(user), email, newRole);
+      }
+    });
 
     const formattedNote = {
       ...updatedNote,
       isOwner,
+      role,
+      canEdit,
       ownerInfo: {
         name: updatedNote.owner.name || 'Unknown',
         email: updatedNote.owner.email || 'Unknown'
@@ -205,33 +489,40 @@ export default async function handler(req, res) {
       emailOpenedBy: updatedNote.emailOpenedBy || []
     };
 
-    res.json(formattedNote);
+    // Push the change to everyone else with the note open
+    publishNoteEvent(updatedNote, 'update', { note: formattedNote, by: describeActor(user) }, oldCollaborators);
+
+    res.setHeader('ETag', formatVersionToken(updatedNote.__v));
+    // merged tells the client its edit was combined with someone else's
+    res.json(autoMerged ? { ...formattedNote, merged: true } : formattedNote);
   } else if (req.method === 'DELETE') {
     // Only owner can delete notes (or admin)
     if (!isOwner && !user.isAdmin) {
       return res.status(403).json({ error: 'Only the note owner can delete this note' });
     }
-    await note.remove();
-    res.json({ ok: true });
+
+    // ?permanent=true removes a note that is already in trash; otherwise move it to trash
+    if (req.query.permanent === 'true') {
+      if (!inTrash) {
+        return res.status(400).json({ error: 'Move the note to trash before deleting it permanently' });
+      }
+      await note.remove();
+      await NoteVersion.deleteMany({ note: note._id });
+      publishNoteEvent(note, 'deleted', { permanent: true, by: describeActor(user) });
+      return res.json({ ok: true, permanent: true });
+    }
+
+    if (!inTrash) {
+      // Atomic so a concurrent edit can't make the move fail; trashing needs no version bump
+      note.deletedAt = new Date();
+      note.pinned = false;
+      await Note.updateOne({ _id: note._id }, { $set: { deletedAt: note.deletedAt, pinned: false } });
+      publishNoteEvent(note, 'deleted', { permanent: false, by: describeActor(user) });
+    }
+    res.json({ ok: true, deletedAt: note.deletedAt, purgeAt: getPurgeDate(note.deletedAt) });
   } else {
     // GET request - return note with owner info
-    const formattedNote = {
-      ...note.toObject(),
-      isOwner,
-      ownerInfo: {
-        name: note.owner?.name || 'Unknown',
-        email: note.owner?.email || 'Unknown'
-      },
-      owner: note.owner?._id || note.owner,
-      lastEditedBy: note.lastEditedBy || null,
-      lastEditorEmail: note.lastEditorEmail || null,
-      // Ensure originalContent and currentContent are included
-      originalContent: note.originalContent || note.content || '',
-      currentContent: note.currentContent || note.content || '',
-      content: note.content || note.currentContent || note.originalContent || '', // Backward compatibility
-      // Include emailOpenedBy for tracking which collaborators opened email
-      emailOpenedBy: note.emailOpenedBy || []
-    };
-    res.json(formattedNote);
+    res.setHeader('ETag', formatVersionToken(note.__v));
+    res.json(formatNote(note.toObject()));
   }
 }
@@ -2,6 +2,7 @@
 import dbConnect from '../../../../utils/mongoose';
 import Note from '../../../../models/Note';
 import { isValidEmail, sanitizeEmail, isValidObjectId } from '../../../../utils/validation';
+import { getCollaboratorRole, roleCanEdit } from '../../../../utils/collaborators';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -30,17 +31,18 @@ export default async function handler(req, res) {
 
   try {
     const note = await Note.findById(id).lean();
-    if (!note) {
+    // Notes in trash are hidden from collaborators
+    if (!note || note.deletedAt) {
       return res.status(404).json({ error: 'Note not found' });
     }
 
-    // Check if email is in collaborators array (case-insensitive)
-    const isCollaborator = (note.collaborators || []).some(
-      c => c && sanitizeEmail(c) === sanitizedEmail
-    );
+    // Check if email is in collaborators array (case-insensitive) and with which role
+    const role = getCollaboratorRole(note, sanitizedEmail);
 
     res.json({ 
-      isCollaborator,
+      isCollaborator: Boolean(role),
+      role,
+      canEdit: roleCanEdit(role),
       noteId: note._id.toString(),
       email: sanitizedEmail
     });
@@ -0,0 +1,62 @@
+// pages/api/notes/[id]/events.js
+// Server-Sent Events stream for one note: "update", "deleted", "presence" (who is viewing)
+// and "revoked" (the viewer lost access). Auth comes from the access_token cookie since
+// EventSource can't send an Authorization header.
+import { v4 as uuidv4 } from 'uuid';
+import dbConnect from '../../../../utils/mongoose';
+import Note from '../../../../models/Note';
+import { getUserFromReq } from '../../../../utils/auth';
+import { isValidObjectId } from '../../../../utils/validation';
+import { getCollaboratorRole } from '../../../../utils/collaborators';
+import { openEventStream, subscribeToNote, joinPresence, leavePresence, canReceive, describeActor } from '../../../../utils/noteEvents';
+
+// The stream stays open after the handler returns
+export const config = { api: { externalResolver: true } };
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await dbConnect();
+  const user = await getUserFromReq(req);
+  if (!user) return res.status(401).json({ error: 'unauth' });
+
+  const { id } = req.query;
+
+  // Validate note ID
+  if (!id || !isValidObjectId(id)) {
+    return res.status(400).json({ error: 'Invalid note ID' });
+  }
+
+  const note = await Note.findById(id).select('owner collaborators collaboratorRoles deletedAt').lean();
+  if (!note || !note.owner) return res.status(404).json({ error: 'not found' });
+
+  // Any role can watch a note
+  const isOwner = note.owner.toString() === user.id.toString();
+  const collaboratorRole = getCollaboratorRole(note, user.email);
+  if (!isOwner && !collaboratorRole && !user.isAdmin) return res.status(403).json({ error: 'forbidden' });
+  if (note.deletedAt && !isOwner && !user.isAdmin) return res.status(404).json({ error: 'not found' });
+
+  const connectionId = uuidv4();
+  const noteId = note._id.toString();
+
+  let unsubscribe = () => {};
+  const stream = openEventStream(req, res, () => {
+    unsubscribe();
+    leavePresence(noteId, connectionId);
+  });
+
+  unsubscribe = subscribeToNote(noteId, ({ event, audience }) => {
+    // Removed from the collaborators - stop streaming
+    if (audience && !canReceive(audience, user)) {
+      stream.send({ type: 'revoked', noteId });
+      stream.close();
+      return;
+    }
+    stream.send(event);
+  });
+
+  // Announces this viewer - the resulting presence event also reaches this stream
+  joinPresence(noteId, connectionId, describeActor(user));
+}
@@ -0,0 +1,78 @@
+// pages/api/notes/[id]/items/[itemId].js
+// Single checklist item: PUT updates text and/or checked (toggle), DELETE removes it
+import dbConnect from '../../../../../utils/mongoose';
+import Note from '../../../../../models/Note';
+import { getUserFromReq } from '../../../../../utils/auth';
+import { validateChecklistItemText, isValidObjectId } from '../../../../../utils/validation';
+import { applyChecklistEdit } from '../../../../../utils/checklist';
+import { getNoteEditAccess } from '../../../../../utils/collaborators';
+import { publishNoteEvent, describeActor } from '../../../../../utils/noteEvents';
+import { notifyNoteEdited } from '../../../../../utils/notifications';
+import { saveNoteOrConflict } from '../../../../../utils/concurrency';
+
+export default async function handler(req, res) {
+  if (req.method !== 'PUT' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await dbConnect();
+  const user = await getUserFromReq(req);
+  if (!user) return res.status(401).json({ error: 'unauth' });
+
+  const { id, itemId } = req.query;
+
+  // Validate note and item IDs
+  if (!id || !isValidObjectId(id)) {
+    return res.status(400).json({ error: 'Invalid note ID' });
+  }
+  if (!itemId || !isValidObjectId(itemId)) {
+    return res.status(400).json({ error: 'Invalid item ID' });
+  }
+
+  const note = await Note.findById(id).populate('owner', 'name email');
+  if (!note || !note.owner) return res.status(404).json({ error: 'not found' });
+
+  const { isOwner, status, error } = getNoteEditAccess(note, user);
+  if (error) return res.status(status).json({ error });
+  if (note.type !== 'checklist') return res.status(400).json({ error: 'Note is not a checklist' });
+
+  const item = note.items.id(itemId);
+  if (!item) return res.status(404).json({ error: 'Checklist item not found' });
+
+  if (req.method === 'PUT') {
+    const { text, checked } = req.body || {};
+    if (text === undefined && checked === undefined) {
+      return res.status(400).json({ error: 'Provide text and/or checked' });
+    }
+    if (text !== undefined) {
+      const validation = validateChecklistItemText(text);
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Validation failed', errors: validation.errors });
+      }
+      item.text = text.trim();
+    }
+    if (checked !== undefined) {
+      item.checked = Boolean(checked);
+    }
+  } else {
+    note.items.pull(item._id);
+  }
+
+  applyChecklistEdit(note, user, isOwner);
+  if (!(await saveNoteOrConflict(note, res))) return;
+
+  const result = {
+    _id: note._id,
+    type: note.type,
+    items: note.items,
+    content: note.content,
+    currentContent: note.currentContent,
+    attribution: note.attribution,
+    updatedAt: note.updatedAt,
+    __v: note.__v
+  };
+  publishNoteEvent(note, 'update', { note: result, by: describeActor(user) });
+  notifyNoteEdited(note, describeActor(user));
+
+  res.json(result);
+}
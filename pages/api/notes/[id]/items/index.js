@@ -0,0 +1,85 @@
+// pages/api/notes/[id]/items/index.js
+// Checklist items: POST adds an item, PUT reorders all items
+import dbConnect from '../../../../../utils/mongoose';
+import Note from '../../../../../models/Note';
+import { getUserFromReq } from '../../../../../utils/auth';
+import { validateChecklistItemText, isValidObjectId } from '../../../../../utils/validation';
+import { applyChecklistEdit, MAX_CHECKLIST_ITEMS } from '../../../../../utils/checklist';
+import { getNoteEditAccess } from '../../../../../utils/collaborators';
+import { publishNoteEvent, describeActor } from '../../../../../utils/noteEvents';
+import { notifyNoteEdited } from '../../../../../utils/notifications';
+import { saveNoteOrConflict } from '../../../../../utils/concurrency';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST' && req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await dbConnect();
+  const user = await getUserFromReq(req);
+  if (!user) return res.status(401).json({ error: 'unauth' });
+
+  const { id } = req.query;
+
+  // Validate note ID
+  if (!id || !isValidObjectId(id)) {
+    return res.status(400).json({ error: 'Invalid note ID' });
+  }
+
+  const note = await Note.findById(id).populate('owner', 'name email');
+  if (!note || !note.owner) return res.status(404).json({ error: 'not found' });
+
+  const { isOwner, status, error } = getNoteEditAccess(note, user);
+  if (error) return res.status(status).json({ error });
+  if (note.type !== 'checklist') return res.status(400).json({ error: 'Note is not a checklist' });
+
+  if (req.method === 'POST') {
+    // Add an item: { text, checked?, position? } - appended unless a position is given
+    const { text, checked, position } = req.body || {};
+    const validation = validateChecklistItemText(text);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Validation failed', errors: validation.errors });
+    }
+    if (note.items.length >= MAX_CHECKLIST_ITEMS) {
+      return res.status(400).json({ error: `Cannot have more than ${MAX_CHECKLIST_ITEMS} checklist items` });
+    }
+
+    const index = Number.isInteger(position)
+      ? Math.min(Math.max(position, 0), note.items.length)
+      : note.items.length;
+    note.items.splice(index, 0, { text: text.trim(), checked: Boolean(checked) });
+  } else {
+    // Reorder: { order: [itemId, ...] } must list every item exactly once
+    const { order } = req.body || {};
+    const currentIds = note.items.map(item => item._id.toString());
+    if (
+      !Array.isArray(order) ||
+      order.length !== currentIds.length ||
+      new Set(order.map(String)).size !== order.length ||
+      !order.every(itemId => currentIds.includes(String(itemId)))
+    ) {
+      return res.status(400).json({ error: 'order must list every checklist item ID exactly once' });
+    }
+
+    const byId = new Map(note.items.map(item => [item._id.toString(), item.toObject()]));
+    note.items = order.map(itemId => byId.get(String(itemId)));
+  }
+
+  applyChecklistEdit(note, user, isOwner);
+  if (!(await saveNoteOrConflict(note, res))) return;
+
+  const result = {
+    _id: note._id,
+    type: note.type,
+    items: note.items,
+    content: note.content,
+    currentContent: note.currentContent,
+    attribution: note.attribution,
+    updatedAt: note.updatedAt,
+    __v: note.__v
+  };
+  publishNoteEvent(note, 'update', { note: result, by: describeActor(user) });
+  notifyNoteEdited(note, describeActor(user));
+
+  res.status(req.method === 'POST' ? 201 : 200).json(result);
+}
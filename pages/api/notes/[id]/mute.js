@@ -0,0 +1,56 @@
+// pages/api/notes/[id]/mute.js
+// PUT { muted } mutes or unmutes a note for the signed-in user: a muted note sends them no
+// emails or in-app notifications (User.notificationPrefs.mutedNotes, see
+// utils/notificationPrefs.js). Muting needs access to the note; unmuting always works, so
+// the settings page can clear notes the user has since lost or that were deleted.
+import dbConnect from '../../../../utils/mongoose';
+import Note from '../../../../models/Note';
+import User from '../../../../models/User';
+import { getUserFromReq } from '../../../../utils/auth';
+import { isValidObjectId } from '../../../../utils/validation';
+import { getCollaboratorRole } from '../../../../utils/collaborators';
+
+export default async function handler(req, res) {
+  if (req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+
+  // Validate note ID
+  if (!id || !isValidObjectId(id)) {
+    return res.status(400).json({ error: 'Invalid note ID' });
+  }
+
+  const { muted } = req.body || {};
+  if (typeof muted !== 'boolean') {
+    return res.status(400).json({ error: 'muted must be true or false' });
+  }
+
+  await dbConnect();
+  const user = await getUserFromReq(req);
+  if (!user) return res.status(401).json({ error: 'unauth' });
+
+  try {
+    if (muted) {
+      const note = await Note.findById(id).select('owner collaborators collaboratorRoles deletedAt').lean();
+      if (!note || note.deletedAt) return res.status(404).json({ error: 'not found' });
+
+      const isOwner = note.owner && note.owner.toString() === user.id.toString();
+      if (!isOwner && !getCollaboratorRole(note, user.email)) {
+        return res.status(403).json({ error: 'forbidden' });
+      }
+    }
+
+    await User.updateOne(
+      { _id: user.id },
+      muted
+        ? { $addToSet: { 'notificationPrefs.mutedNotes': id } }
+        : { $pull: { 'notificationPrefs.mutedNotes': id } }
+    );
+    res.json({ muted });
+  } catch (error) {
+    console.error('Error muting note:', error);
+    res.status(500).json({ error: 'Failed to update note' });
+  }
+}
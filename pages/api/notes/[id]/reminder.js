@@ -0,0 +1,164 @@
+// pages/api/notes/[id]/reminder.js
+// Reminder actions for one note (see utils/reminders.js):
+// - POST { action: 'retry' } puts a failed reminder back in the queue (owner only)
+// - POST { action: 'snooze', option } pushes the reminder back (anyone who can edit)
+//   Both take an optional reminderId to act on an entry in Note.reminders instead of
+//   the main reminder.
+// - GET ?token=... is the snooze link from reminder emails. It changes nothing (mail
+//   scanners open links too) and redirects to the /snooze confirmation page.
+// - POST ?token=... is what that page sends. The signed token names the note (and
+//   reminder), option, recipient and the reminder time the email was for, so no login is
+//   needed: the recipient must still be able to edit the note and the reminder must not
+//   have moved since (which also makes each link work once).
+import dbConnect from '../../../../utils/mongoose';
+import Note from '../../../../models/Note';
+import { getUserFromReq } from '../../../../utils/auth';
+import { isValidObjectId } from '../../../../utils/validation';
+import { getCollaboratorRole, roleCanEdit } from '../../../../utils/collaborators';
+import { publishNoteEvent, describeActor } from '../../../../utils/noteEvents';
+import { verifyLinkToken } from '../../../../utils/linkTokens';
+import { isSnoozeOption } from '../../../../utils/snooze';
+import { CLEAR_REMINDER_FAILURES, CLEAR_NOTE_REMINDER_FAILURES, snoozeReminder, recipientCanSnooze } from '../../../../utils/reminders';
+import { saveNoteOrConflict } from '../../../../utils/concurrency';
+
+// Fields sent back to the note page after a change
+function reminderState(note) {
+  return {
+    reminderAt: note.reminderAt,
+    reminderSent: note.reminderSent,
+    reminderAttempts: note.reminderAttempts,
+    reminderLastError: note.reminderLastError,
+    reminderNextAttemptAt: note.reminderNextAttemptAt,
+    reminderFailedAt: note.reminderFailedAt,
+    reminders: note.reminders,
+    __v: note.__v
+  };
+}
+
+function publishReminderChange(note, by) {
+  publishNoteEvent(note, 'update', { note: { _id: note._id, ...reminderState(note) }, by });
+}
+
+// Snoozes only apply to live notes with a reminder
+function canSnooze(note, reminder) {
+  return note && !note.deletedAt && !note.archived && !note.completed && (reminder || note.reminderAt);
+}
+
+// The note.reminders entry an action is for; null for the main reminder, undefined if missing
+function findReminder(note, reminderId) {
+  if (!reminderId) return null;
+  return (isValidObjectId(reminderId) && note.reminders.id(reminderId)) || undefined;
+}
+
+// Claims of a snooze link token for note `id`, or null when it is invalid or expired
+function verifySnoozeToken(token, id) {
+  const claims = verifyLinkToken(token, 'snooze');
+  if (!claims || claims.note !== id || !isSnoozeOption(claims.option) || !claims.email || !claims.at) return null;
+  return claims;
+}
+
+// Link from a reminder email: only shows the confirmation page
+function handleSnoozeLink(req, res, id) {
+  const claims = verifySnoozeToken(req.query.token, id);
+  if (!claims) return res.redirect(302, '/snooze?status=invalid');
+  const query = new URLSearchParams({ note: id, option: claims.option, token: req.query.token });
+  res.redirect(302, `/snooze?${query}`);
+}
+
+// Confirmed snooze from the /snooze page
+async function handleSnoozeConfirm(req, res, id) {
+  const claims = verifySnoozeToken(req.query.token, id);
+  if (!claims) return res.status(400).json({ error: 'This snooze link is invalid or has expired' });
+
+  const note = await Note.findById(id).populate('owner', 'email');
+  const reminder = note && findReminder(note, claims.reminder);
+  const current = reminder ? reminder.at : note?.reminderAt;
+  if (reminder === undefined || !canSnooze(note, reminder) || !current || current.getTime() !== new Date(claims.at).getTime()) {
+    return res.status(409).json({ error: 'This reminder can no longer be snoozed' });
+  }
+  if (!recipientCanSnooze(note, claims.email)) {
+    return res.status(403).json({ error: 'Your role on this note does not allow snoozing its reminders' });
+  }
+
+  const reminderAt = snoozeReminder(note, claims.option, new Date(), claims.tz, reminder);
+  if (!(await saveNoteOrConflict(note, res))) return;
+  publishReminderChange(note, null);
+
+  res.json({ ok: true, reminderAt });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+
+  // Validate note ID
+  if (!id || !isValidObjectId(id)) {
+    return res.status(400).json({ error: 'Invalid note ID' });
+  }
+
+  await dbConnect();
+
+  if (req.method === 'GET') return handleSnoozeLink(req, res, id);
+  if (req.query.token !== undefined) {
+    try {
+      return await handleSnoozeConfirm(req, res, id);
+    } catch (error) {
+      console.error('Error snoozing reminder from link:', error);
+      return res.status(500).json({ error: 'Failed to snooze reminder' });
+    }
+  }
+
+  const user = await getUserFromReq(req);
+  if (!user) return res.status(401).json({ error: 'unauth' });
+
+  const { action, option, reminderId } = req.body || {};
+  if (action !== 'retry' && action !== 'snooze') {
+    return res.status(400).json({ error: 'Unknown reminder action' });
+  }
+  if (action === 'snooze' && !isSnoozeOption(option)) {
+    return res.status(400).json({ error: 'Invalid snooze option' });
+  }
+
+  try {
+    const note = await Note.findById(id);
+    if (!note || note.deletedAt) return res.status(404).json({ error: 'not found' });
+
+    const isOwner = note.owner && note.owner.toString() === user.id.toString();
+    const reminder = findReminder(note, reminderId);
+    if (reminder === undefined) return res.status(404).json({ error: 'Reminder not found' });
+
+    if (action === 'snooze') {
+      const canEdit = isOwner || roleCanEdit(getCollaboratorRole(note, user.email)) || user.isAdmin;
+      if (!canEdit) return res.status(403).json({ error: 'forbidden' });
+      if (!canSnooze(note, reminder)) {
+        return res.status(400).json({ error: 'Note has no active reminder' });
+      }
+      snoozeReminder(note, option, new Date(), user.timezone, reminder);
+    } else {
+      // Delivery problems are the owner's to deal with
+      if (!isOwner && !user.isAdmin) {
+        return res.status(403).json({ error: 'forbidden' });
+      }
+      if (!(reminder ? reminder.failedAt : note.reminderFailedAt)) {
+        return res.status(400).json({ error: 'Reminder has not failed' });
+      }
+      // Recipients who already got it (sentTo) aren't emailed again
+      if (reminder) {
+        reminder.set({ ...CLEAR_NOTE_REMINDER_FAILURES, sent: false, lease: null });
+      } else {
+        note.set({ ...CLEAR_REMINDER_FAILURES, reminderSent: false, reminderLease: null });
+      }
+    }
+
+    if (!(await saveNoteOrConflict(note, res))) return;
+    publishReminderChange(note, describeActor(user));
+
+    res.json({ ok: true, ...reminderState(note) });
+  } catch (error) {
+    console.error(`Error updating reminder (${action}):`, error);
+    res.status(500).json({ error: 'Failed to update reminder' });
+  }
+}
@@ -0,0 +1,77 @@
+// pages/api/notes/[id]/reminders/[reminderId].js
+// Single extra reminder: PUT changes { at, audience, recipients } (and re-arms it for
+// everyone), DELETE removes it
+import dbConnect from '../../../../../utils/mongoose';
+import Note from '../../../../../models/Note';
+import { getUserFromReq } from '../../../../../utils/auth';
+import { validateNoteReminder, isValidObjectId } from '../../../../../utils/validation';
+import { getNoteEditAccess } from '../../../../../utils/collaborators';
+import { publishNoteEvent, describeActor } from '../../../../../utils/noteEvents';
+import { CLEAR_NOTE_REMINDER_FAILURES, getReminderRecipients } from '../../../../../utils/reminders';
+import { saveNoteOrConflict } from '../../../../../utils/concurrency';
+
+export default async function handler(req, res) {
+  if (req.method !== 'PUT' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await dbConnect();
+  const user = await getUserFromReq(req);
+  if (!user) return res.status(401).json({ error: 'unauth' });
+
+  const { id, reminderId } = req.query;
+
+  // Validate note and reminder IDs
+  if (!id || !isValidObjectId(id)) {
+    return res.status(400).json({ error: 'Invalid note ID' });
+  }
+  if (!reminderId || !isValidObjectId(reminderId)) {
+    return res.status(400).json({ error: 'Invalid reminder ID' });
+  }
+
+  const note = await Note.findById(id).populate('owner', 'name email');
+  if (!note || !note.owner) return res.status(404).json({ error: 'not found' });
+
+  const { status, error } = getNoteEditAccess(note, user);
+  if (error) return res.status(status).json({ error });
+
+  const reminder = note.reminders.id(reminderId);
+  if (!reminder) return res.status(404).json({ error: 'Reminder not found' });
+
+  if (req.method === 'PUT') {
+    const validation = validateNoteReminder(req.body || {}, { partial: true });
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Validation failed', errors: validation.errors });
+    }
+    if (!Object.keys(validation.sanitized).length) {
+      return res.status(400).json({ error: 'Provide at, audience and/or recipients' });
+    }
+
+    const changes = { ...validation.sanitized };
+    const audience = changes.audience || reminder.audience;
+    if (audience !== 'selected') {
+      changes.recipients = [];
+    } else {
+      const recipients = changes.recipients || reminder.recipients;
+      if (!recipients.length) {
+        return res.status(400).json({ error: 'Choose at least one recipient' });
+      }
+      // Saved recipients who have since left the note are skipped when sending
+      if (changes.recipients && getReminderRecipients(note, { audience, recipients }).length !== recipients.length) {
+        return res.status(400).json({ error: 'Recipients must be the owner or collaborators of this note' });
+      }
+    }
+
+    // A changed reminder goes out again, to everyone in its audience
+    reminder.set({ ...changes, ...CLEAR_NOTE_REMINDER_FAILURES, sent: false, sentTo: [], lease: null });
+  } else {
+    note.reminders.pull(reminder._id);
+  }
+
+  if (!(await saveNoteOrConflict(note, res))) return;
+
+  const result = { _id: note._id, reminders: note.reminders, __v: note.__v };
+  publishNoteEvent(note, 'update', { note: result, by: describeActor(user) });
+
+  res.json(result);
+}
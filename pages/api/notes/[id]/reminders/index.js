@@ -0,0 +1,59 @@
+// pages/api/notes/[id]/reminders/index.js
+// Extra reminders (Note.reminders): POST adds one { at, audience?, recipients? }.
+// audience is 'everyone' (default), 'owner' or 'selected' (the listed recipients, who
+// must be on the note). Sending is done by the reminder engine (utils/reminders.js).
+import dbConnect from '../../../../../utils/mongoose';
+import Note from '../../../../../models/Note';
+import { getUserFromReq } from '../../../../../utils/auth';
+import { validateNoteReminder, isValidObjectId, MAX_NOTE_REMINDERS } from '../../../../../utils/validation';
+import { getNoteEditAccess } from '../../../../../utils/collaborators';
+import { publishNoteEvent, describeActor } from '../../../../../utils/noteEvents';
+import { getReminderRecipients } from '../../../../../utils/reminders';
+import { saveNoteOrConflict } from '../../../../../utils/concurrency';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await dbConnect();
+  const user = await getUserFromReq(req);
+  if (!user) return res.status(401).json({ error: 'unauth' });
+
+  const { id } = req.query;
+
+  // Validate note ID
+  if (!id || !isValidObjectId(id)) {
+    return res.status(400).json({ error: 'Invalid note ID' });
+  }
+
+  const note = await Note.findById(id).populate('owner', 'name email');
+  if (!note || !note.owner) return res.status(404).json({ error: 'not found' });
+
+  const { status, error } = getNoteEditAccess(note, user);
+  if (error) return res.status(status).json({ error });
+
+  const validation = validateNoteReminder(req.body || {});
+  if (!validation.valid) {
+    return res.status(400).json({ error: 'Validation failed', errors: validation.errors });
+  }
+  const reminder = { recipients: [], ...validation.sanitized };
+  if (reminder.audience !== 'selected') {
+    reminder.recipients = [];
+  } else if (!reminder.recipients.length) {
+    return res.status(400).json({ error: 'Choose at least one recipient' });
+  } else if (getReminderRecipients(note, reminder).length !== reminder.recipients.length) {
+    return res.status(400).json({ error: 'Recipients must be the owner or collaborators of this note' });
+  }
+  if (note.reminders.length >= MAX_NOTE_REMINDERS) {
+    return res.status(400).json({ error: `Cannot have more than ${MAX_NOTE_REMINDERS} extra reminders` });
+  }
+
+  note.reminders.push({ ...reminder, createdBy: user.id });
+  if (!(await saveNoteOrConflict(note, res))) return;
+
+  const result = { _id: note._id, reminders: note.reminders, __v: note.__v };
+  publishNoteEvent(note, 'update', { note: result, by: describeActor(user) });
+
+  res.status(201).json(result);
+}
@@ -0,0 +1,45 @@
+// pages/api/notes/[id]/restore.js
+import dbConnect from '../../../../utils/mongoose';
+import Note from '../../../../models/Note';
+import { getUserFromReq } from '../../../../utils/auth';
+import { isValidObjectId } from '../../../../utils/validation';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await dbConnect();
+  const user = await getUserFromReq(req);
+  if (!user) return res.status(401).json({ error: 'unauth' });
+
+  const { id } = req.query;
+
+  // Validate note ID
+  if (!id || !isValidObjectId(id)) {
+    return res.status(400).json({ error: 'Invalid note ID' });
+  }
+
+  try {
+    const note = await Note.findById(id);
+    if (!note) return res.status(404).json({ error: 'not found' });
+
+    // Only the owner (or admin) can see and restore their trash
+    const isOwner = note.owner && note.owner.toString() === user.id.toString();
+    if (!isOwner && !user.isAdmin) {
+      return res.status(404).json({ error: 'not found' });
+    }
+
+    if (!note.deletedAt) {
+      return res.status(400).json({ error: 'Note is not in trash' });
+    }
+
+    // Atomic so a concurrent write can't make the restore fail; only deletedAt changes
+    await Note.updateOne({ _id: note._id }, { $set: { deletedAt: null } });
+
+    res.json({ ok: true, _id: note._id });
+  } catch (error) {
+    console.error('Error restoring note:', error);
+    res.status(500).json({ error: 'Failed to restore note' });
+  }
+}
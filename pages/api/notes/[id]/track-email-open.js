@@ -3,6 +3,7 @@ import dbConnect from '../../../../utils/mongoose';
 import Note from '../../../../models/Note';
 import { getUserFromReq } from '../../../../utils/auth';
 import { isValidEmail, sanitizeEmail, isValidObjectId } from '../../../../utils/validation';
+import { getCollaboratorRole } from '../../../../utils/collaborators';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -32,16 +33,20 @@ export default async function handler(req, res) {
 
   const sanitizedEmail = sanitizeEmail(email);
 
+  // Users can only record their own email opening the link
+  if (sanitizedEmail !== sanitizeEmail(user.email || '') && !user.isAdmin) {
+    return res.status(403).json({ error: 'Email does not match the signed-in user' });
+  }
+
   try {
     const note = await Note.findById(id);
-    if (!note) return res.status(404).json({ error: 'Note not found' });
+    // Notes in trash are hidden from collaborators
+    if (!note || note.deletedAt) return res.status(404).json({ error: 'Note not found' });
 
-    // Verify the email is actually a collaborator on this note
-    const isCollaborator = (note.collaborators || []).some(
-      c => c && sanitizeEmail(c) === sanitizedEmail
-    );
+    // Verify the email is actually a collaborator on this note (any role can open it)
+    const role = getCollaboratorRole(note, sanitizedEmail);
 
-    if (!isCollaborator) {
+    if (!role) {
       return res.status(403).json({ error: 'Email is not a collaborator on this note' });
     }
 
@@ -61,10 +66,16 @@ export default async function handler(req, res) {
       ) || sanitizedEmail;
       
       note.emailOpenedBy.push(originalEmail);
-      await note.save();
+      // Direct update rather than save() - opening the link is bookkeeping and must not
+      // bump the note's version (that would make open editors' If-Match tokens stale)
+      await Note.updateOne(
+        { _id: note._id },
+        { $addToSet: { emailOpenedBy: originalEmail } },
+        { timestamps: false }
+      );
     }
 
-    res.json({ ok: true, emailOpenedBy: note.emailOpenedBy });
+    res.json({ ok: true, role, emailOpenedBy: note.emailOpenedBy });
   } catch (error) {
     console.error('Error tracking email open:', error);
     res.status(500).json({ error: 'Failed to track email open' });
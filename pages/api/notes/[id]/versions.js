@@ -0,0 +1,194 @@
+// pages/api/notes/[id]/versions.js
+// Version history for a note:
+//   GET                      -> list versions (newest first)
+//   GET ?versionId=          -> one version with its full content
+//   GET ?from=&to=           -> line diff between two versions ("current" = the live note)
+//   POST { versionId }       -> restore a version (recorded as a new version); needs If-Match like PUT
+import dbConnect from '../../../../utils/mongoose';
+import Note from '../../../../models/Note';
+import NoteVersion from '../../../../models/NoteVersion';
+import { getUserFromReq } from '../../../../utils/auth';
+import { isValidObjectId } from '../../../../utils/validation';
+import { diffLines, summarizeDiff } from '../../../../utils/diff';
+import { publishNoteEvent, describeActor } from '../../../../utils/noteEvents';
+import { notifyNoteEdited } from '../../../../utils/notifications';
+import { getCollaboratorRole, roleCanEdit } from '../../../../utils/collaborators';
+import { recordEdit, describeEditor } from '../../../../utils/editTracking';
+import { saveNoteOrConflict, getRequestVersion, formatVersionToken } from '../../../../utils/concurrency';
+
+// Loads one side of a diff: a stored version or the live note
+async function loadSide(note, ref) {
+  if (ref === 'current') {
+    return {
+      _id: 'current',
+      version: null,
+      title: note.title || '',
+      content: note.currentContent || note.content || '',
+      createdAt: note.updatedAt
+    };
+  }
+  if (!isValidObjectId(ref)) return null;
+  return NoteVersion.findOne({ _id: ref, note: note._id }).lean();
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await dbConnect();
+  const user = await getUserFromReq(req);
+  if (!user) return res.status(401).json({ error: 'unauth' });
+
+  const { id } = req.query;
+
+  // Validate note ID
+  if (!id || !isValidObjectId(id)) {
+    return res.status(400).json({ error: 'Invalid note ID' });
+  }
+
+  const note = await Note.findById(id).populate('owner', 'name email');
+  if (!note || !note.owner) return res.status(404).json({ error: 'not found' });
+
+  const isOwner = note.owner._id.toString() === user.id.toString();
+  const collaboratorRole = getCollaboratorRole(note, user.email);
+  if (!isOwner && !collaboratorRole && !user.isAdmin) return res.status(403).json({ error: 'forbidden' });
+  if (note.deletedAt && !isOwner && !user.isAdmin) return res.status(404).json({ error: 'not found' });
+
+  if (req.method === 'GET') {
+    const { versionId, from, to } = req.query;
+
+    if (from !== undefined || to !== undefined) {
+      const [fromVersion, toVersion] = await Promise.all([
+        loadSide(note, String(from || '')),
+        loadSide(note, String(to || 'current'))
+      ]);
+      if (!fromVersion || !toVersion) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+
+      const diff = diffLines(fromVersion.content, toVersion.content);
+      return res.json({
+        from: { _id: fromVersion._id, version: fromVersion.version, title: fromVersion.title, createdAt: fromVersion.createdAt },
+        to: { _id: toVersion._id, version: toVersion.version, title: toVersion.title, createdAt: toVersion.createdAt },
+        titleChanged: fromVersion.title !== toVersion.title,
+        diff,
+        summary: summarizeDiff(diff)
+      });
+    }
+
+    if (versionId !== undefined) {
+      if (!isValidObjectId(versionId)) {
+        return res.status(400).json({ error: 'Invalid version ID' });
+      }
+      const version = await NoteVersion.findOne({ _id: versionId, note: note._id })
+        .populate('author', 'name email')
+        .lean();
+      if (!version) return res.status(404).json({ error: 'Version not found' });
+      return res.json(version);
+    }
+
+    const versions = await NoteVersion.find({ note: note._id })
+      .sort({ version: -1 })
+      .select('version title author authorEmail action restoredFrom createdAt')
+      .populate('author', 'name email')
+      .lean();
+    return res.json({ versions });
+  }
+
+  // POST - restore a version
+  if (!isOwner && !roleCanEdit(collaboratorRole) && !user.isAdmin) {
+    return res.status(403).json({ error: 'Your role on this note does not allow editing' });
+  }
+  if (note.deletedAt) {
+    return res.status(403).json({ error: 'Cannot edit notes in trash' });
+  }
+  if (note.completed) {
+    return res.status(403).json({ error: 'Cannot edit completed notes' });
+  }
+
+  // Same version check as PUT /api/notes/[id]: restoring from a stale history view must
+  // not silently replace newer edits
+  const expectedVersion = getRequestVersion(req);
+  if (expectedVersion === null) {
+    return res.status(428).json({ error: 'If-Match version token required', version: note.__v || 0 });
+  }
+  if (expectedVersion !== (note.__v || 0)) {
+    res.setHeader('ETag', formatVersionToken(note.__v));
+    return res.status(409).json({
+      error: 'conflict',
+      message: 'This note was changed by someone else since you loaded it',
+      __v: note.__v || 0
+    });
+  }
+
+  const { versionId } = req.body || {};
+  if (!versionId || !isValidObjectId(String(versionId))) {
+    return res.status(400).json({ error: 'Invalid version ID' });
+  }
+
+  const version = await NoteVersion.findOne({ _id: versionId, note: note._id }).lean();
+  if (!version) return res.status(404).json({ error: 'Version not found' });
+
+  const previous = {
+    title: note.title || '',
+    content: note.currentContent || note.content || '',
+    type: note.type || 'text',
+    items: (note.items || []).map(item => ({ text: item.text, checked: item.checked })),
+    createdAt: note.createdAt
+  };
+
+  recordEdit(note, version.content || '', describeEditor(user));
+  note.title = version.title || '';
+  note.content = version.content || '';
+  note.currentContent = version.content || '';
+  note.type = version.type || 'text';
+  note.items = version.type === 'checklist' ? version.items || [] : [];
+  note.updatedAt = new Date();
+
+  // Same attribution rules as PUT /api/notes/[id]
+  if (isOwner) {
+    note.lastEditedBy = note.owner._id;
+    note.lastEditorEmail = note.owner.email || null;
+  } else {
+    if (!note.collaboratorEdits) note.collaboratorEdits = [];
+    note.collaboratorEdits.push({
+      editedBy: user.id,
+      editedAt: new Date(),
+      content: note.content,
+      email: user.email || null
+    });
+  }
+
+  if (!(await saveNoteOrConflict(note, res))) return;
+
+  publishNoteEvent(note, 'update', {
+    note: {
+      _id: note._id,
+      title: note.title,
+      content: note.content,
+      currentContent: note.currentContent,
+      type: note.type,
+      items: note.items,
+      collaboratorEdits: note.collaboratorEdits,
+      attribution: note.attribution,
+      editLog: note.editLog,
+      updatedAt: note.updatedAt,
+      __v: note.__v
+    },
+    by: describeActor(user)
+  });
+  notifyNoteEdited(note, describeActor(user));
+
+  try {
+    const restored = await NoteVersion.record(note, user, {
+      previous,
+      action: 'restore',
+      restoredFrom: version.version
+    });
+    res.json({ ok: true, version: restored.version, restoredFrom: version.version, __v: note.__v });
+  } catch (err) {
+    console.error('Error recording note version:', err);
+    res.json({ ok: true, version: null, restoredFrom: version.version, __v: note.__v });
+  }
+}
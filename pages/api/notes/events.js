@@ -0,0 +1,31 @@
+// pages/api/notes/events.js
+// Server-Sent Events stream for the notes list: "update", "deleted" and "revoked" events for
+// every note the signed-in user owns or collaborates on. Auth comes from the access_token cookie.
+import dbConnect from '../../../utils/mongoose';
+import { getUserFromReq } from '../../../utils/auth';
+import { openEventStream, subscribeToAllNotes, canReceive } from '../../../utils/noteEvents';
+
+// The stream stays open after the handler returns
+export const config = { api: { externalResolver: true } };
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await dbConnect();
+  const user = await getUserFromReq(req);
+  if (!user) return res.status(401).json({ error: 'unauth' });
+
+  let unsubscribe = () => {};
+  const stream = openEventStream(req, res, () => unsubscribe());
+
+  unsubscribe = subscribeToAllNotes(({ event, audience, previousAudience }) => {
+    if (canReceive(audience, user)) {
+      stream.send(event);
+    } else if (canReceive(previousAudience, user)) {
+      // Just removed from the collaborators - drop the note from the list
+      stream.send({ type: 'revoked', noteId: event.noteId });
+    }
+  });
+}
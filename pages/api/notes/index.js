@@ -2,9 +2,67 @@
 import dbConnect from '../../../utils/mongoose';
 import Note from '../../../models/Note';
 import User from '../../../models/User';
+import Label from '../../../models/Label';
+import NoteVersion from '../../../models/NoteVersion';
 import { getUserFromReq } from '../../../utils/auth';
 import { sendNoteAddedNotification } from '../../../utils/emailService';
+import { notifyNoteShared } from '../../../utils/notifications';
+import { describeActor } from '../../../utils/noteEvents';
 import { validateNote, isValidObjectId } from '../../../utils/validation';
+import { getPurgeDate } from '../../../utils/trash';
+import { textToItems, itemsToText } from '../../../utils/checklist';
+import { getCollaboratorRole, roleCanEdit, buildCollaboratorRoles } from '../../../utils/collaborators';
+import { updateAttribution, describeEditor } from '../../../utils/editTracking';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encodes the sort key of the last note on a page into an opaque cursor
+ * @param {object} note - Last note of the current page
+ * @returns {string} - base64url cursor
+ */
+function encodeCursor(note) {
+  const key = {
+    pinned: Boolean(note.pinned),
+    updatedAt: new Date(note.updatedAt).toISOString(),
+    id: note._id.toString()
+  };
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - base64url cursor
+ * @returns {{pinned: boolean, updatedAt: Date, id: string}|null} - Sort key or null if invalid
+ */
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const updatedAt = new Date(key.updatedAt);
+    if (typeof key.pinned !== 'boolean' || isNaN(updatedAt.getTime()) || !isValidObjectId(key.id)) {
+      return null;
+    }
+    return { pinned: key.pinned, updatedAt, id: key.id };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Builds the filter for notes that sort after the cursor in
+ * { pinned: -1, updatedAt: -1, _id: -1 } order
+ */
+function afterCursor({ pinned, updatedAt, id }) {
+  const samePinned = pinned ? { pinned: true } : { pinned: { $ne: true } };
+  const conditions = [
+    { ...samePinned, updatedAt: { $lt: updatedAt } },
+    { ...samePinned, updatedAt, _id: { $lt: id } }
+  ];
+  // Everything unpinned comes after the last pinned note
+  if (pinned) conditions.unshift({ pinned: { $ne: true } });
+  return { $or: conditions };
+}
 
 export default async function handler(req, res) {
   await dbConnect();
@@ -12,18 +70,70 @@ export default async function handler(req, res) {
   if (!user) return res.status(401).json({ error: 'unauth' });
 
   if (req.method === 'GET') {
-    // Get all notes where user is owner or collaborator
-    const notes = await Note.find({
-      $or: [
-        { owner: user.id },
-        { collaborators: user.email }
-      ]
-    })
+    let query;
+    const trashed = req.query.trashed === 'true';
+
+    if (trashed) {
+      // Trash is private to the owner - collaborators never see notes the owner deleted
+      query = { owner: user.id, deletedAt: { $ne: null } };
+    } else {
+      // Get all notes where user is owner or collaborator
+      query = {
+        $or: [
+          { owner: user.id },
+          { collaborators: user.email }
+        ],
+        deletedAt: null
+      };
+
+      // Archive filter: archived notes are hidden unless ?archived=true (only archived) or ?archived=all
+      const { archived = 'false' } = req.query;
+      if (!['true', 'false', 'all'].includes(archived)) {
+        return res.status(400).json({ error: 'archived must be one of true, false, all' });
+      }
+      if (archived === 'true') {
+        query.archived = true;
+      } else if (archived === 'false') {
+        query.archived = { $ne: true };
+      }
+    }
+
+    // Optional label filter: ?label=<labelId>
+    const { label } = req.query;
+    if (label !== undefined) {
+      if (!isValidObjectId(label)) {
+        return res.status(400).json({ error: 'Invalid label ID' });
+      }
+      query.labels = label;
+    }
+
+    // Cursor pagination is opt-in (?limit=&cursor=) so existing callers still get the full array
+    const paginated = req.query.limit !== undefined || req.query.cursor !== undefined;
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+    let findQuery = query;
+    if (req.query.cursor) {
+      const cursor = decodeCursor(String(req.query.cursor));
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      findQuery = { $and: [query, afterCursor(cursor)] };
+    }
+
+    let notesQuery = Note.find(findQuery)
       .populate('owner', 'name email')
+      .populate('labels', 'name color')
       .populate('lastEditedBy', 'name email')
       .populate('collaboratorEdits.editedBy', 'name email')
-      .sort({ pinned: -1, updatedAt: -1 }) // Pinned notes first, then by date
-      .lean();
+      // Pinned notes first, then by date; _id breaks ties so pages never overlap
+      .sort({ pinned: -1, updatedAt: -1, _id: -1 });
+
+    // Fetch one extra note to know whether another page exists
+    if (paginated) notesQuery = notesQuery.limit(limit + 1);
+
+    let notes = await notesQuery.lean();
+    const hasMore = paginated && notes.length > limit;
+    if (hasMore) notes = notes.slice(0, limit);
 
     // Remove duplicates using a Map (in case user is both owner AND in collaborators array)
     // Use note._id as the key to ensure uniqueness - this is critical to prevent duplicates
@@ -46,9 +156,12 @@ export default async function handler(req, res) {
     const formattedNotes = Array.from(uniqueNotesMap.values())
       .map(note => {
         const isOwner = note.owner && note.owner._id.toString() === user.id.toString();
+        const collaboratorRole = isOwner ? null : getCollaboratorRole(note, user.email);
         return {
           ...note,
           isOwner,
+          role: isOwner ? 'owner' : collaboratorRole,
+          canEdit: isOwner || roleCanEdit(collaboratorRole) || Boolean(user.isAdmin),
           ownerInfo: {
             name: note.owner?.name || 'Unknown',
             email: note.owner?.email || 'Unknown'
@@ -67,11 +180,22 @@ export default async function handler(req, res) {
           // This array contains the email of each collaborator who edited the note
           collaboratorEdits: note.collaboratorEdits || [],
           // Include emailOpenedBy for tracking which collaborators opened email
-          emailOpenedBy: note.emailOpenedBy || []
+          emailOpenedBy: note.emailOpenedBy || [],
+          labels: note.labels || [],
+          // When a trashed note will be permanently deleted
+          purgeAt: note.deletedAt ? getPurgeDate(note.deletedAt) : null
         };
       });
 
-    res.json(formattedNotes);
+    if (!paginated) {
+      return res.json(formattedNotes);
+    }
+
+    res.json({
+      notes: formattedNotes,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(notes[notes.length - 1]) : null
+    });
   } else if (req.method === 'POST') {
     // Validate and sanitize note data
     const validation = validateNote(req.body);
@@ -84,26 +208,59 @@ export default async function handler(req, res) {
 
     const sanitized = validation.sanitized;
 
+    // A repeat rule only makes sense with a reminder time to start from
+    if (sanitized.recurrence && !sanitized.reminderAt) {
+      return res.status(400).json({ error: 'Set a reminder time before making it repeat' });
+    }
+
     try {
+      // Only the creator's own labels can be attached
+      const labels = await Label.filterOwnedIds(user.id, sanitized.labels || []);
+
+      // Checklist notes take explicit items, or one item per line of the content
+      const type = sanitized.type || 'text';
+      let items = [];
+      let content = sanitized.content || '';
+      if (type === 'checklist') {
+        items = sanitized.items || textToItems(content);
+        content = itemsToText(items);
+      }
+
       const note = await Note.create({
         owner: user.id,
         title: sanitized.title || '',
-        content: sanitized.content || '',
-        originalContent: sanitized.content || '', // Initialize originalContent with initial content
-        currentContent: sanitized.content || '', // Initialize currentContent with initial content
+        content,
+        originalContent: content, // Initialize originalContent with initial content
+        currentContent: content, // Initialize currentContent with initial content
+        attribution: updateAttribution('', content, [], describeEditor(user)), // Creator wrote every paragraph
+        type,
+        items,
         reminderAt: sanitized.reminderAt || null,
+        recurrence: sanitized.recurrence
+          ? { rule: sanitized.recurrence, startAt: sanitized.reminderAt }
+          : null,
         collaborators: sanitized.collaborators || [],
+        collaboratorRoles: buildCollaboratorRoles(sanitized.collaborators || [], sanitized.collaboratorRoles),
         reminderSent: false, // Ensure reminderSent is false for new notes
         completed: false,
         lastEditedBy: user.id, // Set to creator's userId
         lastEditorEmail: user.email || null, // include creator's email so list shows owner email until edits happen
         color: req.body.color || 'default', // Default color
-        pinned: req.body.pinned || false // Default not pinned
+        pinned: req.body.pinned || false, // Default not pinned
+        labels
       });
 
+      // First entry in the note's version history
+      try {
+        await NoteVersion.record(note, user, { action: 'create' });
+      } catch (err) {
+        console.error('Error recording note version:', err);
+      }
+
       // Populate owner info for new note
       const populatedNote = await Note.findById(note._id)
         .populate('owner', 'name email')
+        .populate('labels', 'name color')
         .lean();
 
       if (!populatedNote || !populatedNote.owner) {
@@ -117,11 +274,14 @@ export default async function handler(req, res) {
           owner: populatedNote.owner,
           collaborators: sanitized.collaborators
         }).catch(err => console.error('Error sending note notification:', err));
+        notifyNoteShared(populatedNote, describeActor(user), sanitized.collaborators);
       }
 
       const formattedNote = {
         ...populatedNote,
         isOwner: true,
+        role: 'owner',
+        canEdit: true,
         ownerInfo: {
           name: populatedNote.owner.name || 'Unknown',
           email: populatedNote.owner.email || 'Unknown'
@@ -0,0 +1,98 @@
+// pages/api/notes/search.js
+import dbConnect from '../../../utils/mongoose';
+import Note from '../../../models/Note';
+import { getUserFromReq } from '../../../utils/auth';
+import { getSearchTerms, findHighlights, buildSnippet } from '../../../utils/search';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await dbConnect();
+  const user = await getUserFromReq(req);
+  if (!user) return res.status(401).json({ error: 'unauth' });
+
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) {
+    return res.status(400).json({ error: 'Search query is required' });
+  }
+  if (q.length > 200) {
+    return res.status(400).json({ error: 'Search query must be less than 200 characters' });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_LIMIT));
+
+  // Same access rule as GET /api/notes: owner or collaborator
+  const query = {
+    $text: { $search: q },
+    $or: [
+      { owner: user.id },
+      { collaborators: user.email }
+    ],
+    deletedAt: null
+  };
+
+  // Same archive filter as GET /api/notes: archived notes only with ?archived=true or all
+  const { archived = 'false' } = req.query;
+  if (!['true', 'false', 'all'].includes(archived)) {
+    return res.status(400).json({ error: 'archived must be one of true, false, all' });
+  }
+  if (archived === 'true') {
+    query.archived = true;
+  } else if (archived === 'false') {
+    query.archived = { $ne: true };
+  }
+
+  try {
+    const [notes, total] = await Promise.all([
+      Note.find(query, { score: { $meta: 'textScore' } })
+        .populate('owner', 'name email')
+        .populate('labels', 'name color')
+        .sort({ score: { $meta: 'textScore' }, updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Note.countDocuments(query)
+    ]);
+
+    const terms = getSearchTerms(q);
+
+    const results = notes.map(note => {
+      const content = note.content || note.currentContent || note.originalContent || '';
+      return {
+        _id: note._id,
+        title: note.title || '',
+        score: note.score,
+        isOwner: note.owner && note.owner._id.toString() === user.id.toString(),
+        ownerInfo: {
+          name: note.owner?.name || 'Unknown',
+          email: note.owner?.email || 'Unknown'
+        },
+        color: note.color || 'default',
+        pinned: note.pinned || false,
+        completed: note.completed || false,
+        labels: note.labels || [],
+        updatedAt: note.updatedAt,
+        // Highlight ranges let the client mark matches without rendering raw HTML
+        titleHighlights: findHighlights(note.title || '', terms),
+        snippet: buildSnippet(content, terms)
+      };
+    });
+
+    res.json({
+      results,
+      page,
+      limit,
+      total,
+      hasMore: page * limit < total
+    });
+  } catch (error) {
+    console.error('Note search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+}
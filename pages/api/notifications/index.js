@@ -0,0 +1,66 @@
+// pages/api/notifications/index.js
+// The signed-in user's in-app notifications (see utils/notifications.js):
+// - GET lists them newest first with the unread count (?unread=1 for unread only,
+//   ?before=<ISO date> for the next page)
+// - POST { action: 'mark-read', ids } marks some as read
+// - POST { action: 'mark-all-read' } marks all as read
+import dbConnect from '../../../utils/mongoose';
+import Notification from '../../../models/Notification';
+import { getUserFromReq } from '../../../utils/auth';
+import { isValidObjectId } from '../../../utils/validation';
+import { MAX_NOTIFICATIONS_PAGE } from '../../../utils/notifications';
+
+function countUnread(userId) {
+  return Notification.countDocuments({ user: userId, readAt: null });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await dbConnect();
+  const user = await getUserFromReq(req);
+  if (!user) return res.status(401).json({ error: 'unauth' });
+
+  if (req.method === 'GET') {
+    const query = { user: user.id };
+    if (req.query.unread === '1' || req.query.unread === 'true') query.readAt = null;
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (isNaN(before.getTime())) return res.status(400).json({ error: 'Invalid before date' });
+      query.updatedAt = { $lt: before };
+    }
+
+    try {
+      const [notifications, unreadCount] = await Promise.all([
+        Notification.find(query).sort({ updatedAt: -1 }).limit(MAX_NOTIFICATIONS_PAGE).lean(),
+        countUnread(user.id)
+      ]);
+      return res.json({ notifications, unreadCount });
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      return res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+  }
+
+  const { action, ids } = req.body || {};
+  const filter = { user: user.id, readAt: null };
+  if (action === 'mark-read') {
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(isValidObjectId)) {
+      return res.status(400).json({ error: 'ids must be a list of notification IDs' });
+    }
+    filter._id = { $in: ids };
+  } else if (action !== 'mark-all-read') {
+    return res.status(400).json({ error: 'Unknown notification action' });
+  }
+
+  try {
+    // Reading doesn't move a notification in the list
+    const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } }, { timestamps: false });
+    res.json({ ok: true, updated: result.modifiedCount, unreadCount: await countUnread(user.id) });
+  } catch (error) {
+    console.error(`Error updating notifications (${action}):`, error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+}
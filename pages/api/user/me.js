@@ -1,7 +1,35 @@
+import dbConnect from '../../../utils/mongoose';
+import User from '../../../models/User';
+import Note from '../../../models/Note';
 import { getUserFromReq } from '../../../utils/auth';
+import { isValidTimeZone } from '../../../utils/helpers';
+import { REMINDER_DIGEST_MODES } from '../../../utils/reminderDigest';
+import { getNotificationToggles } from '../../../utils/notificationPrefs';
+import { validateNotificationPrefs } from '../../../utils/validation';
+
+// Profile fields the settings page reads and writes
+function profile(user) {
+  return {
+    id: user.id || user._id,
+    email: user.email,
+    name: user.name,
+    isAdmin: user.isAdmin,
+    timezone: user.timezone || null,
+    reminderDigest: user.reminderDigest?.mode || 'off',
+    notificationPrefs: getNotificationToggles(user)
+  };
+}
+
+// Muted notes with their titles, for the settings page (notes deleted since are left out)
+async function listMutedNotes(user) {
+  const ids = user.notificationPrefs?.mutedNotes || [];
+  if (!ids.length) return [];
+  const notes = await Note.find({ _id: { $in: ids } }).select('title').lean();
+  return notes.map(note => ({ _id: note._id, title: note.title || '' }));
+}
 
 export default async function handler(req, res) {
-  if (req.method !== 'GET') {
+  if (req.method !== 'GET' && req.method !== 'PUT') {
     return res.status(405).end();
   }
 
@@ -10,11 +38,45 @@ export default async function handler(req, res) {
     return res.status(401).json({ error: 'unauth' });
   }
 
-  res.json({
-    id: user.id,
-    email: user.email,
-    name: user.name,
-    isAdmin: user.isAdmin
-  });
-}
+  if (req.method === 'GET') {
+    await dbConnect();
+    return res.json({ ...profile(user), mutedNotes: await listMutedNotes(user) });
+  }
+
+  // PUT - settings
+  const { timezone, reminderDigest, notificationPrefs } = req.body || {};
+  const update = {};
+  if (timezone !== undefined) {
+    if (timezone !== null && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Unknown time zone' });
+    }
+    update.timezone = timezone;
+  }
+  if (reminderDigest !== undefined) {
+    if (!REMINDER_DIGEST_MODES.includes(reminderDigest)) {
+      return res.status(400).json({ error: 'Unknown reminder digest mode' });
+    }
+    update['reminderDigest.mode'] = reminderDigest;
+    // The first digest comes at the next scheduled time, not straight away
+    if (reminderDigest !== 'off' && (user.reminderDigest?.mode || 'off') === 'off') {
+      update['reminderDigest.lastSentAt'] = new Date();
+    }
+  }
+  if (notificationPrefs !== undefined) {
+    const validation = validateNotificationPrefs(notificationPrefs);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.errors[0], errors: validation.errors });
+    }
+    Object.assign(update, validation.sanitized);
+  }
 
+  try {
+    await dbConnect();
+    const updated = await User.findByIdAndUpdate(user.id, { $set: update }, { new: true, runValidators: true }).lean();
+    if (!updated) return res.status(404).json({ error: 'not found' });
+    res.json({ ...profile(updated), mutedNotes: await listMutedNotes(updated) });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+}
@@ -0,0 +1,57 @@
+// pages/api/user/unsubscribe.js
+// One-click unsubscribe links from emails (see getUnsubscribeLinks in utils/emailService.js).
+// The signed token names the user and either an email event to turn off or a note to mute,
+// so no login is needed:
+// - GET ?token=... is the link itself. It changes nothing (mail scanners open links too)
+//   and redirects to the /unsubscribe confirmation page.
+// - POST ?token=... unsubscribes: sent by that page, and the List-Unsubscribe-Post
+//   one-click request mail clients send (RFC 8058)
+import dbConnect from '../../../utils/mongoose';
+import User from '../../../models/User';
+import { isValidObjectId } from '../../../utils/validation';
+import { verifyLinkToken } from '../../../utils/linkTokens';
+import { isNotificationChannel } from '../../../utils/notificationPrefs';
+
+// The User update a token asks for, or null when it names nothing we know
+function unsubscribeUpdate(claims) {
+  if (claims.note) {
+    return isValidObjectId(claims.note)
+      ? { $addToSet: { 'notificationPrefs.mutedNotes': claims.note } }
+      : null;
+  }
+  return isNotificationChannel(claims.event, 'email')
+    ? { $set: { [`notificationPrefs.email.${claims.event}`]: false } }
+    : null;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const claims = verifyLinkToken(req.query.token, 'unsubscribe');
+  const update = claims && isValidObjectId(claims.user) ? unsubscribeUpdate(claims) : null;
+  if (!update) {
+    return req.method === 'GET'
+      ? res.redirect(302, '/unsubscribed?status=invalid')
+      : res.status(400).json({ error: 'Invalid or expired unsubscribe link' });
+  }
+
+  if (req.method === 'GET') {
+    const query = new URLSearchParams({ token: req.query.token });
+    if (claims.note) query.set('muted', '1');
+    else query.set('event', claims.event);
+    return res.redirect(302, `/unsubscribe?${query}`);
+  }
+
+  try {
+    await dbConnect();
+    const result = await User.updateOne({ _id: claims.user }, update);
+    if (!result.matchedCount) return res.status(404).json({ error: 'not found' });
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    return res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+
+  res.json(claims.note ? { ok: true, muted: true } : { ok: true, event: claims.event });
+}
@@ -0,0 +1,193 @@
+// pages/archive.js
+import { useEffect, useState } from "react";
+import { useRouter } from "next/router";
+import Link from "next/link";
+import axios from "axios";
+import { useAuth } from "../context/AuthContext";
+import { useToast } from "../context/ToastContext";
+import NoteCard from "../components/NoteCard";
+import InfiniteScrollTrigger from "../components/InfiniteScrollTrigger";
+import { versionHeaders } from "../utils/concurrency";
+
+const PAGE_SIZE = 20;
+
+// Fetches one page of archived notes from GET /api/notes
+async function fetchArchivedPage(token, cursor = null) {
+  const params = { archived: "true", limit: PAGE_SIZE };
+  if (cursor) params.cursor = cursor;
+  const res = await axios.get("/api/notes", {
+    params,
+    headers: { Authorization: "Bearer " + token },
+  });
+  return res.data;
+}
+
+export default function ArchivePage() {
+  const { token } = useAuth();
+  const { addToast } = useToast();
+  const router = useRouter();
+  const [notes, setNotes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [checkingAuth, setCheckingAuth] = useState(true);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [fetchToggle, setFetchToggle] = useState(0);
+
+  // Check authentication
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    const timer = setTimeout(() => {
+      setCheckingAuth(false);
+      if (!token) {
+        router.push("/login");
+      }
+    }, 100);
+    return () => clearTimeout(timer);
+  }, [token, router]);
+
+  // Load archived notes
+  useEffect(() => {
+    if (!token || checkingAuth) return;
+    setLoading(true);
+    fetchArchivedPage(token)
+      .then((data) => {
+        setNotes(data.notes);
+        setNextCursor(data.nextCursor);
+        setHasMore(data.hasMore);
+      })
+      .catch((err) => console.error("Fetch archived notes error", err))
+      .finally(() => setLoading(false));
+  }, [token, checkingAuth, fetchToggle]);
+
+  if (checkingAuth || !token) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="text-center">
+          <svg className="animate-spin h-8 w-8 text-blue-600 mx-auto mb-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+          </svg>
+          <div className="text-gray-600 dark:text-gray-400">Loading...</div>
+        </div>
+      </div>
+    );
+  }
+
+  async function loadMoreNotes() {
+    if (!hasMore || loadingMore || !nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const data = await fetchArchivedPage(token, nextCursor);
+      setNotes((prev) => {
+        const seen = new Set(prev.map((n) => String(n._id)));
+        return [...prev, ...data.notes.filter((n) => !seen.has(String(n._id)))];
+      });
+      setNextCursor(data.nextCursor);
+      setHasMore(data.hasMore);
+    } catch (err) {
+      console.error("Fetch more archived notes error", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  async function updateNote(note, changes, successMessage) {
+    try {
+      await axios.put(`/api/notes/${note._id}`, changes, {
+        headers: { Authorization: "Bearer " + token, ...versionHeaders(note) },
+      });
+      setFetchToggle((t) => t + 1);
+      if (successMessage) addToast(successMessage, "success");
+    } catch (err) {
+      console.error("update archived note error", err);
+      if (err.response?.status === 409) {
+        // Changed elsewhere since this page loaded - reload so the next try uses the latest version
+        setFetchToggle((t) => t + 1);
+        addToast("This note was changed by someone else. Please try again.", "error");
+        return;
+      }
+      addToast(err.response?.data?.error || "Failed to update note", "error");
+    }
+  }
+
+  async function handleDelete(note) {
+    if (!confirm("Move this note to trash?")) return;
+    try {
+      await axios.delete(`/api/notes/${note._id}`, {
+        headers: { Authorization: "Bearer " + token },
+      });
+      setFetchToggle((t) => t + 1);
+      addToast("Note moved to trash", "success");
+    } catch (err) {
+      console.error("delete error", err);
+      addToast("Delete failed", "error");
+    }
+  }
+
+  return (
+    <div>
+      {/* Header Section */}
+      <div className="mb-6 sm:mb-8 pb-6 border-b-2 border-gray-200 dark:border-gray-700">
+        <h1 className="text-2xl sm:text-3xl lg:text-4xl font-extrabold bg-gradient-to-r from-gray-700 to-gray-500 dark:from-gray-200 dark:to-gray-400 bg-clip-text text-transparent mb-2">
+          Archive
+        </h1>
+        <p className="text-gray-600 dark:text-gray-400 text-base sm:text-lg font-medium">
+          Archived notes are hidden from your notes list and don't send reminders
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <svg className="animate-spin h-8 w-8 text-blue-600 mx-auto mb-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            <p className="text-gray-600 dark:text-gray-400">Loading archived notes...</p>
+          </div>
+        </div>
+      ) : notes.length === 0 ? (
+        <div className="text-center py-16">
+          <div className="w-24 h-24 bg-gray-100 dark:bg-gray-800 rounded-full flex items-center justify-center mx-auto mb-4">
+            <svg className="w-12 h-12 text-gray-400 dark:text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
+            </svg>
+          </div>
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-2">No archived notes</h3>
+          <p className="text-gray-600 dark:text-gray-400 mb-6">Notes you archive will show up here.</p>
+          <Link href="/" className="btn-primary inline-block">
+            Back to Notes
+          </Link>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-4">
+          {notes.map((note) => (
+            <NoteCard
+              key={note._id}
+              note={note}
+              onEdit={(n) => router.push(`/notes/${n._id}`)}
+              onDelete={handleDelete}
+              onToggleComplete={() =>
+                updateNote(note, { completed: !note.completed })
+              }
+              // Pinning an archived note brings it back to the main list
+              onTogglePin={(n) =>
+                updateNote(n, { archived: false, pinned: true }, "Note unarchived and pinned")
+              }
+              onToggleArchive={(n) =>
+                updateNote(n, { archived: false }, "Note unarchived")
+              }
+            />
+          ))}
+        </div>
+      )}
+
+      <InfiniteScrollTrigger
+        onLoadMore={loadMoreNotes}
+        hasMore={hasMore}
+        loading={loadingMore}
+      />
+    </div>
+  );
+}
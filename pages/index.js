@@ -4,6 +4,52 @@ import { useAuth } from "../context/AuthContext";
 import { useToast } from "../context/ToastContext";
 import NoteCard from "../components/NoteCard";
 import NoteForm from "../components/NoteForm";
+import InfiniteScrollTrigger from "../components/InfiniteScrollTrigger";
+import { applyNoteListEvent, subscribeToNoteStream } from "../utils/liveNotes";
+import { versionHeaders } from "../utils/concurrency";
+import { itemsToText } from "../utils/checklist";
+import ConflictDialog from "../components/ConflictDialog";
+
+const PAGE_SIZE = 20;
+
+// Additional deduplication on frontend as a safeguard, then sort for display
+function dedupeAndSortNotes(list) {
+  const uniqueNotesMap = new Map();
+  list.forEach(note => {
+    if (note && note._id) {
+      const noteId = note._id.toString();
+      if (!uniqueNotesMap.has(noteId)) {
+        uniqueNotesMap.set(noteId, note);
+      } else {
+        console.warn('Duplicate note in API response (frontend dedup):', noteId, note.title || 'no title');
+      }
+    }
+  });
+  const uniqueNotes = Array.from(uniqueNotesMap.values());
+
+  // Sort notes: owned notes first, then shared notes (both sorted by updatedAt)
+  return uniqueNotes.sort((a, b) => {
+    // First, prioritize pinned notes
+    if (a.pinned && !b.pinned) return -1;
+    if (!a.pinned && b.pinned) return 1;
+
+    // Then, prioritize owned notes
+    if (a.isOwner && !b.isOwner) return -1;
+    if (!a.isOwner && b.isOwner) return 1;
+    // If both have same ownership status, sort by updatedAt (newest first)
+    return new Date(b.updatedAt) - new Date(a.updatedAt);
+  });
+}
+
+/**
+ * Builds the URL for one page of GET /api/notes
+ */
+function notesPageUrl({ cursor, label }) {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+  if (cursor) params.set("cursor", cursor);
+  if (label) params.set("label", label);
+  return `/api/notes?${params.toString()}`;
+}
 
 export default function NotesPage() {
   const { token, user, logout } = useAuth();
@@ -16,10 +62,20 @@ export default function NotesPage() {
     reminderAt: "",
     collaborators: "",
     color: "default",
+    labels: [],
+    type: "text",
+    items: [],
+    recurrence: "",
   });
   const { addToast } = useToast();
   const [editing, setEditing] = useState(null);
+  const [conflict, setConflict] = useState(null); // { payload, theirs } after a 409
   const [fetchToggle, setFetchToggle] = useState(0);
+  const [labels, setLabels] = useState([]);
+  const [labelFilter, setLabelFilter] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   // Check authentication and redirect if needed
   useEffect(() => {
@@ -40,7 +96,7 @@ export default function NotesPage() {
   useEffect(() => {
     if (!token || checkingAuth) return;
     setLoading(true);
-    fetch("/api/notes", {
+    fetch(notesPageUrl({ label: labelFilter }), {
       headers: { Authorization: "Bearer " + token },
     })
       .then(async (res) => {
@@ -48,38 +104,42 @@ export default function NotesPage() {
         return res.json();
       })
       .then((data) => {
-        // Additional deduplication on frontend as a safeguard
-        const uniqueNotesMap = new Map();
-        data.forEach(note => {
-          if (note && note._id) {
-            const noteId = note._id.toString();
-            if (!uniqueNotesMap.has(noteId)) {
-              uniqueNotesMap.set(noteId, note);
-            } else {
-              console.warn('Duplicate note in API response (frontend dedup):', noteId, note.title || 'no title');
-            }
-          }
-        });
-        const uniqueNotes = Array.from(uniqueNotesMap.values());
-        console.log('Total notes after deduplication:', uniqueNotes.length, 'from', data.length, 'original');
-        
-        // Sort notes: owned notes first, then shared notes (both sorted by updatedAt)
-        const sortedNotes = uniqueNotes.sort((a, b) => {
-          // First, prioritize pinned notes
-          if (a.pinned && !b.pinned) return -1;
-          if (!a.pinned && b.pinned) return 1;
-
-          // Then, prioritize owned notes
-          if (a.isOwner && !b.isOwner) return -1;
-          if (!a.isOwner && b.isOwner) return 1;
-          // If both have same ownership status, sort by updatedAt (newest first)
-          return new Date(b.updatedAt) - new Date(a.updatedAt);
-        });
-        setNotes(sortedNotes);
+        setNotes(dedupeAndSortNotes(data.notes));
+        setNextCursor(data.nextCursor);
+        setHasMore(data.hasMore);
       })
       .catch((err) => console.error("Fetch notes error", err))
       .finally(() => setLoading(false));
-  }, [token, fetchToggle, checkingAuth]);
+  }, [token, fetchToggle, checkingAuth, labelFilter]);
+
+  // Live changes from collaborators (see /api/notes/events)
+  useEffect(() => {
+    if (!token || checkingAuth) return;
+    const applyEvent = (event) =>
+      setNotes((prev) => {
+        const next = applyNoteListEvent(prev, event, user);
+        return next === prev ? prev : dedupeAndSortNotes(next);
+      });
+    return subscribeToNoteStream("/api/notes/events", {
+      update: applyEvent,
+      deleted: applyEvent,
+      revoked: applyEvent,
+    });
+  }, [token, checkingAuth, user?.email]);
+
+  // load the current user's labels for the picker and filter
+  useEffect(() => {
+    if (!token || checkingAuth) return;
+    fetch("/api/labels", {
+      headers: { Authorization: "Bearer " + token },
+    })
+      .then(async (res) => {
+        if (!res.ok) throw new Error(await res.text());
+        return res.json();
+      })
+      .then((data) => setLabels(Array.isArray(data) ? data : []))
+      .catch((err) => console.error("Fetch labels error", err));
+  }, [token, checkingAuth]);
 
   // Check for due reminders when page loads and periodically
   useEffect(() => {
@@ -111,6 +171,25 @@ export default function NotesPage() {
     );
   }
 
+  async function loadMoreNotes() {
+    if (!hasMore || loadingMore || !nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const res = await fetch(notesPageUrl({ cursor: nextCursor, label: labelFilter }), {
+        headers: { Authorization: "Bearer " + token },
+      });
+      if (!res.ok) throw new Error(await res.text());
+      const data = await res.json();
+      setNotes((prev) => dedupeAndSortNotes([...prev, ...data.notes]));
+      setNextCursor(data.nextCursor);
+      setHasMore(data.hasMore);
+    } catch (err) {
+      console.error("Fetch more notes error", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
   function handleChange(e) {
     setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
   }
@@ -119,12 +198,15 @@ export default function NotesPage() {
     e.preventDefault();
     if (!token) return;
 
+    const isChecklist = form.type === "checklist";
+    const hasReminder = Boolean(form.reminderAt && form.reminderAt.trim());
     const payload = {
       title: form.title,
-      content: form.content,
-      reminderAt: form.reminderAt && form.reminderAt.trim()
+      type: form.type || "text",
+      reminderAt: hasReminder
         ? new Date(form.reminderAt).toISOString()
         : null,
+      recurrence: hasReminder ? form.recurrence || null : null,
       collaborators: form.collaborators
         ? form.collaborators
           .split(",")
@@ -132,23 +214,29 @@ export default function NotesPage() {
           .filter(Boolean)
         : [],
       color: form.color || 'default',
+      labels: form.labels || [],
     };
+    // Checklist notes send their items; the server derives content from them
+    if (isChecklist) {
+      payload.items = (form.items || [])
+        .map((item) => ({ ...item, text: (item.text || "").trim() }))
+        .filter((item) => item.text);
+    } else {
+      payload.content = form.content;
+    }
 
 
     try {
-      let res;
       if (editing) {
-        const idToUpdate = editing.realId || editing._id;
-        res = await fetch(`/api/notes/${idToUpdate}`, {
-          method: "PUT",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: "Bearer " + token,
-          },
-          body: JSON.stringify(payload),
-        });
+        // Based on the version that was loaded when editing started
+        const saved = await updateNote(payload, editing);
+        if (!saved) return;
+        if (saved.merged) {
+          finishSave("Note saved - merged with changes made elsewhere");
+          return;
+        }
       } else {
-        res = await fetch("/api/notes", {
+        const res = await fetch("/api/notes", {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
@@ -156,30 +244,105 @@ export default function NotesPage() {
           },
           body: JSON.stringify(payload),
         });
-      }
 
-      if (!res.ok) {
-        const txt = await res.text();
-        throw new Error(txt || "Error saving note");
+        if (!res.ok) {
+          const txt = await res.text();
+          throw new Error(txt || "Error saving note");
+        }
       }
 
-      addToast("Note saved successfully", "success");
-      setForm({
-        title: "",
-        content: "",
-        reminderAt: "",
-        collaborators: "",
-        color: "default",
-      });
-      setEditing(null);
-      // toggle reload notes
-      setFetchToggle((t) => t + 1);
+      finishSave();
+    } catch (err) {
+      console.error(err);
+      addToast("Error: " + (err.message || err.toString()), "error");
+    }
+  }
+
+  // Sends an edit on top of baseNote's version. The server merges it with newer
+  // non-overlapping changes; a 409 opens the merge dialog instead
+  async function updateNote(payload, baseNote) {
+    const idToUpdate = baseNote.realId || baseNote._id;
+    const res = await fetch(`/api/notes/${idToUpdate}`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: "Bearer " + token,
+        ...versionHeaders(baseNote),
+      },
+      body: JSON.stringify({
+        ...payload,
+        baseTitle: baseNote.title || "",
+        ...(payload.content !== undefined
+          ? { baseContent: baseNote.currentContent || baseNote.content || "" }
+          : {}),
+      }),
+    });
+
+    if (res.status === 409) {
+      const data = await res.json();
+      setConflict({ payload, theirs: { ...data.note, realId: baseNote.realId }, merge: data.merge });
+      return false;
+    }
+
+    if (!res.ok) {
+      const txt = await res.text();
+      throw new Error(txt || "Error saving note");
+    }
+    return res.json();
+  }
+
+  function finishSave(message = "Note saved successfully") {
+    addToast(message, "success");
+    setForm({
+      title: "",
+      content: "",
+      reminderAt: "",
+      collaborators: "",
+      color: "default",
+      labels: [],
+      type: "text",
+      items: [],
+      recurrence: "",
+    });
+    setEditing(null);
+    // toggle reload notes
+    setFetchToggle((t) => t + 1);
+  }
+
+  async function handleResolveConflict(merged) {
+    const payload = {
+      ...conflict.payload,
+      title: merged.title,
+      ...(conflict.payload.content !== undefined ? { content: merged.content } : {}),
+    };
+    try {
+      const saved = await updateNote(payload, conflict.theirs);
+      if (!saved) return;
+      setConflict(null);
+      finishSave();
     } catch (err) {
       console.error(err);
+      setConflict(null);
       addToast("Error: " + (err.message || err.toString()), "error");
     }
   }
 
+  function handleDiscardMine() {
+    setConflict(null);
+    cancelEdit();
+    setFetchToggle((t) => t + 1);
+    addToast("Kept the saved version", "info");
+  }
+
+  // Quick actions (pin, complete, archive) on a stale note: show the newer copy and ask to retry
+  async function handleStaleNote(res, id) {
+    const data = await res.json();
+    if (data.note) {
+      setNotes((prev) => prev.map((n) => (String(n._id) === String(id) ? { ...n, ...data.note } : n)));
+    }
+    addToast("This note was changed elsewhere - the latest version is shown, please try again", "error");
+  }
+
   function startEdit(note) {
     // Don't allow editing completed notes
     if (note.completed) {
@@ -195,12 +358,16 @@ export default function NotesPage() {
         : "",
       collaborators: (note.collaborators || []).join(", "),
       color: note.color || "default",
+      labels: (note.labels || []).map((l) => (l && l._id ? l._id : l)),
+      type: note.type || "text",
+      items: (note.items || []).map((item) => ({ ...item })),
+      recurrence: note.recurrence?.rule || "",
     });
     window.scrollTo({ top: 0, behavior: "smooth" });
   }
 
   async function handleDelete(note) {
-    if (!confirm("Delete this note?")) return;
+    if (!confirm("Move this note to trash?")) return;
     try {
       const idToDelete = note.realId || note._id;
       const res = await fetch(`/api/notes/${idToDelete}`, {
@@ -209,13 +376,36 @@ export default function NotesPage() {
       });
       if (!res.ok) throw new Error(await res.text());
       setFetchToggle((t) => t + 1);
-      addToast("Note deleted", "success");
+      addToast("Note moved to trash", "success");
     } catch (err) {
       console.error("delete error", err);
       addToast("Delete failed", "error");
     }
   }
 
+  async function handleCreateLabel(name) {
+    try {
+      const res = await fetch("/api/labels", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer " + token,
+        },
+        body: JSON.stringify({ name }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to create label");
+      setLabels((prev) =>
+        [...prev, data].sort((a, b) => a.name.localeCompare(b.name))
+      );
+      return data;
+    } catch (err) {
+      console.error("create label error", err);
+      addToast("Error: " + (err.message || err.toString()), "error");
+      return null;
+    }
+  }
+
   function cancelEdit() {
     setEditing(null);
     setForm({
@@ -224,6 +414,10 @@ export default function NotesPage() {
       reminderAt: "",
       collaborators: "",
       color: "default",
+      labels: [],
+      type: "text",
+      items: [],
+      recurrence: "",
     });
   }
 
@@ -354,11 +548,13 @@ export default function NotesPage() {
         headers: {
           "Content-Type": "application/json",
           Authorization: "Bearer " + token,
+          ...versionHeaders(note),
         },
         body: JSON.stringify({
           completed: status
         }),
       });
+      if (res.status === 409) return await handleStaleNote(res, id);
       if (!res.ok) throw new Error(await res.text());
       setFetchToggle(t => t + 1);
     } catch (err) {
@@ -375,9 +571,11 @@ export default function NotesPage() {
         headers: {
           "Content-Type": "application/json",
           Authorization: "Bearer " + token,
+          ...versionHeaders(note),
         },
         body: JSON.stringify({ pinned: !note.pinned }),
       });
+      if (res.status === 409) return await handleStaleNote(res, id);
       if (!res.ok) throw new Error(await res.text());
       setFetchToggle((t) => t + 1);
     } catch (err) {
@@ -386,6 +584,75 @@ export default function NotesPage() {
     }
   }
 
+  async function handleSnooze(note, option) {
+    const id = note.realId || note._id;
+    try {
+      const res = await fetch(`/api/notes/${id}/reminder`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer " + token,
+        },
+        body: JSON.stringify({ action: "snooze", option }),
+      });
+      if (!res.ok) throw new Error(await res.text());
+      const { ok, ...reminder } = await res.json();
+      setNotes((prev) => prev.map((n) => (String(n._id) === String(id) ? { ...n, ...reminder } : n)));
+      addToast(`Reminder snoozed until ${new Date(reminder.reminderAt).toLocaleString()}`, "success");
+    } catch (err) {
+      console.error("snooze error", err);
+      addToast("Failed to snooze reminder", "error");
+    }
+  }
+
+  async function handleToggleItem(note, item) {
+    const id = note.realId || note._id;
+    try {
+      const res = await fetch(`/api/notes/${id}/items/${item._id}`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer " + token,
+        },
+        body: JSON.stringify({ checked: !item.checked }),
+      });
+      if (!res.ok) throw new Error(await res.text());
+      const data = await res.json();
+      setNotes((prev) =>
+        prev.map((n) =>
+          String(n._id) === String(id)
+            ? { ...n, items: data.items, content: data.content, currentContent: data.content, __v: data.__v }
+            : n
+        )
+      );
+    } catch (err) {
+      console.error("toggle item error", err);
+      addToast("Failed to update checklist", "error");
+    }
+  }
+
+  async function handleToggleArchive(note) {
+    const id = note.realId || note._id;
+    try {
+      const res = await fetch(`/api/notes/${id}`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer " + token,
+          ...versionHeaders(note),
+        },
+        body: JSON.stringify({ archived: !note.archived }),
+      });
+      if (res.status === 409) return await handleStaleNote(res, id);
+      if (!res.ok) throw new Error(await res.text());
+      setFetchToggle((t) => t + 1);
+      addToast(note.archived ? "Note unarchived" : "Note archived", "success");
+    } catch (err) {
+      console.error("toggle archive error", err);
+      addToast("Failed to update note", "error");
+    }
+  }
+
   return (
     <div>
       {/* Header Section */}
@@ -439,11 +706,42 @@ export default function NotesPage() {
             editing={editing}
             cancelEdit={cancelEdit}
             user={user}
+            labels={labels}
+            onCreateLabel={handleCreateLabel}
           />
         </div>
 
         {/* Notes Grid - Full width on mobile, 50% on desktop */}
         <div className="w-full lg:w-1/2">
+          {/* Label filter */}
+          {labels.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mb-6">
+              <button
+                onClick={() => setLabelFilter(null)}
+                className={`px-3 py-1.5 rounded-full text-xs sm:text-sm font-medium border transition-colors ${
+                  !labelFilter
+                    ? "bg-blue-600 text-white border-blue-600"
+                    : "bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700"
+                }`}
+              >
+                All notes
+              </button>
+              {labels.map((label) => (
+                <button
+                  key={label._id}
+                  onClick={() => setLabelFilter(label._id)}
+                  className={`px-3 py-1.5 rounded-full text-xs sm:text-sm font-medium border transition-colors ${
+                    labelFilter === label._id
+                      ? "bg-blue-600 text-white border-blue-600"
+                      : "bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  }`}
+                >
+                  {label.name}
+                </button>
+              ))}
+            </div>
+          )}
+
           {loading ? (
             <div className="flex items-center justify-center py-12">
               <div className="text-center">
@@ -482,6 +780,9 @@ export default function NotesPage() {
                         onDelete={handleDelete}
                         onToggleComplete={() => handleToggleComplete(n, true)}
                         onTogglePin={handleTogglePin}
+                        onToggleArchive={handleToggleArchive}
+                        onSnooze={handleSnooze}
+                        onToggleItem={handleToggleItem}
                       />
                     ))}
                   </div>
@@ -504,15 +805,47 @@ export default function NotesPage() {
                         onDelete={handleDelete}
                         onToggleComplete={() => handleToggleComplete(n, false)}
                         onTogglePin={handleTogglePin}
+                        onToggleArchive={handleToggleArchive}
+                        onSnooze={handleSnooze}
+                        onToggleItem={handleToggleItem}
                       />
                     ))}
                   </div>
                 </div>
               )}
+
+              <InfiniteScrollTrigger
+                onLoadMore={loadMoreNotes}
+                hasMore={hasMore}
+                loading={loadingMore}
+              />
             </div>
           )}
         </div>
       </div>
+
+      {/* Merge dialog after a conflicting save */}
+      {conflict && (
+        <ConflictDialog
+          key={conflict.theirs.__v}
+          mine={{
+            title: conflict.payload.title,
+            content: conflict.payload.content !== undefined
+              ? conflict.payload.content
+              : itemsToText(conflict.payload.items || []),
+          }}
+          theirs={{
+            title: conflict.theirs.title,
+            content: conflict.theirs.currentContent || conflict.theirs.content || "",
+          }}
+          theirsLabel={`A newer version was saved ${new Date(conflict.theirs.updatedAt).toLocaleString()}.`}
+          contentEditable={conflict.payload.content !== undefined}
+          merge={conflict.merge}
+          onResolve={handleResolveConflict}
+          onDiscard={handleDiscardMine}
+          onCancel={() => setConflict(null)}
+        />
+      )}
     </div >
   );
 }
@@ -1,27 +1,19 @@
 // pages/notes/[id].js
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { useRouter } from "next/router";
 import { useAuth } from "../../context/AuthContext";
 import Link from "next/link";
-
-// Helper functions for parsing content
-const LOG_SEPARATOR = '\n\n--- Change Log ---\n';
-const TAG_REGEX = /\[edited-by:\s*([^,]+),\s*time:\s*([^\]]+)\]/g;
-
-function parseContent(fullContent) {
-  if (!fullContent) {
-    return { mainText: '', changeLog: '', cleanText: '' };
-  }
-
-  const parts = fullContent.split(LOG_SEPARATOR);
-  const mainText = parts[0] || '';
-  const changeLog = parts[1] || '';
-
-  // Remove tags to get clean text for editing
-  const cleanText = mainText.replace(TAG_REGEX, '').trim();
-
-  return { mainText, changeLog, cleanText };
-}
+import Checklist from "../../components/Checklist";
+import VersionHistory from "../../components/VersionHistory";
+import ConflictDialog from "../../components/ConflictDialog";
+import { COLLABORATOR_ROLES, DEFAULT_COLLABORATOR_ROLE, ROLE_LABELS, getCollaboratorRole } from "../../utils/collaborators";
+import { mergeNoteChanges, subscribeToNoteStream } from "../../utils/liveNotes";
+import { versionHeaders } from "../../utils/concurrency";
+import { stripLegacyTracking } from "../../utils/editTracking";
+import AttributedContent from "../../components/AttributedContent";
+import Markdown from "../../components/Markdown";
+import ChangeLog from "../../components/ChangeLog";
+import ReminderList from "../../components/ReminderList";
 
 // Helper function to format date for datetime-local input
 function formatDateForInput(dateValue) {
@@ -63,6 +55,18 @@ export default function NotePage() {
   const [message, setMessage] = useState("");
   const [checkingEmail, setCheckingEmail] = useState(false);
   const [redirecting, setRedirecting] = useState(false); // Prevent multiple redirects
+  const [showHistory, setShowHistory] = useState(false);
+  const [viewers, setViewers] = useState([]); // other people with this note open
+  const [liveNotice, setLiveNotice] = useState("");
+  const [editBase, setEditBase] = useState(null); // note as it was when editing started
+  const [conflict, setConflict] = useState(null); // { values, theirs } after a 409
+  const [muted, setMuted] = useState(false); // kept apart from note: saves return the note without it
+  // Read inside the live update listener, which outlives renders
+  const editingRef = useRef(editing);
+
+  useEffect(() => {
+    editingRef.current = editing;
+  }, [editing]);
 
   // Check if email from URL matches current user or needs registration/login
   useEffect(() => {
@@ -172,10 +176,11 @@ export default function NotePage() {
       .then((data) => {
         if (data) {
           setNote(data);
+          setMuted(Boolean(data.muted));
           // Use currentContent for editing (or fallback to content for backward compatibility)
           const contentToEdit = data.currentContent || data.content || "";
           // Parse content to get clean text for editing (without tags and log)
-          const { cleanText } = parseContent(contentToEdit);
+          const cleanText = stripLegacyTracking(contentToEdit);
           
           setForm({
             title: data.title || "",
@@ -192,49 +197,149 @@ export default function NotePage() {
       .finally(() => setLoading(false));
   }, [id, token, checkingAuth, from, emailParam]);
 
+  // Live updates, deletions and presence from other viewers (see /api/notes/[id]/events)
+  useEffect(() => {
+    if (!id || !token || checkingAuth) return;
+
+    const selfId = user?._id ? String(user._id) : null;
+    let noticeTimer = null;
+    let close = () => {};
+
+    function showNotice(text) {
+      setLiveNotice(text);
+      clearTimeout(noticeTimer);
+      noticeTimer = setTimeout(() => setLiveNotice(""), 5000);
+    }
+
+    // The stream authenticates with the access_token cookie
+    close = subscribeToNoteStream(`/api/notes/${id}/events`, {
+      update: ({ note: changes, by }) => {
+        setNote((prev) => (prev ? mergeNoteChanges(prev, changes, user) : prev));
+
+        if (!editingRef.current) {
+          setForm((prev) => ({
+            ...prev,
+            ...(changes.title !== undefined ? { title: changes.title || "" } : {}),
+            ...(changes.currentContent !== undefined || changes.content !== undefined
+              ? { content: stripLegacyTracking(changes.currentContent || changes.content || "") }
+              : {}),
+            ...(changes.reminderAt !== undefined ? { reminderAt: formatDateForInput(changes.reminderAt) } : {}),
+            ...(changes.collaborators !== undefined ? { collaborators: changes.collaborators.join(", ") } : {}),
+          }));
+        }
+
+        if (by && by.id !== selfId) {
+          const name = by.name || by.email || "A collaborator";
+          showNotice(
+            editingRef.current
+              ? `${name} saved changes while you were editing - you'll be asked to merge when you save`
+              : `${name} updated this note`
+          );
+        }
+      },
+      deleted: ({ permanent, by }) => {
+        if (by && by.id === selfId) return; // handleDelete already navigates away
+        close();
+        const name = by?.name || by?.email || "The owner";
+        setError(`${name} ${permanent ? "deleted this note" : "moved this note to trash"}`);
+      },
+      revoked: () => {
+        close();
+        setError("You no longer have access to this note");
+      },
+      presence: ({ viewers: current }) => {
+        setViewers((current || []).filter((v) => v.id !== selfId));
+      },
+    });
+
+    return () => {
+      close();
+      clearTimeout(noticeTimer);
+      setViewers([]);
+    };
+  }, [id, token, checkingAuth, user?._id, user?.email]);
+
   function handleChange(e) {
     setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
   }
 
-  async function handleSubmit(e) {
-    e.preventDefault();
-    if (!token || !note) return;
+  // Form values for a note (content without the edit tags and change log)
+  function syncForm(data) {
+    const cleanText = stripLegacyTracking(data.currentContent || data.content || "");
+    setForm({
+      title: data.title || "",
+      content: cleanText,
+      reminderAt: formatDateForInput(data.reminderAt),
+      collaborators: (data.collaborators || []).join(", "),
+    });
+  }
 
-    const payload = {
-      title: form.title,
-      content: form.content,
+  function startEditing() {
+    setEditBase(note);
+    setEditing(true);
+  }
 
-      reminderAt: form.reminderAt
-        ? new Date(form.reminderAt).toISOString()
+  // Saves the form values on top of baseNote's version; a 409 opens the merge dialog
+  async function saveNote(values, baseNote) {
+    const payload = {
+      title: values.title,
+      // Checklist items are edited in place, so only text notes send content
+      ...(note.type === "checklist" ? {} : { content: values.content }),
+      // What this edit started from, so the server can merge it with newer changes
+      baseTitle: baseNote.title || "",
+      ...(note.type === "checklist"
+        ? {}
+        : { baseContent: stripLegacyTracking(baseNote.currentContent || baseNote.content || "") }),
+
+      reminderAt: values.reminderAt
+        ? new Date(values.reminderAt).toISOString()
         : null,
-      collaborators: form.collaborators
-        ? form.collaborators
+      collaborators: values.collaborators
+        ? values.collaborators
           .split(",")
           .map((s) => s.trim())
           .filter(Boolean)
         : [],
     };
 
-    try {
-      const res = await fetch(`/api/notes/${note._id}`, {
-        method: "PUT",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: "Bearer " + token,
-        },
-        body: JSON.stringify(payload),
-      });
+    const res = await fetch(`/api/notes/${note._id}`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: "Bearer " + token,
+        ...versionHeaders(baseNote),
+      },
+      body: JSON.stringify(payload),
+    });
+
+    // Someone saved first - keep the user's values and let them merge
+    if (res.status === 409) {
+      const data = await res.json();
+      setNote(data.note);
+      setConflict({ values, theirs: data.note, merge: data.merge });
+      return;
+    }
 
-      if (!res.ok) {
-        const txt = await res.text();
-        throw new Error(txt || "Error updating note");
-      }
+    if (!res.ok) {
+      const txt = await res.text();
+      throw new Error(txt || "Error updating note");
+    }
 
-      const updatedNote = await res.json();
-      setNote(updatedNote);
-      setEditing(false);
-      setMessage("Note updated successfully");
-      setTimeout(() => setMessage(""), 2000);
+    const updatedNote = await res.json();
+    setNote(updatedNote);
+    setConflict(null);
+    setEditBase(null);
+    setEditing(false);
+    setMessage(updatedNote.merged ? "Note updated - merged with changes someone else made" : "Note updated successfully");
+    setTimeout(() => setMessage(""), updatedNote.merged ? 4000 : 2000);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!token || !note) return;
+
+    try {
+      await saveNote(form, editBase || note);
     } catch (err) {
       console.error(err);
       setMessage("Error: " + (err.message || err.toString()));
@@ -242,8 +347,40 @@ export default function NotePage() {
     }
   }
 
+  async function handleResolveConflict(merged) {
+    const values = { ...conflict.values, ...merged };
+    setForm(values);
+    try {
+      await saveNote(values, conflict.theirs);
+    } catch (err) {
+      console.error(err);
+      setConflict(null);
+      setMessage("Error: " + (err.message || err.toString()));
+      setTimeout(() => setMessage(""), 3000);
+    }
+  }
+
+  function handleDiscardMine() {
+    syncForm(conflict.theirs);
+    setConflict(null);
+    setEditBase(null);
+    setEditing(false);
+    setMessage("Showing the latest saved version");
+    setTimeout(() => setMessage(""), 2000);
+  }
+
+  // Quick actions (complete, convert, roles) just show the newer copy on a 409 and ask to retry
+  async function showServerCopy(res) {
+    const data = await res.json();
+    if (data.note) {
+      setNote(data.note);
+      if (!editing) syncForm(data.note);
+    }
+    throw new Error("This note was changed by someone else. The latest version is shown - please try again");
+  }
+
   async function handleDelete() {
-    if (!confirm("Are you sure you want to delete this note? This action cannot be undone.")) return;
+    if (!confirm("Move this note to trash? You can restore it from Trash within 30 days.")) return;
 
     try {
       const res = await fetch(`/api/notes/${note._id}`, {
@@ -263,11 +400,12 @@ export default function NotePage() {
 
   function cancelEdit() {
     setEditing(false);
+    setEditBase(null);
     if (note) {
       // Use currentContent for editing (or fallback to content for backward compatibility)
       const contentToEdit = note.currentContent || note.content || "";
       // Parse content to get clean text for editing
-      const { cleanText } = parseContent(contentToEdit);
+      const cleanText = stripLegacyTracking(contentToEdit);
       
       setForm({
         title: note.title || "",
@@ -356,9 +494,83 @@ export default function NotePage() {
   const userEmail = user?.email?.toLowerCase();
   const noteCollaborators = (note.collaborators || []).map(c => c?.toLowerCase());
   const isCollaborator = userEmail && noteCollaborators.includes(userEmail);
-  const canEdit = isOwner || isCollaborator;
+  // Viewers and commenters only get read access - the API sends canEdit for the signed-in user
+  const canEdit = note.canEdit !== undefined ? note.canEdit : isOwner || isCollaborator;
   const canDelete = isOwner; // Only owners can delete
 
+  const isChecklist = note.type === "checklist";
+  const canEditItems = canEdit && !note.completed;
+
+  // Calls one of the checklist item endpoints and merges the returned items into the note
+  async function updateChecklist(path, method, body) {
+    try {
+      const res = await fetch(`/api/notes/${note._id}/items${path}`, {
+        method,
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer " + token,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Error updating checklist");
+      setNote((prev) => ({
+        ...prev,
+        items: data.items,
+        content: data.content,
+        currentContent: data.content,
+        updatedAt: data.updatedAt,
+        __v: data.__v,
+      }));
+      return true;
+    } catch (err) {
+      console.error(err);
+      setMessage("Error: " + (err.message || err.toString()));
+      setTimeout(() => setMessage(""), 3000);
+      return false;
+    }
+  }
+
+  function handleMoveItem(index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= note.items.length) return;
+    const order = note.items.map((item) => item._id);
+    [order[index], order[target]] = [order[target], order[index]];
+    return updateChecklist("", "PUT", { order });
+  }
+
+  async function handleConvertType() {
+    if (!token || !note) return;
+    const nextType = isChecklist ? "text" : "checklist";
+    try {
+      const res = await fetch(`/api/notes/${note._id}`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer " + token,
+          ...versionHeaders(note),
+        },
+        body: JSON.stringify({ type: nextType }),
+      });
+
+      if (res.status === 409) await showServerCopy(res);
+      if (!res.ok) {
+        const txt = await res.text();
+        throw new Error(txt || "Error converting note");
+      }
+
+      const updatedNote = await res.json();
+      setNote(updatedNote);
+      setForm((prev) => ({ ...prev, content: updatedNote.currentContent || updatedNote.content || "" }));
+      setMessage(nextType === "checklist" ? "Converted to checklist" : "Converted to text note");
+      setTimeout(() => setMessage(""), 2000);
+    } catch (err) {
+      console.error(err);
+      setMessage("Error: " + (err.message || err.toString()));
+      setTimeout(() => setMessage(""), 3000);
+    }
+  }
+
   async function handleToggleComplete() {
     if (!token || !note) return;
     try {
@@ -367,10 +579,12 @@ export default function NotePage() {
         headers: {
           "Content-Type": "application/json",
           Authorization: "Bearer " + token,
+          ...versionHeaders(note),
         },
         body: JSON.stringify({ completed: !note.completed }),
       });
 
+      if (res.status === 409) await showServerCopy(res);
       if (!res.ok) {
         const txt = await res.text();
         throw new Error(txt || "Error updating note");
@@ -387,6 +601,85 @@ export default function NotePage() {
     }
   }
 
+  // Stops (or restarts) every email and in-app notification about this note for the signed-in user
+  async function handleToggleMute() {
+    if (!token || !note) return;
+    try {
+      const res = await fetch(`/api/notes/${note._id}/mute`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer " + token,
+        },
+        body: JSON.stringify({ muted: !muted }),
+      });
+      if (!res.ok) {
+        const txt = await res.text();
+        throw new Error(txt || "Error updating note");
+      }
+
+      const data = await res.json();
+      setMuted(data.muted);
+      setMessage(data.muted ? "Note muted - you won't get notifications about it" : "Note unmuted");
+      setTimeout(() => setMessage(""), 2000);
+    } catch (err) {
+      console.error(err);
+      setMessage("Error: " + (err.message || err.toString()));
+      setTimeout(() => setMessage(""), 3000);
+    }
+  }
+
+  // Owner only - changes one collaborator's role
+  async function handleRoleChange(email, role) {
+    try {
+      const res = await fetch(`/api/notes/${note._id}`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: "Bearer " + token,
+          ...versionHeaders(note),
+        },
+        body: JSON.stringify({ collaboratorRoles: { [email]: role } }),
+      });
+
+      if (res.status === 409) await showServerCopy(res);
+      if (!res.ok) {
+        const txt = await res.text();
+        throw new Error(txt || "Error updating role");
+      }
+
+      const updatedNote = await res.json();
+      setNote(updatedNote);
+      setMessage(`${email} ${ROLE_LABELS[role].toLowerCase()}`);
+      setTimeout(() => setMessage(""), 2000);
+    } catch (err) {
+      console.error(err);
+      setMessage("Error: " + (err.message || err.toString()));
+      setTimeout(() => setMessage(""), 3000);
+    }
+  }
+
+  // Reloads the note after a version was restored from the history panel
+  async function handleVersionRestored(result) {
+    try {
+      const res = await fetch(`/api/notes/${note._id}`, {
+        headers: { Authorization: "Bearer " + token },
+      });
+      if (!res.ok) throw new Error(await res.text());
+
+      const updatedNote = await res.json();
+      setNote(updatedNote);
+      const cleanText = stripLegacyTracking(updatedNote.currentContent || updatedNote.content || "");
+      setForm((prev) => ({ ...prev, title: updatedNote.title || "", content: cleanText }));
+      setMessage(`Restored version ${result.restoredFrom}`);
+      setTimeout(() => setMessage(""), 2000);
+    } catch (err) {
+      console.error(err);
+      setMessage("Error: " + (err.message || err.toString()));
+      setTimeout(() => setMessage(""), 3000);
+    }
+  }
+
   return (
     <div>
       {/* Header */}
@@ -401,18 +694,43 @@ export default function NotePage() {
           <span>Back to Notes</span>
         </Link>
 
-        {!editing && canEdit && (
+        {!editing && (
           <div className="flex items-center space-x-3">
             <button
-              onClick={handleToggleComplete}
-              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
-                note.completed
-                  ? "text-orange-600 hover:bg-orange-50 border border-orange-200"
-                  : "text-green-600 hover:bg-green-50 border border-green-200"
-              }`}
+              onClick={() => setShowHistory((prev) => !prev)}
+              className="px-4 py-2 text-gray-700 hover:bg-gray-100 border border-gray-200 rounded-lg font-medium transition-colors"
             >
-              {note.completed ? "Mark Incomplete" : "Mark Complete"}
+              {showHistory ? "Hide History" : "History"}
             </button>
+            {(isOwner || isCollaborator) && (
+              <button
+                onClick={handleToggleMute}
+                title={muted ? "Get notifications about this note again" : "Stop emails and notifications about this note"}
+                className="px-4 py-2 text-gray-700 hover:bg-gray-100 border border-gray-200 rounded-lg font-medium transition-colors"
+              >
+                {muted ? "Unmute" : "Mute"}
+              </button>
+            )}
+            {canEdit && (
+              <button
+                onClick={handleToggleComplete}
+                className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                  note.completed
+                    ? "text-orange-600 hover:bg-orange-50 border border-orange-200"
+                    : "text-green-600 hover:bg-green-50 border border-green-200"
+                }`}
+              >
+                {note.completed ? "Mark Incomplete" : "Mark Complete"}
+              </button>
+            )}
+            {!note.completed && canEdit && (
+              <button
+                onClick={handleConvertType}
+                className="px-4 py-2 text-gray-700 hover:bg-gray-100 border border-gray-200 rounded-lg font-medium transition-colors"
+              >
+                {isChecklist ? "Convert to Text" : "Convert to Checklist"}
+              </button>
+            )}
             {!note.completed && canDelete && (
               <button
                 onClick={handleDelete}
@@ -421,9 +739,9 @@ export default function NotePage() {
                 Delete
               </button>
             )}
-            {!note.completed && (
+            {!note.completed && canEdit && (
               <button
-                onClick={() => setEditing(true)}
+                onClick={startEditing}
                 className="btn-primary"
               >
                 Edit
@@ -433,6 +751,25 @@ export default function NotePage() {
         )}
       </div>
 
+      {/* Live collaboration */}
+      {(viewers.length > 0 || liveNotice) && (
+        <div className="mb-4 flex flex-wrap items-center gap-2 text-sm">
+          {viewers.length > 0 && (
+            <div className="flex items-center space-x-2 px-3 py-1.5 bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300 rounded-full border border-blue-200 dark:border-blue-700">
+              <span className="w-2 h-2 rounded-full bg-green-500" />
+              <span className="font-medium">
+                Also viewing: {viewers.map((v) => v.name || v.email).join(", ")}
+              </span>
+            </div>
+          )}
+          {liveNotice && (
+            <div className="px-3 py-1.5 bg-yellow-50 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-300 rounded-lg border border-yellow-200 dark:border-yellow-700">
+              {liveNotice}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Completed Status Badge */}
       {note.completed && (
         <div className="mb-4 flex items-center space-x-2 px-4 py-2 bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300 rounded-lg border border-green-300 dark:border-green-700">
@@ -478,16 +815,22 @@ export default function NotePage() {
               />
             </div>
 
-            <div>
-              <textarea
-                name="content"
-                value={form.content}
-                onChange={handleChange}
-                placeholder="Take a note..."
-                rows={10}
-                className="input-field resize-none"
-              />
-            </div>
+            {isChecklist ? (
+              <p className="text-sm text-gray-500">
+                Checklist items are edited directly on the note.
+              </p>
+            ) : (
+              <div>
+                <textarea
+                  name="content"
+                  value={form.content}
+                  onChange={handleChange}
+                  placeholder="Take a note..."
+                  rows={10}
+                  className="input-field resize-none"
+                />
+              </div>
+            )}
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div>
@@ -525,8 +868,11 @@ export default function NotePage() {
                 onChange={handleChange}
                 placeholder="Comma-separated emails"
                 className="input-field"
+                readOnly={!isOwner}
               />
-              <p className="text-xs text-gray-500 mt-1">Separate multiple emails with commas</p>
+              <p className="text-xs text-gray-500 mt-1">
+                {isOwner ? "Separate multiple emails with commas" : "Only the owner can change who has access"}
+              </p>
             </div>
 
 
@@ -567,10 +913,29 @@ export default function NotePage() {
             </h1>
           )}
 
+          {/* Checklist notes render their items instead of the text sections */}
+          {isChecklist && (
+            <div className="mb-6">
+              <Checklist
+                items={note.items || []}
+                disabled={!canEditItems}
+                onToggle={(item) => updateChecklist(`/${item._id}`, "PUT", { checked: !item.checked })}
+                onDelete={(item) => updateChecklist(`/${item._id}`, "DELETE")}
+                onMove={handleMoveItem}
+                onAdd={canEditItems ? (text) => updateChecklist("", "POST", { text }) : undefined}
+              />
+              {message && (
+                <div className={`mt-3 text-sm font-medium ${message.includes("Error") ? "text-red-600" : "text-green-600"}`}>
+                  {message}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Content - Show Original and Updated sections */}
-          {(() => {
-            const originalContent = note.originalContent || note.content || '';
-            const currentContent = note.currentContent || note.content || '';
+          {!isChecklist && (() => {
+            const originalContent = stripLegacyTracking(note.originalContent || note.content || '');
+            const currentContent = stripLegacyTracking(note.currentContent || note.content || '');
             const hasChanges = originalContent !== currentContent;
 
             // Get owner info
@@ -625,8 +990,8 @@ export default function NotePage() {
                       Original (Created by {ownerName})
                     </span>
                   </div>
-                  <div className="text-gray-700 dark:text-gray-300 whitespace-pre-wrap leading-relaxed">
-                    {originalContent || <span className="text-gray-400 italic">Empty note</span>}
+                  <div className="text-gray-700 dark:text-gray-300">
+                    {originalContent ? <Markdown text={originalContent} /> : <span className="text-gray-400 italic">Empty note</span>}
                   </div>
                 </div>
 
@@ -651,9 +1016,8 @@ export default function NotePage() {
                         Updated (Last edited by {lastEditorName})
                       </span>
                     </div>
-                    <div className="text-gray-700 dark:text-gray-300 whitespace-pre-wrap leading-relaxed">
-                      {currentContent || <span className="text-gray-400 italic">Empty note</span>}
-                    </div>
+                    {/* Gutter shows who last wrote each paragraph */}
+                    <AttributedContent content={currentContent} attribution={note.attribution} />
                   </div>
                 ) : (
                   <div className="text-sm text-gray-500 dark:text-gray-400 italic">
@@ -664,72 +1028,23 @@ export default function NotePage() {
             );
           })()}
 
-          {/* Legacy content display (for backward compatibility with old format) */}
-          {!note.originalContent && !note.currentContent && note.content && (() => {
-            const { mainText, changeLog } = parseContent(note.content);
-
-            // Split text by tags to render them inline
-            // Using a regex with capturing groups - split includes the matches
-            const tagPattern = /(\[edited-by:\s*[^,]+\s*,\s*time:\s*[^\]]+\])/g;
-            const parts = mainText.split(tagPattern);
-
-            return (
-              <div className="mb-6">
-                <div className="prose max-w-none">
-                  <div className="text-gray-700 whitespace-pre-wrap leading-relaxed">
-                    {parts.map((part, idx) => {
-                      // Check if this part is a tag (format: [edited-by: name, time: timestamp])
-                      const tagMatch = part.match(/^\[edited-by:\s*([^,]+),\s*time:\s*([^\]]+)\]$/);
-                      if (tagMatch) {
-                        const collaborator = tagMatch[1].trim();
-                        const timestamp = tagMatch[2].trim();
-                        return (
-                          <span
-                            key={idx}
-                            className="inline-block ml-2 px-2 py-0.5 bg-blue-50 text-blue-700 text-xs rounded border border-blue-200 font-mono"
-                            title={`Edited by ${collaborator} at ${timestamp}`}
-                          >
-                            [edited-by: {collaborator}, time: {timestamp}]
-                          </span>
-                        );
-                      }
-                      return <span key={idx}>{part}</span>;
-                    })}
-                  </div>
-                </div>
-
-                {/* Change Log */}
-                {changeLog && changeLog.trim() && (
-                  <div className="mt-8 pt-6 border-t border-gray-200">
-                    <h3 className="text-sm font-semibold text-gray-700 mb-3 flex items-center space-x-2">
-                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
-                      </svg>
-                      <span>Change Log</span>
-                    </h3>
-                    <div className="bg-gray-50 rounded-lg p-4 font-mono text-sm text-gray-600 whitespace-pre-wrap">
-                      {changeLog.trim()}
-                    </div>
-                  </div>
-                )}
-              </div>
-            );
-          })()}
+          {/* Change Log - one entry per content edit, with the words each edit changed */}
+          {note.editLog?.length > 0 && <ChangeLog entries={note.editLog} />}
+
+          {/* Reminders - the main one plus extra ones with their own recipients */}
+          {(note.reminderAt || note.reminders?.length > 0 || (canEdit && !note.completed)) && (
+            <ReminderList
+              note={note}
+              token={token}
+              canEdit={canEdit}
+              isOwner={isOwner}
+              onChange={(changes) => setNote((prev) => ({ ...prev, ...changes }))}
+            />
+          )}
 
           {/* Metadata */}
           <div className="mt-8 pt-6 border-t border-gray-200">
             <div className="flex flex-wrap items-center gap-4 text-sm">
-              {note.reminderAt && (
-                <div className="flex items-center space-x-2 px-3 py-1.5 bg-blue-50 text-blue-700 rounded-full border border-blue-200">
-                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
-                  </svg>
-                  <span className="font-medium">
-                    Reminder: {new Date(note.reminderAt).toLocaleString()}
-                  </span>
-                </div>
-              )}
-
               {note.collaborators && note.collaborators.length > 0 && (
                 <div className="flex flex-wrap items-center gap-2">
                   {note.collaborators.map((email, idx) => (
@@ -738,6 +1053,22 @@ export default function NotePage() {
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
                       </svg>
                       <span className="font-medium text-sm">{email}</span>
+                      {isOwner && !note.completed ? (
+                        <select
+                          value={getCollaboratorRole(note, email) || DEFAULT_COLLABORATOR_ROLE}
+                          onChange={(e) => handleRoleChange(email, e.target.value)}
+                          className="text-xs bg-transparent border-l border-purple-200 pl-2 focus:outline-none"
+                          title="Change what this collaborator can do"
+                        >
+                          {COLLABORATOR_ROLES.map((r) => (
+                            <option key={r} value={r}>{ROLE_LABELS[r]}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className="text-xs opacity-75">
+                          {ROLE_LABELS[getCollaboratorRole(note, email) || DEFAULT_COLLABORATOR_ROLE]}
+                        </span>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -748,7 +1079,7 @@ export default function NotePage() {
                   <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
                   </svg>
-                  <span className="font-medium">Can edit</span>
+                  <span className="font-medium">{ROLE_LABELS[note.role] || (canEdit ? ROLE_LABELS.editor : ROLE_LABELS.viewer)}</span>
                 </div>
               )}
 
@@ -759,7 +1090,38 @@ export default function NotePage() {
           </div>
         </div>
       )}
+
+      {/* Version history */}
+      {showHistory && !editing && (
+        <div className="mt-6">
+          <VersionHistory
+            note={note}
+            token={token}
+            canRestore={canEdit && !note.completed}
+            refreshKey={note.updatedAt}
+            onRestored={handleVersionRestored}
+            onClose={() => setShowHistory(false)}
+          />
+        </div>
+      )}
+
+      {/* Merge dialog after a conflicting save */}
+      {conflict && (
+        <ConflictDialog
+          key={conflict.theirs.__v}
+          mine={{ title: conflict.values.title, content: conflict.values.content }}
+          theirs={{
+            title: conflict.theirs.title,
+            content: stripLegacyTracking(conflict.theirs.currentContent || conflict.theirs.content || ""),
+          }}
+          theirsLabel={`A newer version was saved ${new Date(conflict.theirs.updatedAt).toLocaleString()}.`}
+          contentEditable={conflict.theirs.type !== "checklist"}
+          merge={conflict.merge}
+          onResolve={handleResolveConflict}
+          onDiscard={handleDiscardMine}
+          onCancel={() => setConflict(null)}
+        />
+      )}
     </div>
   );
 }
-
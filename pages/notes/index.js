@@ -2,10 +2,31 @@
 import { useEffect, useState } from "react";
 import { useAuth } from "../../context/AuthContext";
 import { useRouter } from "next/router";
+import Link from "next/link";
 import axios from "axios";
 import { validateNote } from "../../utils/validation";
 import NoteCard from "../../components/NoteCard";
 import ColorPicker from "../../components/ColorPicker";
+import InfiniteScrollTrigger from "../../components/InfiniteScrollTrigger";
+import { applyNoteListEvent, subscribeToNoteStream } from "../../utils/liveNotes";
+import { versionHeaders } from "../../utils/concurrency";
+
+const PAGE_SIZE = 20;
+
+// Fetches one page of notes (pinned first, newest first) from GET /api/notes
+async function fetchNotesPage(token, cursor = null) {
+  const res = await axios.get("/api/notes", {
+    params: cursor ? { limit: PAGE_SIZE, cursor } : { limit: PAGE_SIZE },
+    headers: { Authorization: "Bearer " + token },
+  });
+  return res.data;
+}
+
+// Appends a page to the list, skipping notes already loaded
+function mergeNotes(existing, incoming) {
+  const seen = new Set(existing.map((note) => String(note._id)));
+  return [...existing, ...incoming.filter((note) => note && note._id && !seen.has(String(note._id)))];
+}
 
 export default function NotesDashboard() {
   const { token, user } = useAuth();
@@ -28,6 +49,14 @@ export default function NotesDashboard() {
   const [formErrors, setFormErrors] = useState({ title: '', content: '', collaborators: '' });
   const [userEmail, setUserEmail] = useState("");
   const [newNoteIds, setNewNoteIds] = useState(new Set());
+  const [searchResults, setSearchResults] = useState(null); // null when not searching
+  const [searchPage, setSearchPage] = useState(1);
+  const [searchTotal, setSearchTotal] = useState(0);
+  const [searchHasMore, setSearchHasMore] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   // Check authentication
   useEffect(() => {
@@ -45,31 +74,67 @@ export default function NotesDashboard() {
   useEffect(() => {
     if (!token || checkingAuth) return;
     setLoading(true);
-    fetch("/api/notes", {
-      headers: { Authorization: "Bearer " + token },
-    })
-      .then(async (res) => {
-        if (!res.ok) throw new Error(await res.text());
-        return res.json();
-      })
+    fetchNotesPage(token)
       .then((data) => {
-        // Additional deduplication on frontend as a safeguard
-        const uniqueNotesMap = new Map();
-        data.forEach(note => {
-          if (note && note._id) {
-            const noteId = note._id.toString();
-            if (!uniqueNotesMap.has(noteId)) {
-              uniqueNotesMap.set(noteId, note);
-            }
-          }
-        });
-        const uniqueNotes = Array.from(uniqueNotesMap.values());
-        setNotes(uniqueNotes);
+        setNotes(mergeNotes([], data.notes));
+        setNextCursor(data.nextCursor);
+        setHasMore(data.hasMore);
       })
       .catch((err) => console.error("Fetch notes error", err))
       .finally(() => setLoading(false));
   }, [token, checkingAuth]);
 
+  // Live changes from collaborators (see /api/notes/events)
+  useEffect(() => {
+    if (!token || checkingAuth) return;
+    const applyEvent = (event) => setNotes((prev) => applyNoteListEvent(prev, event, user));
+    return subscribeToNoteStream("/api/notes/events", {
+      update: applyEvent,
+      deleted: applyEvent,
+      revoked: applyEvent,
+    });
+  }, [token, checkingAuth, user?.email]);
+
+  // Server-side search (debounced) - replaces filtering the whole list in the browser
+  useEffect(() => {
+    if (!token || checkingAuth) return;
+    const q = searchQuery.trim();
+    if (!q) {
+      setSearchResults(null);
+      setSearchTotal(0);
+      setSearchHasMore(false);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      setSearching(true);
+      axios
+        .get("/api/notes/search", {
+          params: { q, page: searchPage },
+          headers: { Authorization: "Bearer " + token },
+        })
+        .then((res) => {
+          if (cancelled) return;
+          const { results, total, hasMore } = res.data;
+          setSearchResults((prev) =>
+            searchPage > 1 && prev ? [...prev, ...results] : results
+          );
+          setSearchTotal(total);
+          setSearchHasMore(hasMore);
+        })
+        .catch((err) => console.error("Search notes error", err))
+        .finally(() => {
+          if (!cancelled) setSearching(false);
+        });
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery, searchPage, token, checkingAuth]);
+
   // Fetch user email
   useEffect(() => {
     if (!token) return;
@@ -112,6 +177,29 @@ export default function NotesDashboard() {
     );
   }
 
+  // Reload from the first page after a change (the edited note may have moved)
+  async function reloadNotes() {
+    const data = await fetchNotesPage(token);
+    setNotes(mergeNotes([], data.notes));
+    setNextCursor(data.nextCursor);
+    setHasMore(data.hasMore);
+  }
+
+  async function loadMoreNotes() {
+    if (!hasMore || loadingMore || !nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const data = await fetchNotesPage(token, nextCursor);
+      setNotes((prev) => mergeNotes(prev, data.notes));
+      setNextCursor(data.nextCursor);
+      setHasMore(data.hasMore);
+    } catch (err) {
+      console.error("Fetch more notes error", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
   function handleChange(e) {
     setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
   }
@@ -161,7 +249,7 @@ export default function NotesDashboard() {
       let res;
       if (editing) {
         res = await axios.put(`/api/notes/${editing._id}`, payload, {
-          headers: { Authorization: "Bearer " + token },
+          headers: { Authorization: "Bearer " + token, ...versionHeaders(editing) },
         });
       } else {
         res = await axios.post("/api/notes", payload, {
@@ -183,10 +271,7 @@ export default function NotesDashboard() {
       setFormErrors({ title: '', content: '', collaborators: '' });
 
       // Reload notes
-      const notesRes = await axios.get("/api/notes", {
-        headers: { Authorization: "Bearer " + token },
-      });
-      setNotes(notesRes.data);
+      await reloadNotes();
       
       // Mark the newly created note as new
       if (newNoteId) {
@@ -206,6 +291,15 @@ export default function NotesDashboard() {
       setTimeout(() => setMessage(""), 2000);
     } catch (err) {
       console.error(err);
+      if (err.response?.status === 409 && err.response.data?.note) {
+        // Someone saved first - base the next save on their version so the user can review and retry
+        const latest = err.response.data.note;
+        setEditing(latest);
+        replaceNote(latest);
+        setMessage("Error: This note was changed by someone else. Check the latest version, then save again.");
+        setTimeout(() => setMessage(""), 5000);
+        return;
+      }
       const errorMsg = err.response?.data?.error || err.message || "Failed to save";
       setMessage("Error: " + errorMsg);
 
@@ -246,38 +340,46 @@ export default function NotesDashboard() {
   }
 
   async function handleDelete(note) {
-    if (!confirm("Delete this note?")) return;
+    if (!confirm("Move this note to trash?")) return;
     try {
       await axios.delete(`/api/notes/${note._id}`, {
         headers: { Authorization: "Bearer " + token },
       });
       // Reload notes
-      const notesRes = await axios.get("/api/notes", {
-        headers: { Authorization: "Bearer " + token },
-      });
-      setNotes(notesRes.data);
+      await reloadNotes();
     } catch (err) {
       console.error("delete error", err);
       alert("Delete failed");
     }
   }
 
+  // Swaps in a note returned by the server, keeping fields only the list request adds
+  function replaceNote(latest) {
+    setNotes((prev) => prev.map((n) => (n._id === latest._id ? { ...n, ...latest } : n)));
+  }
+
+  // A 409 means the note changed since it was loaded: show the saved version and let the user retry
+  function handleStaleNote(err) {
+    if (err.response?.status !== 409 || !err.response.data?.note) return false;
+    replaceNote(err.response.data.note);
+    alert("This note was changed by someone else. The latest version is now shown - please try again.");
+    return true;
+  }
+
   async function toggleCompleted(note) {
     try {
       await axios.put(
         `/api/notes/${note._id}`,
         { completed: !note.completed },
         {
-          headers: { Authorization: "Bearer " + token },
+          headers: { Authorization: "Bearer " + token, ...versionHeaders(note) },
         }
       );
       // Reload notes
-      const notesRes = await axios.get("/api/notes", {
-        headers: { Authorization: "Bearer " + token },
-      });
-      setNotes(notesRes.data);
+      await reloadNotes();
     } catch (err) {
       console.error("toggle completed error", err);
+      if (handleStaleNote(err)) return;
       alert("Failed to update note");
     }
   }
@@ -288,16 +390,71 @@ export default function NotesDashboard() {
         `/api/notes/${note._id}`,
         { pinned: !note.pinned },
         {
-          headers: { Authorization: "Bearer " + token },
+          headers: { Authorization: "Bearer " + token, ...versionHeaders(note) },
         }
       );
       // Reload notes
-      const notesRes = await axios.get("/api/notes", {
-        headers: { Authorization: "Bearer " + token },
-      });
-      setNotes(notesRes.data);
+      await reloadNotes();
     } catch (err) {
       console.error("toggle pin error", err);
+      if (handleStaleNote(err)) return;
+      alert("Failed to update note");
+    }
+  }
+
+  async function handleSnooze(note, option) {
+    try {
+      const res = await axios.post(
+        `/api/notes/${note._id}/reminder`,
+        { action: "snooze", option },
+        {
+          headers: { Authorization: "Bearer " + token },
+        }
+      );
+      const { ok, ...reminder } = res.data;
+      setNotes((prev) => prev.map((n) => (n._id === note._id ? { ...n, ...reminder } : n)));
+    } catch (err) {
+      console.error("snooze error", err);
+      alert("Failed to snooze reminder");
+    }
+  }
+
+  async function handleToggleItem(note, item) {
+    try {
+      const res = await axios.put(
+        `/api/notes/${note._id}/items/${item._id}`,
+        { checked: !item.checked },
+        {
+          headers: { Authorization: "Bearer " + token },
+        }
+      );
+      setNotes((prev) =>
+        prev.map((n) =>
+          n._id === note._id
+            ? { ...n, items: res.data.items, content: res.data.content, currentContent: res.data.content, __v: res.data.__v }
+            : n
+        )
+      );
+    } catch (err) {
+      console.error("toggle item error", err);
+      alert("Failed to update checklist");
+    }
+  }
+
+  async function handleToggleArchive(note) {
+    try {
+      await axios.put(
+        `/api/notes/${note._id}`,
+        { archived: !note.archived },
+        {
+          headers: { Authorization: "Bearer " + token, ...versionHeaders(note) },
+        }
+      );
+      // Reload notes
+      await reloadNotes();
+    } catch (err) {
+      console.error("toggle archive error", err);
+      if (handleStaleNote(err)) return;
       alert("Failed to update note");
     }
   }
@@ -308,16 +465,13 @@ export default function NotesDashboard() {
     if (statusFilter === "active" && note.completed) return false;
     if (statusFilter === "completed" && !note.completed) return false;
 
-    // Search filter
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase();
-      const matchesTitle = note.title?.toLowerCase().includes(query);
-      const matchesContent = note.content?.toLowerCase().includes(query) ||
-        note.currentContent?.toLowerCase().includes(query) ||
-        note.originalContent?.toLowerCase().includes(query);
-      if (!matchesTitle && !matchesContent) return false;
-    }
+    return true;
+  });
 
+  // Search results respect the status filter too
+  const filteredSearchResults = (searchResults || []).filter((result) => {
+    if (statusFilter === "active" && result.completed) return false;
+    if (statusFilter === "completed" && !result.completed) return false;
     return true;
   });
 
@@ -464,7 +618,10 @@ export default function NotesDashboard() {
                 type="text"
                 placeholder="Search notes..."
                 value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
+                onChange={(e) => {
+                  setSearchQuery(e.target.value);
+                  setSearchPage(1);
+                }}
                 className="input-field flex-1"
               />
               <select
@@ -480,7 +637,27 @@ export default function NotesDashboard() {
           </div>
 
           {/* Notes List */}
-          {loading ? (
+          {searchResults !== null ? (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                {searching && searchPage === 1
+                  ? "Searching..."
+                  : `${searchTotal} result${searchTotal === 1 ? "" : "s"} for "${searchQuery.trim()}"`}
+              </p>
+              {filteredSearchResults.map((result) => (
+                <SearchResultItem key={result._id} result={result} />
+              ))}
+              {searchHasMore && (
+                <button
+                  onClick={() => setSearchPage((p) => p + 1)}
+                  disabled={searching}
+                  className="btn-secondary w-full"
+                >
+                  {searching ? "Loading..." : "Load more results"}
+                </button>
+              )}
+            </div>
+          ) : loading ? (
             <div className="flex items-center justify-center py-12">
               <div className="text-center">
                 <svg className="animate-spin h-8 w-8 text-blue-600 mx-auto mb-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -510,9 +687,17 @@ export default function NotesDashboard() {
                   onDelete={handleDelete}
                   onToggleComplete={toggleCompleted}
                   onTogglePin={handleTogglePin}
+                  onToggleArchive={handleToggleArchive}
+                  onSnooze={handleSnooze}
+                  onToggleItem={handleToggleItem}
                   isNew={newNoteIds.has(String(note._id))}
                 />
               ))}
+              <InfiniteScrollTrigger
+                onLoadMore={loadMoreNotes}
+                hasMore={hasMore}
+                loading={loadingMore}
+              />
             </div>
           )}
         </div>
@@ -588,6 +773,53 @@ function CompletedNotesModal({ notes, onClose, userEmail }) {
   );
 }
 
+// Renders text with the server-provided highlight ranges wrapped in <mark>
+function HighlightedText({ text, highlights = [] }) {
+  if (!text) return null;
+  const parts = [];
+  let cursor = 0;
+  highlights.forEach((range, idx) => {
+    if (range.start > cursor) {
+      parts.push(<span key={`t${idx}`}>{text.slice(cursor, range.start)}</span>);
+    }
+    parts.push(
+      <mark key={`m${idx}`} className="bg-yellow-200 dark:bg-yellow-700/60 text-inherit rounded px-0.5">
+        {text.slice(range.start, range.end)}
+      </mark>
+    );
+    cursor = range.end;
+  });
+  if (cursor < text.length) {
+    parts.push(<span key="rest">{text.slice(cursor)}</span>);
+  }
+  return <>{parts}</>;
+}
+
+function SearchResultItem({ result }) {
+  return (
+    <Link href={`/notes/${result._id}`} className="card p-4 block hover:shadow-md transition-shadow">
+      <h4 className={`font-semibold text-gray-900 dark:text-gray-100 ${result.completed ? "line-through opacity-60" : ""}`}>
+        {result.title ? (
+          <HighlightedText text={result.title} highlights={result.titleHighlights} />
+        ) : (
+          "Untitled"
+        )}
+      </h4>
+      {result.snippet?.text && (
+        <p className="text-sm text-gray-600 dark:text-gray-400 mt-2 whitespace-pre-wrap">
+          <HighlightedText text={result.snippet.text} highlights={result.snippet.highlights} />
+        </p>
+      )}
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+        {!result.isOwner && result.ownerInfo && (
+          <span>Shared by {result.ownerInfo.name || result.ownerInfo.email}</span>
+        )}
+        <span>Updated {new Date(result.updatedAt).toLocaleString()}</span>
+      </div>
+    </Link>
+  );
+}
+
 function CompletedNoteItem({ note }) {
   const hasOriginalAndUpdated = note.originalContent && note.currentContent && note.originalContent !== note.currentContent;
 
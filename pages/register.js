@@ -5,6 +5,7 @@ import { useRouter } from 'next/router';
 import { useAuth } from '../context/AuthContext';
 import Link from 'next/link';
 import { isValidEmail, validateName, validatePassword, validateRegistration } from '../utils/validation';
+import { getLocalTimeZone } from '../utils/helpers';
 
 export default function RegisterPage() {
   const { user, saveToken } = useAuth();
@@ -93,7 +94,8 @@ export default function RegisterPage() {
     setErr(null);
 
     // Validate all fields
-    const validation = validateRegistration(form);
+    // The browser's time zone, for reminder emails and snoozes
+    const validation = validateRegistration({ ...form, timezone: getLocalTimeZone() });
     const passwordMatch = form.password === form.confirmPassword;
 
     if (!passwordMatch) {
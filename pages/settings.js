@@ -0,0 +1,274 @@
+// pages/settings.js
+import { useEffect, useState } from "react";
+import { useRouter } from "next/router";
+import axios from "axios";
+import { useAuth } from "../context/AuthContext";
+import { useToast } from "../context/ToastContext";
+import Link from "next/link";
+import { getLocalTimeZone, formatLocalString } from "../utils/helpers";
+import { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS, CHANNEL_LABELS, getNotificationToggles } from "../utils/notificationPrefs";
+
+// How reminder emails arrive (User.reminderDigest.mode)
+const DIGEST_OPTIONS = [
+  { value: "off", label: "One email per reminder" },
+  { value: "daily", label: "Daily digest", hint: "one summary at 8:00" },
+  { value: "weekly", label: "Weekly digest", hint: "one summary on Monday at 8:00" },
+];
+
+// Zones this browser knows about (older browsers only get a text field)
+function listTimeZones() {
+  try {
+    return typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function fromProfile(data) {
+  return {
+    timezone: data.timezone || "",
+    reminderDigest: data.reminderDigest || "off",
+    notificationPrefs: data.notificationPrefs || getNotificationToggles(null),
+  };
+}
+
+export default function SettingsPage() {
+  const { token } = useAuth();
+  const { addToast } = useToast();
+  const router = useRouter();
+  const [checkingAuth, setCheckingAuth] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [settings, setSettings] = useState(fromProfile({}));
+  const [mutedNotes, setMutedNotes] = useState([]);
+  const [zones, setZones] = useState([]);
+  const [deviceZone, setDeviceZone] = useState(null);
+
+  // Check authentication
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    const timer = setTimeout(() => {
+      setCheckingAuth(false);
+      if (!token) {
+        router.push("/login");
+      }
+    }, 100);
+    return () => clearTimeout(timer);
+  }, [token, router]);
+
+  useEffect(() => {
+    setZones(listTimeZones());
+    setDeviceZone(getLocalTimeZone());
+  }, []);
+
+  useEffect(() => {
+    if (!token || checkingAuth) return;
+    setLoading(true);
+    axios
+      .get("/api/user/me", { headers: { Authorization: "Bearer " + token } })
+      .then(({ data }) => {
+        setSettings(fromProfile(data));
+        setMutedNotes(data.mutedNotes || []);
+      })
+      .catch((err) => console.error("Fetch settings error", err))
+      .finally(() => setLoading(false));
+  }, [token, checkingAuth]);
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const { data } = await axios.put(
+        "/api/user/me",
+        {
+          timezone: settings.timezone || null,
+          reminderDigest: settings.reminderDigest,
+          notificationPrefs: settings.notificationPrefs,
+        },
+        { headers: { Authorization: "Bearer " + token } }
+      );
+      setSettings(fromProfile(data));
+      setMutedNotes(data.mutedNotes || []);
+      addToast("Settings saved", "success");
+    } catch (err) {
+      console.error("save settings error", err);
+      addToast(err.response?.data?.error || "Failed to save settings", "error");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function toggleNotification(channel, event) {
+    setSettings((prev) => ({
+      ...prev,
+      notificationPrefs: {
+        ...prev.notificationPrefs,
+        [channel]: { ...prev.notificationPrefs[channel], [event]: !prev.notificationPrefs[channel][event] },
+      },
+    }));
+  }
+
+  // Unmuting takes effect straight away (see /api/notes/[id]/mute)
+  async function handleUnmute(noteId) {
+    try {
+      await axios.put(`/api/notes/${noteId}/mute`, { muted: false }, { headers: { Authorization: "Bearer " + token } });
+      setMutedNotes((prev) => prev.filter((note) => note._id !== noteId));
+    } catch (err) {
+      console.error("unmute note error", err);
+      addToast(err.response?.data?.error || "Failed to unmute note", "error");
+    }
+  }
+
+  if (checkingAuth || !token || loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="text-gray-600 dark:text-gray-400">Loading...</div>
+      </div>
+    );
+  }
+
+  const zoneOptions = settings.timezone && !zones.includes(settings.timezone) ? [settings.timezone, ...zones] : zones;
+
+  return (
+    <div className="max-w-2xl">
+      <div className="mb-6 sm:mb-8 pb-6 border-b-2 border-gray-200 dark:border-gray-700">
+        <h1 className="text-2xl sm:text-3xl lg:text-4xl font-extrabold bg-gradient-to-r from-gray-700 to-gray-500 dark:from-gray-200 dark:to-gray-400 bg-clip-text text-transparent mb-2">
+          Settings
+        </h1>
+      </div>
+
+      <form onSubmit={handleSave} className="space-y-6">
+        <section className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-5">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-1">Time zone</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+            Reminder emails show times in this zone, and snoozing to &quot;tomorrow morning&quot; means 8:00 here.
+          </p>
+          {zoneOptions.length > 0 ? (
+            <select
+              value={settings.timezone}
+              onChange={(e) => setSettings((prev) => ({ ...prev, timezone: e.target.value }))}
+              className="w-full border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            >
+              <option value="">Not set (server time)</option>
+              {zoneOptions.map((zone) => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="text"
+              value={settings.timezone}
+              onChange={(e) => setSettings((prev) => ({ ...prev, timezone: e.target.value.trim() }))}
+              placeholder="e.g. Europe/Berlin"
+              className="w-full border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            />
+          )}
+          <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+            {deviceZone && deviceZone !== settings.timezone && (
+              <button
+                type="button"
+                onClick={() => setSettings((prev) => ({ ...prev, timezone: deviceZone }))}
+                className="text-blue-600 dark:text-blue-400 hover:underline"
+              >
+                Use this device&apos;s zone ({deviceZone})
+              </button>
+            )}
+            {settings.timezone && (
+              <span className="text-gray-500 dark:text-gray-400">
+                Now: {formatLocalString(new Date(), settings.timezone)}
+              </span>
+            )}
+          </div>
+        </section>
+
+        <section className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-5">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-1">Reminder emails</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+            A digest collects your reminders into one email listing what is due, overdue and coming up.
+          </p>
+          <div className="space-y-2">
+            {DIGEST_OPTIONS.map((option) => (
+              <label key={option.value} className="flex items-center gap-2 text-sm text-gray-800 dark:text-gray-200">
+                <input
+                  type="radio"
+                  name="reminderDigest"
+                  value={option.value}
+                  checked={settings.reminderDigest === option.value}
+                  onChange={() => setSettings((prev) => ({ ...prev, reminderDigest: option.value }))}
+                />
+                <span>{option.label}</span>
+                {option.hint && <span className="text-gray-500 dark:text-gray-400">({option.hint})</span>}
+              </label>
+            ))}
+          </div>
+        </section>
+
+        <section className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-5">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-1">Notifications</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+            Choose what you hear about. Emails also carry a link to unsubscribe in one click.
+          </p>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="font-medium pb-2"></th>
+                {NOTIFICATION_CHANNELS.map((channel) => (
+                  <th key={channel} className="font-medium pb-2 text-center w-20">{CHANNEL_LABELS[channel]}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {NOTIFICATION_EVENTS.map((event) => (
+                <tr key={event.id} className="border-t border-gray-100 dark:border-gray-700">
+                  <td className="py-2 text-gray-800 dark:text-gray-200">{event.label}</td>
+                  {NOTIFICATION_CHANNELS.map((channel) => (
+                    <td key={channel} className="py-2 text-center">
+                      {event.channels.includes(channel) ? (
+                        <input
+                          type="checkbox"
+                          checked={settings.notificationPrefs[channel][event.id]}
+                          onChange={() => toggleNotification(channel, event.id)}
+                          aria-label={`${event.label}: ${CHANNEL_LABELS[channel]}`}
+                        />
+                      ) : (
+                        <span className="text-gray-300 dark:text-gray-600">-</span>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mt-5 mb-2">Muted notes</h3>
+          {mutedNotes.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              No muted notes. Mute a note from its page to stop everything about it.
+            </p>
+          ) : (
+            <ul className="space-y-2 text-sm">
+              {mutedNotes.map((note) => (
+                <li key={note._id} className="flex items-center justify-between gap-3">
+                  <Link href={`/notes/${note._id}`} className="text-gray-800 dark:text-gray-200 hover:underline truncate">
+                    {note.title || "Untitled Note"}
+                  </Link>
+                  <button
+                    type="button"
+                    onClick={() => handleUnmute(note._id)}
+                    className="text-blue-600 dark:text-blue-400 hover:underline flex-shrink-0"
+                  >
+                    Unmute
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+          {saving ? "Saving..." : "Save settings"}
+        </button>
+      </form>
+    </div>
+  );
+}
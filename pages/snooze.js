@@ -0,0 +1,75 @@
+// pages/snooze.js
+// Where the snooze links in reminder emails land (see /api/notes/[id]/reminder). Opening
+// the link changes nothing; the reminder is snoozed when the recipient confirms here.
+// Works without logging in.
+import { useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import axios from 'axios';
+import { SNOOZE_OPTIONS } from '../utils/snooze';
+
+export default function SnoozePage() {
+  const router = useRouter();
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+  if (!router.isReady) return null;
+
+  const { status, note, option, token } = router.query;
+  const choice = SNOOZE_OPTIONS.find(o => o.id === option);
+  const invalid = status === 'invalid' || !note || !token || !choice;
+
+  const handleConfirm = async () => {
+    setLoading(true);
+    try {
+      const res = await axios.post(`/api/notes/${note}/reminder?token=${encodeURIComponent(token)}`);
+      setResult({ ok: true, text: `Reminder snoozed until ${new Date(res.data.reminderAt).toLocaleString()}.` });
+    } catch (err) {
+      setResult({ ok: false, text: err.response?.data?.error || 'Something went wrong. Please try the link again in a moment.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  let body;
+  if (invalid) {
+    body = (
+      <p className="mb-6 text-red-600 dark:text-red-400">
+        This snooze link is invalid or has expired.
+      </p>
+    );
+  } else if (result) {
+    body = (
+      <p className={`mb-6 ${result.ok ? 'text-gray-600 dark:text-gray-400' : 'text-red-600 dark:text-red-400'}`}>
+        {result.text}
+      </p>
+    );
+  } else {
+    body = (
+      <>
+        <p className="mb-6 text-gray-600 dark:text-gray-400">
+          Snooze this reminder for {choice.label.toLowerCase()}?
+        </p>
+        <button type="button" className="btn-primary mb-6" onClick={handleConfirm} disabled={loading}>
+          {loading ? 'Snoozing...' : 'Snooze reminder'}
+        </button>
+      </>
+    );
+  }
+
+  return (
+    <div className="max-w-lg mx-auto card p-8 text-center">
+      <h2 className="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-3">
+        {invalid || (result && !result.ok) ? 'Snooze failed' : 'Snooze reminder'}
+      </h2>
+      {body}
+      <div>
+        <Link
+          href={note ? `/notes/${note}` : '/'}
+          className="text-sm text-blue-600 font-medium hover:text-blue-700 hover:underline"
+        >
+          Open the note
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,241 @@
+// pages/trash.js
+import { useEffect, useState } from "react";
+import { useRouter } from "next/router";
+import Link from "next/link";
+import axios from "axios";
+import { useAuth } from "../context/AuthContext";
+import { useToast } from "../context/ToastContext";
+import { getColorClasses } from "../components/ColorPicker";
+import InfiniteScrollTrigger from "../components/InfiniteScrollTrigger";
+
+const PAGE_SIZE = 20;
+
+// Fetches one page of the user's trashed notes from GET /api/notes
+async function fetchTrashPage(token, cursor = null) {
+  const params = { trashed: "true", limit: PAGE_SIZE };
+  if (cursor) params.cursor = cursor;
+  const res = await axios.get("/api/notes", {
+    params,
+    headers: { Authorization: "Bearer " + token },
+  });
+  return res.data;
+}
+
+// "in 12 days" / "today" for the purge countdown
+function formatPurgeCountdown(purgeAt) {
+  if (!purgeAt) return null;
+  const days = Math.ceil((new Date(purgeAt).getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+  if (days <= 0) return "today";
+  return days === 1 ? "in 1 day" : `in ${days} days`;
+}
+
+export default function TrashPage() {
+  const { token } = useAuth();
+  const { addToast } = useToast();
+  const router = useRouter();
+  const [notes, setNotes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [checkingAuth, setCheckingAuth] = useState(true);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [fetchToggle, setFetchToggle] = useState(0);
+
+  // Check authentication
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    const timer = setTimeout(() => {
+      setCheckingAuth(false);
+      if (!token) {
+        router.push("/login");
+      }
+    }, 100);
+    return () => clearTimeout(timer);
+  }, [token, router]);
+
+  // Load trashed notes
+  useEffect(() => {
+    if (!token || checkingAuth) return;
+    setLoading(true);
+    fetchTrashPage(token)
+      .then((data) => {
+        setNotes(data.notes);
+        setNextCursor(data.nextCursor);
+        setHasMore(data.hasMore);
+      })
+      .catch((err) => console.error("Fetch trash error", err))
+      .finally(() => setLoading(false));
+  }, [token, checkingAuth, fetchToggle]);
+
+  if (checkingAuth || !token) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="text-center">
+          <svg className="animate-spin h-8 w-8 text-blue-600 mx-auto mb-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+          </svg>
+          <div className="text-gray-600 dark:text-gray-400">Loading...</div>
+        </div>
+      </div>
+    );
+  }
+
+  async function loadMoreNotes() {
+    if (!hasMore || loadingMore || !nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const data = await fetchTrashPage(token, nextCursor);
+      setNotes((prev) => {
+        const seen = new Set(prev.map((n) => String(n._id)));
+        return [...prev, ...data.notes.filter((n) => !seen.has(String(n._id)))];
+      });
+      setNextCursor(data.nextCursor);
+      setHasMore(data.hasMore);
+    } catch (err) {
+      console.error("Fetch more trash error", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  async function handleRestore(note) {
+    try {
+      await axios.post(`/api/notes/${note._id}/restore`, null, {
+        headers: { Authorization: "Bearer " + token },
+      });
+      setNotes((prev) => prev.filter((n) => n._id !== note._id));
+      addToast("Note restored", "success");
+    } catch (err) {
+      console.error("restore error", err);
+      addToast(err.response?.data?.error || "Restore failed", "error");
+    }
+  }
+
+  async function handleDeleteForever(note) {
+    if (!confirm("Delete this note forever? This action cannot be undone.")) return;
+    try {
+      await axios.delete(`/api/notes/${note._id}`, {
+        params: { permanent: "true" },
+        headers: { Authorization: "Bearer " + token },
+      });
+      setNotes((prev) => prev.filter((n) => n._id !== note._id));
+      addToast("Note deleted forever", "success");
+    } catch (err) {
+      console.error("delete error", err);
+      addToast(err.response?.data?.error || "Delete failed", "error");
+    }
+  }
+
+  async function handleEmptyTrash() {
+    if (!confirm(`Delete all ${notes.length} note(s) in trash forever? This action cannot be undone.`)) return;
+    const results = await Promise.allSettled(
+      notes.map((note) =>
+        axios.delete(`/api/notes/${note._id}`, {
+          params: { permanent: "true" },
+          headers: { Authorization: "Bearer " + token },
+        })
+      )
+    );
+    const failed = results.filter((r) => r.status === "rejected").length;
+    setFetchToggle((t) => t + 1);
+    if (failed > 0) {
+      addToast(`${failed} note(s) could not be deleted`, "error");
+    } else {
+      addToast("Trash emptied", "success");
+    }
+  }
+
+  return (
+    <div>
+      {/* Header Section */}
+      <div className="mb-6 sm:mb-8 pb-6 border-b-2 border-gray-200 dark:border-gray-700 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl sm:text-3xl lg:text-4xl font-extrabold bg-gradient-to-r from-gray-700 to-gray-500 dark:from-gray-200 dark:to-gray-400 bg-clip-text text-transparent mb-2">
+            Trash
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400 text-base sm:text-lg font-medium">
+            Notes in trash are deleted forever after 30 days
+          </p>
+        </div>
+        {notes.length > 0 && (
+          <button
+            onClick={handleEmptyTrash}
+            className="px-4 py-2 text-sm font-medium text-red-600 dark:text-red-400 border border-red-300 dark:border-red-700 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+          >
+            Empty trash
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <svg className="animate-spin h-8 w-8 text-blue-600 mx-auto mb-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            <p className="text-gray-600 dark:text-gray-400">Loading trash...</p>
+          </div>
+        </div>
+      ) : notes.length === 0 ? (
+        <div className="text-center py-16">
+          <div className="w-24 h-24 bg-gray-100 dark:bg-gray-800 rounded-full flex items-center justify-center mx-auto mb-4">
+            <svg className="w-12 h-12 text-gray-400 dark:text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+            </svg>
+          </div>
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-2">Trash is empty</h3>
+          <p className="text-gray-600 dark:text-gray-400 mb-6">Notes you delete will show up here.</p>
+          <Link href="/" className="btn-primary inline-block">
+            Back to Notes
+          </Link>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-4">
+          {notes.map((note) => {
+            const colorData = getColorClasses(note.color || "default");
+            return (
+              <div
+                key={note._id}
+                className={`${colorData.bg} ${colorData.border} border-2 rounded-xl p-4 flex flex-col opacity-90`}
+              >
+                <h3 className="font-semibold text-gray-900 dark:text-gray-100 mb-2 break-words">
+                  {note.title || "Untitled"}
+                </h3>
+                <p className="text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap break-words line-clamp-6 flex-1">
+                  {note.content}
+                </p>
+                {note.purgeAt && (
+                  <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+                    Deleted forever {formatPurgeCountdown(note.purgeAt)} ({new Date(note.purgeAt).toLocaleDateString()})
+                  </p>
+                )}
+                <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700 flex items-center justify-end gap-2">
+                  <button
+                    onClick={() => handleRestore(note)}
+                    className="px-3 py-1.5 text-sm font-medium text-blue-600 dark:text-blue-400 rounded-lg hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors"
+                  >
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handleDeleteForever(note)}
+                    className="px-3 py-1.5 text-sm font-medium text-red-600 dark:text-red-400 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+                  >
+                    Delete forever
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <InfiniteScrollTrigger
+        onLoadMore={loadMoreNotes}
+        hasMore={hasMore}
+        loading={loadingMore}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+// pages/unsubscribe.js
+// Where the unsubscribe links in emails land (see /api/user/unsubscribe). Opening the link
+// changes nothing; the preference is changed when the recipient confirms here, then
+// /unsubscribed shows the result. Works without logging in.
+import { useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import axios from 'axios';
+
+function describeRequest({ event, muted }) {
+  if (muted) return "Mute this note? You won't get emails or notifications about it anymore.";
+  return `Stop getting ${event === 'share' ? 'emails when notes are shared with you' : 'reminder emails'}?`;
+}
+
+export default function UnsubscribePage() {
+  const router = useRouter();
+  const [loading, setLoading] = useState(false);
+  if (!router.isReady) return null;
+
+  const { token } = router.query;
+
+  const handleConfirm = async () => {
+    setLoading(true);
+    try {
+      const res = await axios.post(`/api/user/unsubscribe?token=${encodeURIComponent(token)}`);
+      router.replace(res.data.muted ? '/unsubscribed?muted=1' : `/unsubscribed?event=${res.data.event}`);
+    } catch (err) {
+      const status = err.response?.status;
+      router.replace(`/unsubscribed?status=${status === 400 || status === 404 ? 'invalid' : 'error'}`);
+    }
+  };
+
+  return (
+    <div className="max-w-lg mx-auto card p-8 text-center">
+      <h2 className="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-3">
+        {router.query.muted ? 'Mute note' : 'Unsubscribe'}
+      </h2>
+      {token ? (
+        <>
+          <p className="mb-6 text-gray-600 dark:text-gray-400">{describeRequest(router.query)}</p>
+          <button type="button" className="btn-primary mb-6" onClick={handleConfirm} disabled={loading}>
+            {loading ? 'Saving...' : router.query.muted ? 'Mute note' : 'Unsubscribe'}
+          </button>
+        </>
+      ) : (
+        <p className="mb-6 text-red-600 dark:text-red-400">This unsubscribe link is invalid or has expired.</p>
+      )}
+      <div>
+        <Link
+          href="/settings"
+          className="text-sm text-blue-600 font-medium hover:text-blue-700 hover:underline"
+        >
+          Manage notification settings
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+// pages/unsubscribed.js
+// Result of an unsubscribe link from an email, after it is confirmed on /unsubscribe (see
+// /api/user/unsubscribe); works without logging in
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+
+function describeResult({ status, event, muted }) {
+  if (status === 'invalid') {
+    return { ok: false, text: 'This unsubscribe link is invalid or has expired. You can still change your notifications on the Settings page.' };
+  }
+  if (status === 'error') {
+    return { ok: false, text: 'Something went wrong. Please try the link again in a moment.' };
+  }
+  if (muted) {
+    return { ok: true, text: "This note is muted. You won't get emails or notifications about it anymore." };
+  }
+  return { ok: true, text: `You won't get ${event === 'share' ? 'emails when notes are shared with you' : 'reminder emails'} anymore.` };
+}
+
+export default function UnsubscribedPage() {
+  const router = useRouter();
+  if (!router.isReady) return null;
+
+  const result = describeResult(router.query);
+
+  return (
+    <div className="max-w-lg mx-auto card p-8 text-center">
+      <h2 className="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-3">
+        {result.ok ? "You're unsubscribed" : 'Unsubscribe failed'}
+      </h2>
+      <p className={`mb-6 ${result.ok ? 'text-gray-600 dark:text-gray-400' : 'text-red-600 dark:text-red-400'}`}>
+        {result.text}
+      </p>
+      <Link
+        href="/settings"
+        className="text-sm text-blue-600 font-medium hover:text-blue-700 hover:underline"
+      >
+        Manage notification settings
+      </Link>
+    </div>
+  );
+}
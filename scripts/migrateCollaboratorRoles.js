@@ -0,0 +1,56 @@
+// scripts/migrateCollaboratorRoles.js
+// One-off migration: give every existing collaborator an explicit role.
+// Notes shared before roles existed keep full edit rights (editor).
+import mongoose from 'mongoose';
+import path from 'path';
+import dotenv from 'dotenv';
+import Note from '../models/Note.js';
+import { buildCollaboratorRoles } from '../utils/collaborators.js';
+
+// load .env from project root
+dotenv.config({ path: path.join(process.cwd(), '.env') });
+
+const { MONGO_URI, MONGODB_URI } = process.env;
+const mongoUri = MONGO_URI || MONGODB_URI;
+
+if (!mongoUri) {
+  console.error('MONGO_URI or MONGODB_URI is required in .env');
+  process.exit(1);
+}
+
+async function run() {
+  let exitCode = 0;
+  try {
+    await mongoose.connect(mongoUri);
+    console.log('Connected to DB');
+
+    let scanned = 0;
+    let updated = 0;
+    const cursor = Note.find({ 'collaborators.0': { $exists: true } })
+      .select('collaborators collaboratorRoles')
+      .lean()
+      .cursor();
+
+    for await (const note of cursor) {
+      scanned++;
+      const roles = buildCollaboratorRoles(note.collaborators, {}, note.collaboratorRoles);
+      const current = (note.collaboratorRoles || []).map(r => `${r.email}:${r.role}`).join(',');
+      if (roles.map(r => `${r.email}:${r.role}`).join(',') === current) continue;
+
+      await Note.updateOne({ _id: note._id }, { $set: { collaboratorRoles: roles } });
+      updated++;
+    }
+
+    console.log(`Checked ${scanned} shared note(s), set collaborator roles on ${updated}`);
+  } catch (err) {
+    console.error('Migration error', err);
+    exitCode = 1;
+  } finally {
+    try {
+      await mongoose.disconnect();
+    } catch (e) {}
+    process.exit(exitCode);
+  }
+}
+
+run();
@@ -0,0 +1,105 @@
+// scripts/migrateEditTracking.js
+// One-off migration: move inline "[edited-by: name, time: ...]" tags and the
+// "--- Change Log ---" block out of note text into Note.attribution / Note.editLog.
+import mongoose from 'mongoose';
+import path from 'path';
+import dotenv from 'dotenv';
+import Note from '../models/Note.js';
+import User from '../models/User.js';
+import { parseLegacyTracking, stripLegacyTracking } from '../utils/editTracking.js';
+
+// load .env from project root
+dotenv.config({ path: path.join(process.cwd(), '.env') });
+
+const { MONGO_URI, MONGODB_URI } = process.env;
+const mongoUri = MONGO_URI || MONGODB_URI;
+
+if (!mongoUri) {
+  console.error('MONGO_URI or MONGODB_URI is required in .env');
+  process.exit(1);
+}
+
+const LEGACY_PATTERN = /\[edited-by:|--- Change Log ---/;
+
+// Tags named the editor as "owner", or by the collaborator's name/email
+async function resolveEditor(name, owner, cache) {
+  if (name === 'owner' && owner) {
+    return { editedBy: owner._id, name: owner.name || null, email: owner.email || null };
+  }
+  if (!cache.has(name)) {
+    const user = name.includes('@')
+      ? await User.findOne({ email: name.toLowerCase() }).select('name email').lean()
+      : null;
+    cache.set(name, user
+      ? { editedBy: user._id, name: user.name || null, email: user.email || null }
+      : { editedBy: null, name: name.includes('@') ? null : name, email: name.includes('@') ? name.toLowerCase() : null });
+  }
+  return cache.get(name);
+}
+
+async function run() {
+  let exitCode = 0;
+  try {
+    await mongoose.connect(mongoUri);
+    console.log('Connected to DB');
+
+    let updated = 0;
+    const editors = new Map();
+    const cursor = Note.find({
+      $or: [
+        { content: LEGACY_PATTERN },
+        { currentContent: LEGACY_PATTERN },
+        { originalContent: LEGACY_PATTERN }
+      ]
+    })
+      .select('owner content currentContent originalContent editLog')
+      .populate('owner', 'name email')
+      .lean()
+      .cursor();
+
+    for await (const note of cursor) {
+      const parsed = parseLegacyTracking(note.currentContent || note.content || '');
+
+      const attribution = [];
+      for (const paragraph of parsed.paragraphs) {
+        attribution.push(paragraph
+          ? { ...(await resolveEditor(paragraph.name, note.owner, editors)), editedAt: paragraph.editedAt }
+          : { editedBy: null, name: null, email: null, editedAt: null });
+      }
+
+      const editLog = [];
+      for (const entry of parsed.log) {
+        editLog.push({ ...(await resolveEditor(entry.name, note.owner, editors)), editedAt: entry.editedAt, summary: entry.summary });
+      }
+
+      // $inc __v so editors holding the old text get a conflict instead of writing the tags back
+      await Note.updateOne(
+        { _id: note._id },
+        {
+          $set: {
+            content: parsed.text,
+            currentContent: parsed.text,
+            originalContent: stripLegacyTracking(note.originalContent || ''),
+            attribution,
+            editLog: [...editLog, ...(note.editLog || [])]
+          },
+          $inc: { __v: 1 }
+        },
+        { timestamps: false }
+      );
+      updated++;
+    }
+
+    console.log(`Moved inline edit tags and change logs out of ${updated} note(s)`);
+  } catch (err) {
+    console.error('Migration error', err);
+    exitCode = 1;
+  } finally {
+    try {
+      await mongoose.disconnect();
+    } catch (e) {}
+    process.exit(exitCode);
+  }
+}
+
+run();
@@ -0,0 +1,38 @@
+// scripts/purgeTrash.js
+// One-off job: permanently delete notes that have been in trash longer than the retention period
+import mongoose from 'mongoose';
+import path from 'path';
+import dotenv from 'dotenv';
+import { purgeExpiredTrash, TRASH_RETENTION_DAYS } from '../utils/trash.js';
+
+// load .env from project root
+dotenv.config({ path: path.join(process.cwd(), '.env') });
+
+const { MONGO_URI, MONGODB_URI } = process.env;
+const mongoUri = MONGO_URI || MONGODB_URI;
+
+if (!mongoUri) {
+  console.error('MONGO_URI or MONGODB_URI is required in .env');
+  process.exit(1);
+}
+
+async function run() {
+  let exitCode = 0;
+  try {
+    await mongoose.connect(mongoUri);
+    console.log('Connected to DB');
+
+    const purged = await purgeExpiredTrash();
+    console.log(`Purged ${purged} note(s) older than ${TRASH_RETENTION_DAYS} days from trash`);
+  } catch (err) {
+    console.error('Purge error', err);
+    exitCode = 1;
+  } finally {
+    try {
+      await mongoose.disconnect();
+    } catch (e) {}
+    process.exit(exitCode);
+  }
+}
+
+run();
@@ -0,0 +1,82 @@
+// tests/collaborators.test.mjs
+// Who may change a note and who is on it (utils/collaborators.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNoteEditAccess, getSharingChangeError } from '../utils/collaborators.js';
+
+const owner = { id: '64b000000000000000000001', email: 'owner@example.com' };
+const editor = { id: '64b000000000000000000002', email: 'Editor@example.com' };
+const viewer = { id: '64b000000000000000000003', email: 'viewer@example.com' };
+const stranger = { id: '64b000000000000000000004', email: 'stranger@example.com' };
+const admin = { id: '64b000000000000000000005', email: 'admin@example.com', isAdmin: true };
+
+function makeNote(fields = {}) {
+  return {
+    owner: { _id: owner.id, email: owner.email },
+    collaborators: ['editor@example.com', 'viewer@example.com'],
+    collaboratorRoles: [{ email: 'editor@example.com', role: 'editor' }, { email: 'viewer@example.com', role: 'viewer' }],
+    deletedAt: null,
+    completed: false,
+    ...fields
+  };
+}
+
+test('getNoteEditAccess lets the owner, editors and admins change a note', () => {
+  assert.deepEqual(getNoteEditAccess(makeNote(), owner), { isOwner: true, collaboratorRole: null });
+  assert.deepEqual(getNoteEditAccess(makeNote(), editor), { isOwner: false, collaboratorRole: 'editor' });
+  assert.deepEqual(getNoteEditAccess(makeNote(), admin), { isOwner: false, collaboratorRole: null });
+});
+
+test('getNoteEditAccess accepts an unpopulated owner', () => {
+  assert.equal(getNoteEditAccess(makeNote({ owner: owner.id }), owner).isOwner, true);
+});
+
+test('getNoteEditAccess turns away strangers and read-only collaborators', () => {
+  assert.deepEqual(
+    getNoteEditAccess(makeNote(), stranger),
+    { isOwner: false, collaboratorRole: null, status: 403, error: 'forbidden' }
+  );
+  const access = getNoteEditAccess(makeNote(), viewer);
+  assert.equal(access.status, 403);
+  assert.equal(access.error, 'Your role on this note does not allow editing');
+});
+
+test('getNoteEditAccess blocks notes in trash and completed notes', () => {
+  const trashed = makeNote({ deletedAt: new Date() });
+  assert.equal(getNoteEditAccess(trashed, owner).status, 403);
+  assert.equal(getNoteEditAccess(trashed, owner).error, 'Cannot edit notes in trash');
+  // Collaborators don't learn the note is in trash
+  assert.equal(getNoteEditAccess(trashed, editor).status, 404);
+
+  const completed = getNoteEditAccess(makeNote({ completed: true }), editor);
+  assert.equal(completed.status, 403);
+  assert.equal(completed.error, 'Cannot edit completed notes');
+});
+
+test('getSharingChangeError lets editors send the collaborator list back unchanged', () => {
+  const note = makeNote();
+  assert.equal(getSharingChangeError(note, { collaborators: ['Viewer@example.com', 'editor@example.com'] }, { isOwner: false }), null);
+  assert.equal(getSharingChangeError(note, { title: 'Renamed' }, { isOwner: false }), null);
+});
+
+test('getSharingChangeError stops an editor from removing and re-adding a viewer', () => {
+  // Re-adding would give the viewer the default role, editor
+  const removed = { collaborators: ['editor@example.com'] };
+  assert.equal(getSharingChangeError(makeNote(), removed, { isOwner: false }), 'Only the note owner can change collaborators');
+
+  const withoutViewer = makeNote({ collaborators: ['editor@example.com'], collaboratorRoles: [{ email: 'editor@example.com', role: 'editor' }] });
+  const readded = { collaborators: ['editor@example.com', 'viewer@example.com'] };
+  assert.equal(getSharingChangeError(withoutViewer, readded, { isOwner: false }), 'Only the note owner can change collaborators');
+  assert.equal(getSharingChangeError(withoutViewer, readded, { isOwner: true }), null);
+});
+
+test('getSharingChangeError leaves roles and new collaborators to the owner and admins', () => {
+  const note = makeNote();
+  const roles = { collaboratorRoles: { 'viewer@example.com': 'editor' } };
+  assert.equal(getSharingChangeError(note, roles, { isOwner: false }), 'Only the note owner can change collaborator roles');
+  assert.equal(getSharingChangeError(note, roles, { isOwner: false, isAdmin: true }), null);
+  assert.equal(
+    getSharingChangeError(note, { collaborators: [...note.collaborators, 'friend@example.com'] }, { isOwner: false }),
+    'Only the note owner can change collaborators'
+  );
+});
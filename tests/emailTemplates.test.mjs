@@ -0,0 +1,73 @@
+// tests/emailTemplates.test.mjs
+// Every email template must escape note titles, content and names (utils/emailTemplates.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { noteSharedEmail, reminderEmail, reminderDigestEmail } from '../utils/emailTemplates.js';
+
+const HOSTILE_TITLE = 'Plans <script>alert(1)</script> "><img src=x onerror=alert(2)>';
+const HOSTILE_CONTENT = [
+  '<script>alert(3)</script>',
+  '"><img src=x onerror=alert(4)>',
+  '[click me](javascript:alert(5))',
+  '<a href="javascript:alert(6)">raw link</a>'
+].join('\n\n');
+
+const note = { _id: '64b000000000000000000001', title: HOSTILE_TITLE, content: HOSTILE_CONTENT, reminderAt: new Date('2026-01-05T09:00:00Z') };
+
+// No markup from the note survives, only its escaped text
+function assertNoInjectedMarkup(html) {
+  assert.ok(!html.includes('<script>'), 'script tag');
+  assert.ok(!/<img\b/i.test(html), 'img tag');
+  assert.ok(!/<[^>]*\sonerror=/i.test(html), 'event handler attribute');
+  assert.ok(!/href="javascript:/i.test(html), 'javascript: link');
+  assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'), 'escaped title');
+}
+
+function assertSingleLineSubject(subject) {
+  assert.ok(!/[\r\n]/.test(subject), 'subject has no line breaks');
+}
+
+test('noteSharedEmail escapes the title, content and owner name', () => {
+  const { subject, html } = noteSharedEmail({
+    note,
+    ownerName: '<b onmouseover="alert(7)">Mallory</b>',
+    noteUrl: 'https://notes.example.com/notes/1?from=email&email=a"b@example.com'
+  });
+  assertNoInjectedMarkup(html);
+  assert.ok(!html.includes('<b onmouseover'), 'owner name is escaped');
+  assert.ok(html.includes('&lt;b onmouseover=&quot;alert(7)&quot;&gt;Mallory&lt;/b&gt;'));
+  assert.ok(html.includes('a&quot;b@example.com'), 'URL is escaped inside the href');
+  assert.ok(html.includes('click me'), 'unsafe link keeps its label as text');
+  assertSingleLineSubject(subject);
+});
+
+test('reminderEmail escapes the title, content and snooze links', () => {
+  const { subject, html } = reminderEmail({
+    note,
+    noteUrl: 'https://notes.example.com/notes/1',
+    snoozeLinks: [{ label: '<i>1 hour</i>', url: 'https://notes.example.com/snooze?token="><script>' }]
+  });
+  assertNoInjectedMarkup(html);
+  assert.ok(html.includes('&lt;i&gt;1 hour&lt;/i&gt;'));
+  assert.ok(html.includes('token=&quot;&gt;&lt;script&gt;'));
+  assertSingleLineSubject(subject);
+});
+
+test('reminderDigestEmail escapes item titles and URLs', () => {
+  const item = { title: HOSTILE_TITLE, at: note.reminderAt, url: 'https://notes.example.com/notes/1"><script>' };
+  const { subject, html } = reminderDigestEmail({ mode: 'daily', due: [item], overdue: [item], upcoming: [] });
+  assertNoInjectedMarkup(html);
+  assert.ok(html.includes('notes/1&quot;&gt;&lt;script&gt;'));
+  assertSingleLineSubject(subject);
+});
+
+test('subjects drop CR/LF so a title cannot add mail headers', () => {
+  const injected = { ...note, title: 'Hello\r\nBcc: victim@example.com\nX-Evil: 1' };
+  const shared = noteSharedEmail({ note: injected, ownerName: 'Alice', noteUrl: 'https://notes.example.com' });
+  const reminder = reminderEmail({ note: injected, noteUrl: 'https://notes.example.com' });
+
+  for (const { subject } of [shared, reminder]) {
+    assertSingleLineSubject(subject);
+    assert.ok(subject.includes('Hello Bcc: victim@example.com X-Evil: 1'));
+  }
+});
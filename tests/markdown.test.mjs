@@ -0,0 +1,45 @@
+// tests/markdown.test.mjs
+// Markdown renderer (utils/markdown.js): headings, and input built to make it slow or
+// run out of stack
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown, MAX_NESTING_DEPTH } from '../utils/markdown.js';
+
+// Notes allow 100k characters
+const LONG = 100000;
+
+// Renders `text` and fails if that takes longer than `limitMs`
+function renderWithin(text, limitMs = 1000) {
+  const started = Date.now();
+  const html = renderMarkdown(text);
+  const elapsed = Date.now() - started;
+  assert.ok(elapsed < limitMs, `rendering took ${elapsed} ms`);
+  return html;
+}
+
+test('renderMarkdown drops the closing # run of a heading', () => {
+  assert.equal(renderMarkdown('# Title'), '<h1>Title</h1>');
+  assert.equal(renderMarkdown('## Title ##  '), '<h2>Title</h2>');
+  assert.equal(renderMarkdown('# C#'), '<h1>C#</h1>');
+  assert.equal(renderMarkdown('# ###'), '<h1></h1>');
+});
+
+test('renderMarkdown handles a heading followed by a long run of spaces in linear time', () => {
+  const html = renderWithin(`# a${' '.repeat(LONG)}b`);
+  assert.ok(html.startsWith('<h1>a'));
+  assert.ok(html.endsWith('b</h1>'));
+});
+
+test('renderMarkdown handles a long run of "[" in linear time', () => {
+  renderWithin('['.repeat(LONG));
+});
+
+test('renderMarkdown shows quotes and lists nested too deep as text', () => {
+  const quotes = renderWithin(`${'>'.repeat(LONG / 10)} deep`);
+  assert.equal(quotes.match(/<blockquote>/g).length, MAX_NESTING_DEPTH);
+
+  const list = Array.from({ length: 3000 }, (_, depth) => `${'  '.repeat(depth)}- item ${depth}`).join('\n');
+  const html = renderWithin(list);
+  assert.equal(html.match(/<ul>/g).length, MAX_NESTING_DEPTH);
+  assert.ok(html.includes('item 2999'));
+});
@@ -0,0 +1,67 @@
+// tests/recurrence.test.mjs
+// Recurring reminders repeat in the owner's time zone (utils/recurrence.js). The server
+// zone is pinned to UTC so a server-zone answer can't pass for the right one.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+const serverZone = process.env.TZ;
+process.env.TZ = 'UTC';
+after(() => {
+  if (serverZone === undefined) delete process.env.TZ;
+  else process.env.TZ = serverZone;
+});
+
+const { getNextOccurrence, getReminderUpdateAfterSend, normalizeRRule } = await import('../utils/recurrence.js');
+
+const TOKYO = 'Asia/Tokyo';
+const NEW_YORK = 'America/New_York';
+
+test('BYDAY weekdays are the weekdays in the owner zone', () => {
+  // Monday 5 January 2026, 08:00 in Tokyo is still Sunday in UTC
+  const start = new Date('2026-01-04T23:00:00Z');
+  assert.equal(getNextOccurrence('FREQ=WEEKLY;BYDAY=MO', start, start, TOKYO).toISOString(), '2026-01-11T23:00:00.000Z');
+  assert.equal(getNextOccurrence('FREQ=WEEKLY;BYDAY=MO,WE', start, start, TOKYO).toISOString(), '2026-01-06T23:00:00.000Z');
+  assert.equal(getNextOccurrence('FREQ=DAILY;BYDAY=MO,FR', start, start, TOKYO).toISOString(), '2026-01-08T23:00:00.000Z');
+});
+
+test('occurrences keep their wall-clock time across a DST change', () => {
+  // 09:00 in New York: 14:00 UTC in winter, 13:00 UTC once DST starts on 8 March 2026
+  const start = new Date('2026-03-06T14:00:00Z');
+  assert.equal(getNextOccurrence('FREQ=DAILY', start, new Date('2026-03-07T15:00:00Z'), NEW_YORK).toISOString(), '2026-03-08T13:00:00.000Z');
+  assert.equal(getNextOccurrence('FREQ=WEEKLY', start, start, NEW_YORK).toISOString(), '2026-03-13T13:00:00.000Z');
+  // And back when it ends on 1 November
+  assert.equal(
+    getNextOccurrence('FREQ=MONTHLY;BYDAY=1MO', new Date('2026-10-05T13:00:00Z'), new Date('2026-10-06T00:00:00Z'), NEW_YORK).toISOString(),
+    '2026-11-02T14:00:00.000Z'
+  );
+});
+
+test('a date-only UNTIL ends at midnight in the owner zone', () => {
+  assert.equal(normalizeRRule('FREQ=DAILY;UNTIL=20260310'), 'FREQ=DAILY;UNTIL=20260310');
+  // 20:00 on 10 March in New York is already 11 March in UTC
+  const start = new Date('2026-03-09T00:00:00Z');
+  assert.equal(
+    getNextOccurrence('FREQ=DAILY;UNTIL=20260310', start, new Date('2026-03-10T12:00:00Z'), NEW_YORK).toISOString(),
+    '2026-03-11T00:00:00.000Z'
+  );
+  assert.equal(getNextOccurrence('FREQ=DAILY;UNTIL=20260310', start, new Date('2026-03-11T01:00:00Z'), NEW_YORK), null);
+  // A UTC UNTIL stays an instant
+  assert.equal(getNextOccurrence('FREQ=DAILY;UNTIL=20260310T120000Z', start, new Date('2026-03-10T12:00:00Z'), NEW_YORK), null);
+});
+
+test('without a zone the series repeats in server time', () => {
+  const start = new Date('2026-03-06T14:00:00Z');
+  assert.equal(getNextOccurrence('FREQ=DAILY', start, new Date('2026-03-07T15:00:00Z')).toISOString(), '2026-03-08T14:00:00.000Z');
+  assert.equal(getNextOccurrence('FREQ=DAILY', start, new Date('2026-03-07T15:00:00Z'), 'Not/AZone').toISOString(), '2026-03-08T14:00:00.000Z');
+});
+
+test("getReminderUpdateAfterSend uses the owner's zone", () => {
+  const note = {
+    reminderAt: new Date('2026-01-04T23:00:00Z'),
+    recurrence: { rule: 'FREQ=WEEKLY;BYDAY=MO', startAt: new Date('2026-01-04T23:00:00Z') },
+    owner: { email: 'owner@example.com', timezone: TOKYO }
+  };
+  const update = getReminderUpdateAfterSend(note, new Date('2026-01-04T23:00:30Z'));
+  assert.equal(update.reminderAt.toISOString(), '2026-01-11T23:00:00.000Z');
+  assert.equal(update.reminderSent, false);
+});
@@ -0,0 +1,92 @@
+// tests/reminderDigest.test.mjs
+// Reminder digests (utils/reminderDigest.js): what they list and the transport they go out through.
+// User and Note model queries are stubbed, so no database is needed.
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Note from '../models/Note.js';
+import User from '../models/User.js';
+import { processReminderDigests, buildReminderDigest } from '../utils/reminderDigest.js';
+
+afterEach(() => mock.restoreAll());
+
+// Stands in for a query: any chain of select/populate ends in `value`
+function query(value) {
+  const chain = { select: () => chain, populate: () => chain, lean: async () => value };
+  return chain;
+}
+
+const now = new Date('2026-03-02T13:00:00Z');
+const noteId = '64b000000000000000000001';
+const user = {
+  _id: '64b000000000000000000002',
+  email: 'owner@example.com',
+  timezone: 'America/New_York',
+  reminderDigest: {
+    mode: 'daily',
+    lastSentAt: new Date('2026-03-01T13:00:00Z'),
+    queue: [{ _id: '64b000000000000000000003', note: noteId, at: new Date('2026-03-01T20:00:00Z') }]
+  }
+};
+
+function stubModels(updates) {
+  mock.method(User, 'find', () => query([user]));
+  mock.method(User, 'findOneAndUpdate', () => query(user));
+  mock.method(Note, 'find', filter => query(filter._id ? [{ _id: noteId, title: 'Water the plants' }] : []));
+  mock.method(User, 'updateOne', async (filter, update) => {
+    updates.push({ filter, update });
+    return { matchedCount: 1 };
+  });
+}
+
+test('processReminderDigests sends through the given transport and drains the queue', async () => {
+  const updates = [];
+  stubModels(updates);
+  const sent = [];
+  const transport = { name: 'stub', send: async message => sent.push(message) };
+
+  const results = await processReminderDigests({ transport, now });
+
+  assert.equal(results.sent, 1);
+  assert.deepEqual(results.errors, []);
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].to, ['owner@example.com']);
+  assert.ok(sent[0].html.includes('Water the plants'));
+  assert.ok(sent[0].headers['List-Unsubscribe']);
+
+  assert.equal(updates.length, 1);
+  assert.deepEqual(updates[0].update.$pull['reminderDigest.queue']._id.$in, ['64b000000000000000000003']);
+});
+
+test('processReminderDigests gives the digest back when the transport fails', async () => {
+  const updates = [];
+  stubModels(updates);
+  const transport = { name: 'stub', send: async () => { throw new Error('SMTP down'); } };
+
+  const results = await processReminderDigests({ transport, now });
+
+  assert.equal(results.sent, 0);
+  assert.deepEqual(results.errors, [{ userId: user._id, error: 'SMTP down' }]);
+  assert.equal(updates.length, 1);
+  assert.deepEqual(updates[0].update.$set, { 'reminderDigest.lastSentAt': user.reminderDigest.lastSentAt });
+});
+
+test('buildReminderDigest lists an overdue reminder in one digest only', async () => {
+  const owner = { _id: user._id, email: user.email };
+  const notes = [
+    // Fired before the previous digest: already listed as overdue then
+    { _id: '64b000000000000000000011', title: 'Old', owner, collaborators: [], reminderAt: new Date('2026-02-01T14:00:00Z'), reminderSent: true },
+    // Fired between the two digests before this one
+    { _id: '64b000000000000000000012', title: 'Yesterday', owner, collaborators: [], reminderAt: new Date('2026-02-28T20:00:00Z'), reminderSent: true }
+  ];
+  const filters = [];
+  mock.method(Note, 'find', filter => {
+    filters.push(filter);
+    return query(filter._id ? [] : notes);
+  });
+
+  const digest = await buildReminderDigest({ ...user, reminderDigest: { ...user.reminderDigest, queue: [] } }, now);
+
+  assert.deepEqual(digest.overdue.map(item => item.title), ['Yesterday']);
+  const overdueRange = filters[1].$and[0].$or[0].reminderAt;
+  assert.deepEqual(overdueRange, { $gte: new Date('2026-02-28T13:00:00Z'), $lt: user.reminderDigest.lastSentAt });
+});
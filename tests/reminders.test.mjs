@@ -0,0 +1,145 @@
+// tests/reminders.test.mjs
+// Reminder engine (utils/reminders.js): who gets a reminder, the no-recipient path and
+// partial failures. Model queries are stubbed, so no database is needed.
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Note from '../models/Note.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { getReminderRecipients, processDueReminders, recipientCanSnooze, getSnoozeLinks } from '../utils/reminders.js';
+import { verifyLinkToken } from '../utils/linkTokens.js';
+
+afterEach(() => mock.restoreAll());
+
+test('getReminderRecipients lists each address once, case-insensitively, owner first', () => {
+  const note = {
+    owner: { email: 'Owner@Example.com' },
+    collaborators: ['owner@example.com', 'Alice@example.com', 'alice@EXAMPLE.com', ' bob@example.com ', '', null]
+  };
+
+  assert.deepEqual(getReminderRecipients(note), ['Owner@Example.com', 'Alice@example.com', 'bob@example.com']);
+});
+
+test('getReminderRecipients narrows extra reminders to their audience', () => {
+  const note = { owner: { email: 'owner@example.com' }, collaborators: ['alice@example.com', 'bob@example.com'] };
+
+  assert.deepEqual(getReminderRecipients(note, { audience: 'owner' }), ['owner@example.com']);
+  assert.deepEqual(
+    getReminderRecipients(note, { audience: 'selected', recipients: ['BOB@example.com', 'gone@example.com'] }),
+    ['bob@example.com']
+  );
+  assert.deepEqual(getReminderRecipients(note, { audience: 'everyone' }), ['owner@example.com', 'alice@example.com', 'bob@example.com']);
+});
+
+test('getReminderRecipients returns nothing for a note without addresses', () => {
+  assert.deepEqual(getReminderRecipients({ owner: null, collaborators: [] }), []);
+});
+
+test('recipientCanSnooze only lets the owner and editors snooze', () => {
+  const note = {
+    owner: { email: 'owner@example.com' },
+    collaborators: ['editor@example.com', 'viewer@example.com', 'legacy@example.com'],
+    collaboratorRoles: [{ email: 'editor@example.com', role: 'editor' }, { email: 'viewer@example.com', role: 'viewer' }]
+  };
+
+  assert.equal(recipientCanSnooze(note, 'Owner@example.com'), true);
+  assert.equal(recipientCanSnooze(note, 'editor@example.com'), true);
+  assert.equal(recipientCanSnooze(note, 'legacy@example.com'), true);
+  assert.equal(recipientCanSnooze(note, 'viewer@example.com'), false);
+  assert.equal(recipientCanSnooze(note, 'stranger@example.com'), false);
+});
+
+test('getSnoozeLinks ties each link to its recipient and reminder time', () => {
+  const note = { _id: '64b000000000000000000001', reminderAt: new Date('2026-03-01T12:00:00Z') };
+  const reminder = { _id: '64b000000000000000000009', at: new Date('2026-03-02T08:00:00Z') };
+
+  const links = getSnoozeLinks(note, 'Editor@example.com', 'Europe/Berlin', reminder);
+  const claims = verifyLinkToken(new URL(links[0].url).searchParams.get('token'), 'snooze');
+
+  assert.equal(claims.note, note._id);
+  assert.equal(claims.reminder, reminder._id);
+  assert.equal(claims.email, 'editor@example.com');
+  assert.equal(claims.at, '2026-03-02T08:00:00.000Z');
+  assert.equal(claims.tz, 'Europe/Berlin');
+});
+
+test('processDueReminders marks a reminder with no recipients as sent without emailing', async () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+  const due = {
+    _id: '64b000000000000000000001',
+    title: 'Nobody to tell',
+    owner: { _id: '64b000000000000000000002', email: null },
+    collaborators: [],
+    reminderAt: new Date('2026-03-01T11:59:00Z'),
+    reminderSentTo: [],
+    recurrence: null
+  };
+
+  // First claim gets the note, every later claim (main and extra reminders) finds nothing
+  let claims = 0;
+  mock.method(Note, 'findOneAndUpdate', () => ({
+    populate: async () => (claims++ === 0 ? due : null)
+  }));
+  const updates = [];
+  mock.method(Note, 'updateOne', async (filter, update, options) => {
+    updates.push({ filter, update, options });
+    return { matchedCount: 1 };
+  });
+  const sent = [];
+  const transport = { name: 'stub', send: async message => sent.push(message) };
+
+  const results = await processDueReminders({ transport, now, workerId: 'test-worker' });
+
+  assert.equal(sent.length, 0);
+  assert.equal(results.checked, 1);
+  assert.equal(results.skipped, 1);
+  assert.equal(results.sent, 0);
+  assert.deepEqual(results.errors, []);
+
+  assert.equal(updates.length, 1);
+  assert.deepEqual(updates[0].filter, { _id: due._id, 'reminderLease.owner': 'test-worker' });
+  assert.equal(updates[0].update.$set.reminderSent, true);
+  assert.equal(updates[0].update.$set.reminderLease, null);
+  // Firing a reminder doesn't move the note in the list
+  assert.equal(updates[0].options.timestamps, false);
+});
+
+test('processDueReminders notifies recipients already emailed when a later send fails', async () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+  const due = {
+    _id: '64b000000000000000000001',
+    title: 'Team sync',
+    owner: { _id: '64b000000000000000000002', email: 'owner@example.com' },
+    collaborators: ['alice@example.com'],
+    reminderAt: new Date('2026-03-01T11:59:00Z'),
+    reminderSentTo: [],
+    recurrence: null
+  };
+
+  let claims = 0;
+  mock.method(Note, 'findOneAndUpdate', () => ({
+    populate: async () => (claims++ === 0 ? due : null)
+  }));
+  mock.method(Note, 'updateOne', async () => ({ matchedCount: 1 }));
+  // Every address has an account; notification lookups come as { $or: [{ email: { $in } }] }
+  mock.method(User, 'find', filter => {
+    const emails = filter.$or ? filter.$or[0].email.$in : filter.email.$in;
+    const users = emails.map(email => ({ _id: `user:${email}`, email }));
+    return { select: () => ({ lean: async () => users }) };
+  });
+  const notified = [];
+  mock.method(Notification, 'insertMany', async docs => notified.push(...docs.map(doc => doc.user)));
+
+  const transport = {
+    name: 'stub',
+    async send({ to }) {
+      if (to[0] === 'alice@example.com') throw new Error('mailbox full');
+    }
+  };
+
+  const results = await processDueReminders({ transport, now, workerId: 'test-worker' });
+
+  assert.equal(results.sent, 0);
+  assert.equal(results.errors.length, 1);
+  assert.deepEqual(notified, ['user:owner@example.com']);
+});
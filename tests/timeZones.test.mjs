@@ -0,0 +1,80 @@
+// tests/timeZones.test.mjs
+// Recipient time zones (utils/helpers.js, utils/snooze.js). The server zone is pinned to
+// UTC so the results don't depend on the machine running the tests.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+const serverZone = process.env.TZ;
+process.env.TZ = 'UTC';
+after(() => {
+  if (serverZone === undefined) delete process.env.TZ;
+  else process.env.TZ = serverZone;
+});
+
+const { formatLocalString, zonedTimeToDate, getZonedParts } = await import('../utils/helpers.js');
+const { getSnoozeTime } = await import('../utils/snooze.js');
+
+const NEW_YORK = 'America/New_York';
+
+// Hour and minute in either the 12- or 24-hour clock, whatever the test machine's locale
+function clock(hour, minute) {
+  const hours = hour % 12 === 0 ? `(12|${hour})` : `(${hour % 12}|${hour})`;
+  return new RegExp(`(^|\\D)${hours}[:.]${minute}`);
+}
+
+test('formatLocalString shows the time in the recipient zone, not the server zone', () => {
+  // 17:45 UTC is 12:45 in New York in winter (EST) and 13:45 in summer (EDT)
+  const winter = formatLocalString(new Date('2026-01-05T17:45:00Z'), NEW_YORK);
+  assert.match(winter, clock(12, 45));
+  assert.doesNotMatch(winter, clock(17, 45));
+
+  const summer = formatLocalString(new Date('2026-07-06T17:45:00Z'), NEW_YORK);
+  assert.match(summer, clock(13, 45));
+  assert.doesNotMatch(summer, clock(17, 45));
+});
+
+test('formatLocalString falls back to server time without a valid zone', () => {
+  const date = new Date('2026-01-05T17:45:00Z');
+  assert.equal(formatLocalString(date, null), date.toLocaleString());
+  assert.equal(formatLocalString(date, 'Not/AZone'), date.toLocaleString());
+  assert.match(formatLocalString(date, null), clock(17, 45));
+});
+
+test('zonedTimeToDate converts wall-clock time on both sides of a DST change', () => {
+  assert.equal(zonedTimeToDate({ year: 2026, month: 3, day: 7, hour: 8 }, NEW_YORK).toISOString(), '2026-03-07T13:00:00.000Z');
+  assert.equal(zonedTimeToDate({ year: 2026, month: 3, day: 8, hour: 8 }, NEW_YORK).toISOString(), '2026-03-08T12:00:00.000Z');
+  // Day 32 rolls over into the next month
+  assert.equal(zonedTimeToDate({ year: 2026, month: 10, day: 32, hour: 8 }, NEW_YORK).toISOString(), '2026-11-01T13:00:00.000Z');
+  assert.deepEqual(getZonedParts(new Date('2026-03-08T12:00:00Z'), NEW_YORK), {
+    year: 2026, month: 3, day: 8, hour: 8, minute: 0, second: 0
+  });
+});
+
+test("getSnoozeTime('tomorrow') is 8:00 the next day in the recipient zone", () => {
+  // Monday 22:30 in New York is already Tuesday in UTC
+  assert.equal(getSnoozeTime('tomorrow', new Date('2026-01-06T03:30:00Z'), NEW_YORK).toISOString(), '2026-01-06T13:00:00.000Z');
+  // Saturday before DST starts: tomorrow morning is EDT
+  assert.equal(getSnoozeTime('tomorrow', new Date('2026-03-07T20:00:00Z'), NEW_YORK).toISOString(), '2026-03-08T12:00:00.000Z');
+});
+
+test("getSnoozeTime('next-week') is 8:00 next Monday in the recipient zone", () => {
+  // From a Monday evening: a full week later
+  assert.equal(getSnoozeTime('next-week', new Date('2026-01-06T03:30:00Z'), NEW_YORK).toISOString(), '2026-01-12T13:00:00.000Z');
+  // Wednesday before DST ends: next Monday is EST
+  assert.equal(getSnoozeTime('next-week', new Date('2026-10-28T15:00:00Z'), NEW_YORK).toISOString(), '2026-11-02T13:00:00.000Z');
+});
+
+test('getSnoozeTime uses the server zone without a recipient zone', () => {
+  assert.equal(getSnoozeTime('tomorrow', new Date('2026-01-06T03:30:00Z')).toISOString(), '2026-01-07T08:00:00.000Z');
+  assert.equal(getSnoozeTime('next-week', new Date('2026-01-06T03:30:00Z')).toISOString(), '2026-01-12T08:00:00.000Z');
+});
+
+test('recipient-zone snoozes do not depend on the server zone', () => {
+  process.env.TZ = 'Asia/Tokyo';
+  try {
+    assert.equal(getSnoozeTime('tomorrow', new Date('2026-03-07T20:00:00Z'), NEW_YORK).toISOString(), '2026-03-08T12:00:00.000Z');
+    assert.equal(getSnoozeTime('next-week', new Date('2026-10-28T15:00:00Z'), NEW_YORK).toISOString(), '2026-11-02T13:00:00.000Z');
+  } finally {
+    process.env.TZ = 'UTC';
+  }
+});
@@ -0,0 +1,72 @@
+// tests/trash.test.mjs
+// Trash purge (utils/trash.js). Model queries are stubbed, so no database is needed.
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Note from '../models/Note.js';
+import NoteVersion from '../models/NoteVersion.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { purgeExpiredTrash, TRASH_RETENTION_DAYS } from '../utils/trash.js';
+
+afterEach(() => mock.restoreAll());
+
+const now = new Date('2026-03-01T12:00:00Z');
+const expiredId = '64b000000000000000000001';
+const restoredId = '64b000000000000000000002';
+
+function lean(value) {
+  return { select: () => ({ lean: async () => value }) };
+}
+
+// Both notes are expired when they are listed; the second is restored before the delete
+function stubNotes(calls) {
+  let finds = 0;
+  mock.method(Note, 'find', filter => {
+    calls.push({ find: filter });
+    return lean(finds++ === 0 ? [{ _id: expiredId }, { _id: restoredId }] : [{ _id: restoredId }]);
+  });
+  mock.method(Note, 'deleteMany', async filter => {
+    calls.push({ deleteNotes: filter });
+    return { deletedCount: 1 };
+  });
+  mock.method(NoteVersion, 'deleteMany', async filter => {
+    calls.push({ deleteVersions: filter });
+    return { deletedCount: 3 };
+  });
+  mock.method(User, 'updateMany', async (filter, update) => {
+    calls.push({ updateUsers: update });
+    return { modifiedCount: 1 };
+  });
+  mock.method(Notification, 'deleteMany', async filter => {
+    calls.push({ deleteNotifications: filter });
+    return { deletedCount: 2 };
+  });
+}
+
+test('purgeExpiredTrash keeps a note restored between listing and deleting', async () => {
+  const calls = [];
+  stubNotes(calls);
+
+  const purged = await purgeExpiredTrash(now);
+
+  assert.equal(purged, 1);
+  const cutoff = new Date(now);
+  cutoff.setDate(cutoff.getDate() - TRASH_RETENTION_DAYS);
+  const deleteNotes = calls.find(call => call.deleteNotes).deleteNotes;
+  assert.deepEqual(deleteNotes.deletedAt, { $ne: null, $lte: cutoff });
+  assert.deepEqual(calls.find(call => call.deleteVersions).deleteVersions, { note: { $in: [expiredId] } });
+  assert.deepEqual(calls.find(call => call.deleteNotifications).deleteNotifications, { note: { $in: [expiredId] } });
+  const userUpdates = calls.filter(call => call.updateUsers).map(call => call.updateUsers);
+  assert.ok(userUpdates.some(update => update.$pull?.['reminderDigest.queue']?.note.$in.includes(expiredId)), 'digest queue');
+  assert.ok(userUpdates.some(update => update.$pullAll?.['notificationPrefs.mutedNotes']?.includes(expiredId)), 'muted notes');
+  assert.ok(!JSON.stringify(userUpdates).includes(restoredId), 'restored note is left alone');
+});
+
+test('purgeExpiredTrash does nothing when no note is old enough', async () => {
+  const calls = [];
+  mock.method(Note, 'find', () => lean([]));
+  mock.method(Note, 'deleteMany', async filter => calls.push(filter));
+
+  assert.equal(await purgeExpiredTrash(now), 0);
+  assert.equal(calls.length, 0);
+});
@@ -0,0 +1,88 @@
+// utils/checklist.js
+// Checklist note helpers shared by the notes API and the note editors
+import { recordEdit, describeEditor } from './editTracking';
+
+export const NOTE_TYPES = ['text', 'checklist'];
+export const MAX_CHECKLIST_ITEMS = 200;
+export const MAX_CHECKLIST_ITEM_LENGTH = 1000;
+
+// Matches "- [ ] text", "* [x] text", "[x] text", "- text" and "1. text" line prefixes
+const ITEM_PREFIX_REGEX = /^\s*(?:[-*+]|\d+[.)])?\s*(?:\[( |x|X)\]\s*)?/;
+
+/**
+ * Converts free text into checklist items, one per non-empty line.
+ * Markdown task markers ("- [x] done") keep their checked state.
+ * @param {string} text - Note content
+ * @returns {Array<{text: string, checked: boolean}>} - Checklist items
+ */
+export function textToItems(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  return text
+    .split(/\r?\n/)
+    .map(line => {
+      const match = line.match(ITEM_PREFIX_REGEX);
+      const checked = Boolean(match && match[1] && match[1].toLowerCase() === 'x');
+      return {
+        text: line.slice(match ? match[0].length : 0).trim(),
+        checked
+      };
+    })
+    .filter(item => item.text)
+    .slice(0, MAX_CHECKLIST_ITEMS);
+}
+
+/**
+ * Serializes checklist items as Markdown task lines so search, emails and
+ * text conversion keep working for checklist notes
+ * @param {Array<{text: string, checked: boolean}>} items - Checklist items
+ * @returns {string} - Note content
+ */
+export function itemsToText(items) {
+  if (!Array.isArray(items)) return '';
+  return items
+    .map(item => `- [${item.checked ? 'x' : ' '}] ${item.text || ''}`)
+    .join('\n');
+}
+
+/**
+ * Progress of a checklist, e.g. for "2/5 done" badges
+ * @param {Array<{checked: boolean}>} items - Checklist items
+ * @returns {{done: number, total: number}}
+ */
+export function getChecklistProgress(items) {
+  const list = Array.isArray(items) ? items : [];
+  return {
+    done: list.filter(item => item && item.checked).length,
+    total: list.length
+  };
+}
+
+/**
+ * Mirrors a changed checklist into the note's content fields and records who
+ * made the change, following the same owner/collaborator attribution rules as
+ * PUT /api/notes/[id]
+ * @param {object} note - Note mongoose document with updated items
+ * @param {{id: string, email: string}} user - Authenticated user
+ * @param {boolean} isOwner - Whether the user owns the note
+ */
+export function applyChecklistEdit(note, user, isOwner) {
+  const content = itemsToText(note.items);
+  recordEdit(note, content, describeEditor(user));
+  note.currentContent = content;
+  note.content = content;
+  note.updatedAt = new Date();
+
+  if (isOwner) {
+    note.lastEditedBy = note.owner._id || note.owner;
+    note.lastEditorEmail = note.owner.email || note.lastEditorEmail || null;
+  } else {
+    if (!note.collaboratorEdits) note.collaboratorEdits = [];
+    note.collaboratorEdits.push({
+      editedBy: user.id,
+      editedAt: new Date(),
+      content,
+      email: user.email || null
+    });
+  }
+}
@@ -0,0 +1,115 @@
+// utils/collaborators.js
+// Collaborator role helpers shared by the notes API and the note pages
+
+// viewer: read only, commenter: read only for now (reserved for comments), editor: full edit
+export const COLLABORATOR_ROLES = ['viewer', 'commenter', 'editor'];
+
+// Collaborators without a stored role (notes shared before roles existed) keep full edit rights
+export const DEFAULT_COLLABORATOR_ROLE = 'editor';
+
+export const ROLE_LABELS = {
+  viewer: 'Can view',
+  commenter: 'Can comment',
+  editor: 'Can edit'
+};
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * Role of an email on a note
+ * @param {object} note - Note with collaborators and collaboratorRoles
+ * @param {string} email - Email to look up
+ * @returns {string|null} - Role, or null if the email is not a collaborator
+ */
+export function getCollaboratorRole(note, email) {
+  const target = normalizeEmail(email);
+  if (!note || !target) return null;
+
+  const isCollaborator = (note.collaborators || []).some(c => normalizeEmail(c) === target);
+  if (!isCollaborator) return null;
+
+  const entry = (note.collaboratorRoles || []).find(r => r && normalizeEmail(r.email) === target);
+  return entry && COLLABORATOR_ROLES.includes(entry.role) ? entry.role : DEFAULT_COLLABORATOR_ROLE;
+}
+
+/**
+ * Whether a collaborator role allows changing the note
+ * @param {string|null} role - Collaborator role
+ * @returns {boolean}
+ */
+export function roleCanEdit(role) {
+  return role === 'editor';
+}
+
+/**
+ * Checks that a user may change a note: its owner, an editor or an admin, and the note
+ * is neither in trash nor completed. Non-owners don't learn about notes in trash.
+ * @param {object} note - Note with owner (populated or id), collaborators, collaboratorRoles, deletedAt and completed
+ * @param {{id: string, email: string, isAdmin?: boolean}} user - Current user
+ * @returns {{isOwner: boolean, collaboratorRole: string|null, status?: number, error?: string}} - status and error are set when the edit isn't allowed
+ */
+export function getNoteEditAccess(note, user) {
+  const ownerId = note.owner && (note.owner._id || note.owner);
+  const isOwner = Boolean(ownerId) && ownerId.toString() === user.id.toString();
+  const collaboratorRole = getCollaboratorRole(note, user.email);
+  const access = { isOwner, collaboratorRole };
+
+  if (!isOwner && !collaboratorRole && !user.isAdmin) return { ...access, status: 403, error: 'forbidden' };
+  if (!isOwner && !roleCanEdit(collaboratorRole) && !user.isAdmin) {
+    return { ...access, status: 403, error: 'Your role on this note does not allow editing' };
+  }
+  if (note.deletedAt) {
+    if (!isOwner && !user.isAdmin) return { ...access, status: 404, error: 'not found' };
+    return { ...access, status: 403, error: 'Cannot edit notes in trash' };
+  }
+  if (note.completed) return { ...access, status: 403, error: 'Cannot edit completed notes' };
+  return access;
+}
+
+/**
+ * Checks a change to who is on a note. Only the owner (or an admin) decides who can see
+ * and edit a note: other editors may send the collaborator list back as it is, but not
+ * add, remove or re-add anyone, nor change roles.
+ * @param {object} note - Note with collaborators
+ * @param {{collaborators?: Array<string>, collaboratorRoles?: object}} body - Requested update
+ * @param {{isOwner: boolean, isAdmin?: boolean}} access - Who asks
+ * @returns {string|null} - Why the change isn't allowed, or null when it is
+ */
+export function getSharingChangeError(note, { collaborators, collaboratorRoles } = {}, { isOwner, isAdmin = false }) {
+  if (isOwner || isAdmin) return null;
+  if (collaboratorRoles !== undefined) return 'Only the note owner can change collaborator roles';
+  if (collaborators === undefined) return null;
+
+  const requested = new Set((Array.isArray(collaborators) ? collaborators : []).map(normalizeEmail).filter(Boolean));
+  const current = new Set((note.collaborators || []).map(normalizeEmail).filter(Boolean));
+  const unchanged = requested.size === current.size && [...requested].every(email => current.has(email));
+  return unchanged ? null : 'Only the note owner can change collaborators';
+}
+
+/**
+ * Builds the stored role list for a collaborator list.
+ * Every collaborator gets exactly one entry: the requested role, else the
+ * role they already had, else the default.
+ * @param {Array<string>} collaborators - Collaborator emails
+ * @param {object} [requested] - Map of email -> role to apply
+ * @param {Array<{email: string, role: string}>} [existing] - Roles stored on the note
+ * @returns {Array<{email: string, role: string}>}
+ */
+export function buildCollaboratorRoles(collaborators, requested = {}, existing = []) {
+  const requestedRoles = {};
+  Object.keys(requested || {}).forEach(email => {
+    requestedRoles[normalizeEmail(email)] = requested[email];
+  });
+  const existingRoles = {};
+  (existing || []).forEach(entry => {
+    if (entry && entry.email) existingRoles[normalizeEmail(entry.email)] = entry.role;
+  });
+
+  return (collaborators || []).map(email => {
+    const key = normalizeEmail(email);
+    const role = [requestedRoles[key], existingRoles[key]].find(r => COLLABORATOR_ROLES.includes(r));
+    return { email, role: role || DEFAULT_COLLABORATOR_ROLE };
+  });
+}
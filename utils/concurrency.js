@@ -0,0 +1,69 @@
+// utils/concurrency.js
+// Optimistic concurrency for note updates (shared by the notes API and the note pages).
+// A note's version token is its mongoose version key (__v), which goes up on every save.
+
+/**
+ * Formats a version as an ETag / If-Match value
+ * @param {number} version - Note __v
+ * @returns {string} - Quoted token, e.g. "3"
+ */
+export function formatVersionToken(version) {
+  return `"${Number(version) || 0}"`;
+}
+
+/**
+ * Parses an ETag / If-Match value (quotes and W/ prefix optional)
+ * @param {string|number} value - Header or body value
+ * @returns {number|null} - Version, or null if missing/invalid
+ */
+export function parseVersionToken(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = String(value).trim().match(/^(?:W\/)?"?(\d+)"?$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Version the client based its update on: the If-Match header, or `version` in the body
+ * @param {object} req - API request
+ * @returns {number|null}
+ */
+export function getRequestVersion(req) {
+  const header = parseVersionToken(req.headers['if-match']);
+  if (header !== null) return header;
+  return parseVersionToken(req.body && req.body.version);
+}
+
+/**
+ * Request headers for updating a note the page has loaded
+ * @param {object} note - Note as returned by the API
+ * @returns {{'If-Match': string}}
+ */
+export function versionHeaders(note) {
+  return { 'If-Match': formatVersionToken(note && note.__v) };
+}
+
+/**
+ * Saves a note an API route loaded and changed. If someone else saved it in between
+ * (mongoose VersionError), answers 409 with the version now stored instead of throwing,
+ * so the client can reload and try again.
+ * @param {object} note - Note document
+ * @param {object} res - API response
+ * @returns {Promise<boolean>} - Whether the note was saved (false: the 409 has been sent)
+ */
+export async function saveNoteOrConflict(note, res) {
+  try {
+    await note.save();
+    return true;
+  } catch (err) {
+    if (err.name !== 'VersionError') throw err;
+    const current = await note.constructor.findById(note._id).select('__v').lean();
+    const version = current ? current.__v : null;
+    res.setHeader('ETag', formatVersionToken(version));
+    res.status(409).json({
+      error: 'conflict',
+      message: 'This note was changed by someone else since you loaded it',
+      __v: version
+    });
+    return false;
+  }
+}
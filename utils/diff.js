@@ -0,0 +1,100 @@
+// utils/diff.js
+// Line diff used by note version history (runs in the API and in the browser)
+
+// Above this many LCS cells the diff degrades to "all removed, all added" to keep requests fast
+const MAX_LCS_CELLS = 4000000;
+
+function splitLines(text) {
+  if (!text) return [];
+  return String(text).replace(/\r\n/g, '\n').split('\n');
+}
+
+/**
+ * Computes a line-by-line diff between two texts (longest common subsequence)
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Updated text
+ * @returns {Array<{type: 'equal'|'add'|'remove', text: string}>} - Diff lines in display order
+ */
+export function diffLines(oldText, newText) {
+  return diffSequences(splitLines(oldText), splitLines(newText));
+}
+
+/**
+ * Diffs two lists of strings (lines, paragraphs...) with the same algorithm as diffLines
+ * @param {Array<string>} a - Previous items
+ * @param {Array<string>} b - Updated items
+ * @returns {Array<{type: 'equal'|'add'|'remove', text: string}>} - Items in display order
+ */
+export function diffSequences(a, b) {
+  // Common prefix/suffix don't need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(text => ({ type: 'equal', text }));
+  const tail = a.slice(endA).map(text => ({ type: 'equal', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  let middle;
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    middle = [
+      ...midA.map(text => ({ type: 'remove', text })),
+      ...midB.map(text => ({ type: 'add', text }))
+    ];
+  } else {
+    middle = lcsDiff(midA, midB);
+  }
+
+  return [...head, ...middle, ...tail];
+}
+
+function lcsDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: 'remove', text: a[i++] });
+    } else {
+      result.push({ type: 'add', text: b[j++] });
+    }
+  }
+  while (i < n) result.push({ type: 'remove', text: a[i++] });
+  while (j < m) result.push({ type: 'add', text: b[j++] });
+  return result;
+}
+
+/**
+ * Counts added/removed lines in a diff
+ * @param {Array<{type: string}>} diff - Result of diffLines
+ * @returns {{added: number, removed: number}}
+ */
+export function summarizeDiff(diff) {
+  return diff.reduce((acc, line) => {
+    if (line.type === 'add') acc.added++;
+    if (line.type === 'remove') acc.removed++;
+    return acc;
+  }, { added: 0, removed: 0 });
+}
@@ -1,21 +1,18 @@
 // utils/editTracking.js
-// Utility functions for tracking collaborator edits with metadata tags and change logs
-// Combined: editTrackingConstants.js, textParsing.js
+// Edit attribution for note content: who last wrote each paragraph, plus a log of edits.
+// Both are stored beside the content (Note.attribution / Note.editLog), never inside it.
+// The legacy helpers read the old inline "[edited-by: ...]" tags and change log so they can be migrated.
+import { diffLines, diffSequences } from './diff.js';
 
-// ==================== Constants ====================
+// Oldest entries beyond this are dropped from a note's edit log
+export const MAX_EDIT_LOG_ENTRIES = 200;
+
+// ==================== Legacy Inline Tags ====================
 export const LOG_SEPARATOR = '\n\n--- Change Log ---\n';
 export const TAG_REGEX = /\[edited-by:\s*([^,]+),\s*time:\s*([^\]]+)\]/g;
 
-// ==================== Text Parsing Utilities ====================
-/**
- * Escape special regex characters in a string
- * @param {string} str - String to escape
- * @returns {string} - Escaped string safe for use in RegExp
- */
-function escapeRegex(str) {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
+// "- 2024-05-01 14:30: alice edited "added 3 words"" lines of the old change log
+const LOG_ENTRY_REGEX = /^-\s*(\d{4}-\d{2}-\d{2} \d{2}:\d{2}):\s*(.+?) edited "(.*)"\s*$/;
 
 /**
  * Parses content into main text and change log
@@ -60,182 +57,478 @@ export function removeTags(text) {
   return text.replace(TAG_REGEX, '').trim();
 }
 
+// Old tags and log entries used the server's local "YYYY-MM-DD HH:mm"
+function parseLegacyTimestamp(timestamp) {
+  const date = new Date(String(timestamp).trim().replace(' ', 'T'));
+  return isNaN(date.getTime()) ? null : date;
+}
+
 /**
- * Finds the position where a tag should be inserted/updated
- * For simplicity, we'll append tags at the end of paragraphs or at the end of content
+ * Whether content still carries inline tags or a change log block
  */
-export function findTagPosition(text, blockEndIndex) {
-  // If we have a specific block end index, use it
-  if (blockEndIndex !== undefined && blockEndIndex >= 0) {
-    return blockEndIndex;
-  }
+export function hasLegacyTracking(content) {
+  if (!content) return false;
+  return content.includes(LOG_SEPARATOR) || new RegExp(TAG_REGEX.source).test(content);
+}
 
-  // Otherwise, append at the end of the text
-  return text.length;
+/**
+ * Splits old-format content into clean text, per-paragraph attribution and edit log.
+ * A tag credits the paragraph it sits in; the log's "- time: name edited "summary"" lines become entries.
+ * @param {string} fullContent - Stored content with inline tags and/or a change log
+ * @returns {{text: string, paragraphs: Array<{name: string, editedAt: Date|null}|null>, log: Array<{name: string, editedAt: Date|null, summary: string}>}}
+ */
+export function parseLegacyTracking(fullContent) {
+  const { mainText, changeLog } = parseContent(fullContent || '');
+
+  const paragraphs = [];
+  const cleanParagraphs = [];
+  splitParagraphs(mainText).forEach(paragraph => {
+    const clean = removeTags(paragraph);
+    if (!clean) return;
+    // Tags are rewritten on every edit, so the last one is the latest
+    const tags = extractTags(paragraph);
+    const tag = tags[tags.length - 1];
+    cleanParagraphs.push(clean);
+    paragraphs.push(tag ? { name: tag.collaborator, editedAt: parseLegacyTimestamp(tag.timestamp) } : null);
+  });
+
+  const log = changeLog
+    .split('\n')
+    .map(line => line.match(LOG_ENTRY_REGEX))
+    .filter(Boolean)
+    .map(match => ({ name: match[2].trim(), editedAt: parseLegacyTimestamp(match[1]), summary: match[3] }));
+
+  return { text: cleanParagraphs.join('\n\n'), paragraphs, log };
 }
 
 /**
- * Updates or appends a metadata tag for a specific collaborator
- * If the collaborator already has a tag, it updates it; otherwise, appends a new one
+ * Removes inline tags and the change log from content; content without them is returned as is
  */
-export function updateMetadataTag(content, collaboratorName, timestamp, blockEndIndex = null) {
-  const { mainText, changeLog } = parseContent(content);
+export function stripLegacyTracking(content) {
+  if (!hasLegacyTracking(content)) return content || '';
+  return parseLegacyTracking(content).text;
+}
 
-  // Create the new tag
-  const newTag = `[edited-by: ${collaboratorName}, time: ${timestamp}]`;
+// ==================== Structured Attribution ====================
+/**
+ * Splits text into paragraphs (blocks separated by blank lines) - the unit attribution is kept for.
+ * Blank lines inside a fenced code block don't split it, so each block renders as valid Markdown.
+ * @param {string} text - Note content
+ * @returns {Array<string>}
+ */
+export function splitParagraphs(text) {
+  const paragraphs = [];
+  let current = [];
+  let fence = null;
+
+  String(text || '').replace(/\r\n/g, '\n').split('\n').forEach(line => {
+    const marker = line.trim().match(/^(```|~~~)/);
+    if (marker) {
+      if (!fence) fence = marker[1];
+      else if (marker[1] === fence) fence = null;
+    }
+    if (!line.trim() && !fence) {
+      if (current.length) paragraphs.push(current.join('\n'));
+      current = [];
+    } else {
+      current.push(line);
+    }
+  });
+  if (current.length) paragraphs.push(current.join('\n'));
 
-  // Check if this collaborator already has a tag
-  const collaboratorTagRegex = new RegExp(`\\[edited-by:\\s*${escapeRegex(collaboratorName)},\\s*time:[^\\]]+\\]`, 'g');
+  return paragraphs.filter(paragraph => paragraph.trim());
+}
 
-  let updatedMainText = mainText;
+/**
+ * Editor fields stored in attribution and log entries
+ * @param {{id: string, name: string, email: string}} user - Authenticated user
+ * @returns {{editedBy: string|null, name: string|null, email: string|null}}
+ */
+export function describeEditor(user) {
+  if (!user) return { editedBy: null, name: null, email: null };
+  return { editedBy: user.id || user._id || null, name: user.name || null, email: user.email || null };
+}
 
-  if (collaboratorTagRegex.test(mainText)) {
-    // Update existing tag
-    updatedMainText = mainText.replace(collaboratorTagRegex, newTag);
-  } else {
-    // Append new tag
-    const insertPosition = blockEndIndex !== null ? blockEndIndex : mainText.length;
-    const before = mainText.slice(0, insertPosition).trim();
-    const after = mainText.slice(insertPosition).trim();
+function toPlain(entry) {
+  if (!entry) return null;
+  return entry.toObject ? entry.toObject() : { ...entry };
+}
 
-    if (after) {
-      updatedMainText = `${before} ${newTag}\n${after}`;
+/**
+ * Carries paragraph attribution over an edit: untouched paragraphs keep their author,
+ * changed and new ones are credited to the editor
+ * @param {string} oldText - Content before the edit
+ * @param {string} newText - Content after the edit
+ * @param {Array<object>} attribution - One entry per paragraph of oldText
+ * @param {{editedBy: string|null, name: string|null, email: string|null}} editor - From describeEditor
+ * @param {Date} [editedAt]
+ * @returns {Array<object>} - One entry per paragraph of newText
+ */
+export function updateAttribution(oldText, newText, attribution, editor, editedAt = new Date()) {
+  const previous = attribution || [];
+  const credit = { ...editor, editedAt };
+  const result = [];
+  let index = 0;
+
+  diffSequences(splitParagraphs(oldText), splitParagraphs(newText)).forEach(paragraph => {
+    if (paragraph.type === 'equal') {
+      // Paragraphs from before attribution existed have no author
+      result.push(toPlain(previous[index]) || { editedBy: null, name: null, email: null, editedAt: null });
+      index++;
+    } else if (paragraph.type === 'remove') {
+      index++;
     } else {
-      updatedMainText = `${before} ${newTag}`;
+      result.push(credit);
     }
-  }
+  });
 
-  return { mainText: updatedMainText, changeLog };
+  return result;
 }
 
 /**
- * Adds an entry to the change log
+ * Pairs each paragraph with its attribution entry, for rendering
+ * @param {string} text - Note content
+ * @param {Array<object>} attribution - Note.attribution
+ * @returns {Array<{text: string, attribution: object|null}>}
  */
-export function addChangeLogEntry(changeLog, timestamp, collaboratorName, summary) {
-  const entry = `- ${timestamp}: ${collaboratorName} edited "${summary}"`;
-
-  if (!changeLog || changeLog.trim() === '') {
-    return entry;
-  }
+export function attributeParagraphs(text, attribution) {
+  const entries = attribution || [];
+  const paragraphs = splitParagraphs(text);
+  // Out of step (content changed outside the API): don't guess
+  const aligned = entries.length === paragraphs.length;
+  return paragraphs.map((paragraph, index) => ({
+    text: paragraph,
+    attribution: aligned && entries[index] && (entries[index].name || entries[index].email) ? entries[index] : null
+  }));
+}
 
-  return `${changeLog.trim()}\n${entry}`;
+/**
+ * Records a content change on a note before it is saved: updates paragraph attribution
+ * and appends an edit log entry. Call it before assigning the new content.
+ * @param {object} note - Note document (its currentContent is still the old text)
+ * @param {string} newContent - Content about to be saved
+ * @param {{editedBy: string|null, name: string|null, email: string|null}} editor - From describeEditor
+ * @returns {boolean} - false if the content didn't change
+ */
+export function recordEdit(note, newContent, editor) {
+  const oldContent = note.currentContent || note.content || '';
+  if (oldContent === (newContent || '')) return false;
+
+  const editedAt = new Date();
+  const changes = diffText(oldContent, newContent);
+  note.attribution = updateAttribution(oldContent, newContent, note.attribution, editor, editedAt);
+  note.editLog = [
+    ...(note.editLog || []).map(toPlain),
+    {
+      ...editor,
+      editedAt,
+      summary: summarizeEdit(oldContent, newContent, changes),
+      changes: describeChanges(oldContent, newContent, changes)
+    }
+  ].slice(-MAX_EDIT_LOG_ENTRIES);
+  return true;
 }
 
+// ==================== Word Diff ====================
+// Changes kept per edit log entry, and how much text each one keeps
+const MAX_LOGGED_CHANGES = 20;
+const MAX_SNIPPET_LENGTH = 200;
+const CONTEXT_LENGTH = 30;
+
 /**
- * Combines main text and change log into full content
+ * Splits text into words (runs of non-whitespace) or lines, with their character offsets
+ * @param {string} text
+ * @param {'word'|'line'} [unit]
+ * @returns {Array<{text: string, start: number, end: number}>}
  */
-export function combineContent(mainText, changeLog) {
-  if (!changeLog || changeLog.trim() === '') {
-    return mainText;
+export function tokenize(text, unit = 'word') {
+  const tokens = [];
+  const regex = unit === 'line' ? /[^\n]*(?:\n|$)/g : /\S+/g;
+  const source = String(text || '');
+  let match;
+
+  while ((match = regex.exec(source)) !== null) {
+    if (unit === 'line') {
+      if (match.index >= source.length) break;
+      const line = match[0].replace(/\n$/, '');
+      tokens.push({ text: line, start: match.index, end: match.index + line.length });
+    } else {
+      tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+    }
   }
 
-  return `${mainText}${LOG_SEPARATOR}${changeLog}`;
+  return tokens;
 }
 
 /**
- * Detects changes between old and new content
- * Returns information about what was edited
+ * Diffs two texts word by word (or line by line) using the LCS diff from utils/diff.js.
+ * Neighbouring removed/added tokens form one change; removed + added together is a replacement.
+ * Offsets are character positions: oldStart/oldEnd in oldText, newStart/newEnd in newText.
+ * @param {string} oldText - Text before the edit
+ * @param {string} newText - Text after the edit
+ * @param {{unit?: 'word'|'line'}} [options]
+ * @returns {Array<{type: 'insert'|'delete'|'replace', removed: string, added: string,
+ *   removedCount: number, addedCount: number, oldStart: number, oldEnd: number, newStart: number, newEnd: number}>}
  */
-export function detectChanges(oldContent, newContent) {
-  const { mainText: oldMain, changeLog: oldLog } = parseContent(oldContent);
-  const { mainText: newMain, changeLog: newLog } = parseContent(newContent);
+export function diffText(oldText, newText, { unit = 'word' } = {}) {
+  const before = String(oldText || '');
+  const after = String(newText || '');
+  const a = tokenize(before, unit);
+  const b = tokenize(after, unit);
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    if (!removed.length && !added.length) return;
+    const oldStart = removed.length ? removed[0].start : (a[i] ? a[i].start : before.length);
+    const oldEnd = removed.length ? removed[removed.length - 1].end : oldStart;
+    const newStart = added.length ? added[0].start : (b[j] ? b[j].start : after.length);
+    const newEnd = added.length ? added[added.length - 1].end : newStart;
+    changes.push({
+      type: removed.length && added.length ? 'replace' : removed.length ? 'delete' : 'insert',
+      removed: before.slice(oldStart, oldEnd),
+      added: after.slice(newStart, newEnd),
+      removedCount: removed.length,
+      addedCount: added.length,
+      oldStart,
+      oldEnd,
+      newStart,
+      newEnd
+    });
+    removed = [];
+    added = [];
+  };
 
-  const oldClean = removeTags(oldMain);
-  const newClean = removeTags(newMain);
+  diffSequences(a.map(token => token.text), b.map(token => token.text)).forEach(op => {
+    if (op.type === 'equal') {
+      flush();
+      i++;
+      j++;
+    } else if (op.type === 'remove') {
+      removed.push(a[i++]);
+    } else {
+      added.push(b[j++]);
+    }
+  });
+  flush();
 
-  return {
-    contentChanged: oldClean !== newClean,
-    oldText: oldClean,
-    newText: newClean,
-    summary: generateSummary(oldClean, newClean)
-  };
+  return changes;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Short quoted snippet for summaries: whitespace collapsed, long text cut
+function quote(text, max = 40) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return `"${flat.length > max ? `${flat.slice(0, max - 1)}…` : flat}"`;
 }
 
 /**
- * Generates a brief summary of what was edited
+ * Generates a brief summary of what was edited, from a word diff
+ * @param {string} oldText - Content before the edit
+ * @param {string} newText - Content after the edit
+ * @param {Array<object>} [changes] - diffText(oldText, newText), if already computed
+ * @returns {string} - e.g. 'changed "Monday" to "Tuesday"' or "added 12 words, removed 3 words"
  */
-function generateSummary(oldText, newText) {
+export function summarizeEdit(oldText, newText, changes = diffText(oldText, newText)) {
   if (!oldText) return 'new content';
   if (!newText) return 'deleted content';
+  if (changes.length === 0) return 'changed spacing or line breaks';
+
+  // One small change is spelled out
+  if (changes.length === 1 && changes[0].removedCount <= 5 && changes[0].addedCount <= 5) {
+    const [change] = changes;
+    if (change.type === 'insert') return `added ${quote(change.added)}`;
+    if (change.type === 'delete') return `removed ${quote(change.removed)}`;
+    return `changed ${quote(change.removed)} to ${quote(change.added)}`;
+  }
 
-  const oldWords = oldText.split(/\s+/).length;
-  const newWords = newText.split(/\s+/).length;
+  let added = 0;
+  let removed = 0;
+  let replaced = 0;
+  changes.forEach(change => {
+    if (change.type === 'insert') added += change.addedCount;
+    else if (change.type === 'delete') removed += change.removedCount;
+    else replaced += change.removedCount;
+  });
+
+  const parts = [];
+  if (added) parts.push(`added ${plural(added, 'word')}`);
+  if (removed) parts.push(`removed ${plural(removed, 'word')}`);
+  if (replaced) parts.push(`rewrote ${plural(replaced, 'word')}`);
+  return parts.join(', ');
+}
 
-  if (newWords > oldWords) {
-    return `added ${newWords - oldWords} words`;
-  } else if (newWords < oldWords) {
-    return `removed ${oldWords - newWords} words`;
-  } else {
-    return 'modified content';
-  }
+function clip(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
 }
 
 /**
- * Main function to process an edit and return updated content with tags and log
+ * Word changes of an edit in the shape stored on edit log entries: the removed/added text
+ * plus a little of the surrounding new text, so the change can be shown highlighted later
+ * @param {string} oldText - Content before the edit
+ * @param {string} newText - Content after the edit
+ * @param {Array<object>} [changes] - diffText(oldText, newText), if already computed
+ * @returns {Array<{type: string, position: number, removed: string, added: string, before: string, after: string}>}
  */
-export function processEdit(content, newContent, collaboratorName, isOwner = false) {
-  // Format timestamp as YYYY-MM-DD HH:mm
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const hours = String(now.getHours()).padStart(2, '0');
-  const minutes = String(now.getMinutes()).padStart(2, '0');
-  const timestamp = `${year}-${month}-${day} ${hours}:${minutes}`;
+export function describeChanges(oldText, newText, changes = diffText(oldText, newText)) {
+  const after = String(newText || '');
+  return changes
+    .slice(0, MAX_LOGGED_CHANGES)
+    .map(change => ({
+      type: change.type,
+      position: change.newStart,
+      removed: clip(change.removed, MAX_SNIPPET_LENGTH),
+      added: clip(change.added, MAX_SNIPPET_LENGTH),
+      before: after.slice(Math.max(0, change.newStart - CONTEXT_LENGTH), change.newStart),
+      after: after.slice(change.newEnd, change.newEnd + CONTEXT_LENGTH)
+    }));
+}
 
-  // Use "owner" for the original owner
-  const editorName = isOwner ? 'owner' : collaboratorName;
+// ==================== Three-Way Merge ====================
+export const CONFLICT_START = '<<<<<<<';
+export const CONFLICT_SEPARATOR = '=======';
+export const CONFLICT_END = '>>>>>>>';
 
-  // Parse existing content
-  const { mainText: existingMain, changeLog: existingLog } = parseContent(content || '');
+/**
+ * Turns a line diff of base -> other into hunks: base lines [start, end) replaced by `lines`
+ */
+function diffHunks(baseLines, otherText, side) {
+  const hunks = [];
+  let index = 0;
+  let current = null;
+
+  diffLines(baseLines.join('\n'), otherText).forEach(line => {
+    if (line.type === 'equal') {
+      if (current) hunks.push(current);
+      current = null;
+      index++;
+      return;
+    }
+    if (!current) current = { side, start: index, end: index, lines: [] };
+    if (line.type === 'remove') {
+      index++;
+      current.end = index;
+    } else {
+      current.lines.push(line.text);
+    }
+  });
+  if (current) hunks.push(current);
 
-  // Remove tags and log separator from incoming content to get clean text
-  const cleanNewContent = removeTags(newContent.split(LOG_SEPARATOR)[0]).trim();
-  const cleanExistingMain = removeTags(existingMain).trim();
+  return hunks;
+}
 
-  // Check if content actually changed
-  if (cleanNewContent === cleanExistingMain) {
-    // No content change, return as is
-    return content || '';
-  }
+/**
+ * Whether two hunks touch the same base lines (two insertions at the same spot count too)
+ */
+function hunksOverlap(a, b) {
+  if (a.start === b.start) return true;
+  return a.start < b.end && b.start < a.end;
+}
 
-  // Create the new tag
-  const newTag = `[edited-by: ${editorName}, time: ${timestamp}]`;
-
-  // Check if this collaborator already has a tag in the existing content
-  const collaboratorTagRegex = new RegExp(`\\[edited-by:\\s*${escapeRegex(editorName)},\\s*time:[^\\]]+\\]`, 'g');
-
-  let finalMainText;
-  if (collaboratorTagRegex.test(existingMain)) {
-    // Update existing tag - replace the old tag with new tag
-    // First, remove all tags to get clean text, then add back only the new tag
-    const textWithoutTags = removeTags(existingMain);
-    finalMainText = cleanNewContent ? `${cleanNewContent} ${newTag}` : newTag;
-  } else {
-    // Append new tag after the content
-    finalMainText = cleanNewContent ? `${cleanNewContent} ${newTag}` : newTag;
-  }
+/**
+ * Applies one side's hunks to base lines [start, end)
+ */
+function applyHunks(baseLines, start, end, hunks) {
+  const result = [];
+  let index = start;
+  hunks.forEach(hunk => {
+    result.push(...baseLines.slice(index, hunk.start), ...hunk.lines);
+    index = hunk.end;
+  });
+  result.push(...baseLines.slice(index, end));
+  return result;
+}
 
-  // Generate summary for change log
-  const oldWords = cleanExistingMain.split(/\s+/).filter(w => w).length;
-  const newWords = cleanNewContent.split(/\s+/).filter(w => w).length;
-  let summary = 'content';
-  if (!cleanExistingMain) {
-    summary = 'new content';
-  } else if (!cleanNewContent) {
-    summary = 'deleted content';
-  } else if (newWords > oldWords) {
-    summary = `added ${newWords - oldWords} words`;
-  } else if (newWords < oldWords) {
-    summary = `removed ${oldWords - newWords} words`;
-  } else {
-    summary = 'modified content';
-  }
+/**
+ * Three-way line merge of two edits made from the same base text.
+ * Changes to different lines are combined; where both sides changed the same
+ * lines differently the result holds both versions between conflict markers.
+ * @param {string} base - Text both edits started from
+ * @param {string} saved - Text saved in the meantime (e.g. the current server copy)
+ * @param {string} incoming - Text being saved now
+ * @param {object} [labels] - Names shown after the conflict markers
+ * @returns {{content: string, conflicts: number}} - Merged text and number of conflicting hunks
+ */
+export function mergeThreeWay(base, saved, incoming, { savedLabel = 'saved version', incomingLabel = 'your changes' } = {}) {
+  const normalize = text => String(text || '').replace(/\r\n/g, '\n');
+  const baseText = normalize(base);
+  const savedText = normalize(saved);
+  const incomingText = normalize(incoming);
+
+  // Nothing to combine when one side left the base alone
+  if (savedText === incomingText || incomingText === baseText) return { content: savedText, conflicts: 0 };
+  if (savedText === baseText) return { content: incomingText, conflicts: 0 };
+
+  const baseLines = baseText ? baseText.split('\n') : [];
+  const hunks = [
+    ...diffHunks(baseLines, savedText, 'saved'),
+    ...diffHunks(baseLines, incomingText, 'incoming')
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // Group hunks that overlap, so each group is resolved as one region of the base
+  const groups = [];
+  hunks.forEach(hunk => {
+    const group = groups[groups.length - 1];
+    if (group && hunksOverlap(group, hunk)) {
+      group.end = Math.max(group.end, hunk.end);
+      group.hunks.push(hunk);
+    } else {
+      groups.push({ start: hunk.start, end: hunk.end, hunks: [hunk] });
+    }
+  });
+
+  const merged = [];
+  let index = 0;
+  let conflicts = 0;
+  groups.forEach(group => {
+    merged.push(...baseLines.slice(index, group.start));
+    index = group.end;
+
+    const savedHunks = group.hunks.filter(hunk => hunk.side === 'saved');
+    const incomingHunks = group.hunks.filter(hunk => hunk.side === 'incoming');
+    const savedLines = applyHunks(baseLines, group.start, group.end, savedHunks);
+    const incomingLines = applyHunks(baseLines, group.start, group.end, incomingHunks);
+
+    if (!savedHunks.length || !incomingHunks.length || savedLines.join('\n') === incomingLines.join('\n')) {
+      // Only one side touched these lines, or both made the same change
+      merged.push(...(savedHunks.length ? savedLines : incomingLines));
+      return;
+    }
 
-  // Add to change log
-  const updatedLog = addChangeLogEntry(existingLog, timestamp, editorName, summary);
+    conflicts++;
+    merged.push(
+      `${CONFLICT_START} ${savedLabel}`,
+      ...savedLines,
+      CONFLICT_SEPARATOR,
+      ...incomingLines,
+      `${CONFLICT_END} ${incomingLabel}`
+    );
+  });
+  merged.push(...baseLines.slice(index));
+
+  return { content: merged.join('\n'), conflicts };
+}
 
-  // Combine and return
-  return combineContent(finalMainText, updatedLog);
+/**
+ * Three-way merge of a single value such as the title - conflicts when both sides changed it differently
+ * @returns {{value: *, conflict: boolean}}
+ */
+export function mergeValue(base, saved, incoming) {
+  if (incoming === base || incoming === saved) return { value: saved, conflict: false };
+  if (saved === base) return { value: incoming, conflict: false };
+  return { value: incoming, conflict: true };
 }
 
+/**
+ * Whether text still contains unresolved conflict markers
+ */
+export function hasConflictMarkers(text) {
+  return new RegExp(`^${CONFLICT_START} .*\\n[\\s\\S]*?^${CONFLICT_END}`, 'm').test(text || '');
+}
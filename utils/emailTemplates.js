@@ -0,0 +1,410 @@
+// utils/emailTemplates.js
+// HTML for every email the app sends (share notifications, reminders, reminder digests).
+// Emails to people with an account end with one-click unsubscribe links (utils/emailService.js).
+// Templates are written with the `html` tag below, which escapes every interpolated
+// value unless it is already trusted markup (another `html` result, or rendered
+// Markdown from utils/markdown.js), so note titles and content can't inject HTML.
+import { escapeHtml, renderMarkdown } from './markdown.js';
+import { formatLocalString } from './helpers.js';
+
+// Longest note excerpt put into an email
+const MAX_CONTENT_LENGTH = 2000;
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Marks markup as trusted so `html` inserts it unescaped. Only for markup built here or by renderMarkdown.
+ * @param {string} markup
+ * @returns {SafeHtml}
+ */
+export function trustedHtml(markup) {
+  return new SafeHtml(String(markup));
+}
+
+function interpolate(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(interpolate).join('');
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template for email HTML: interpolated values are escaped, nested `html` results are not
+ * @example html`<h2>${note.title}</h2>`
+ * @returns {SafeHtml}
+ */
+export function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, string, i) => out + string + (i < values.length ? interpolate(values[i]) : ''), ''));
+}
+
+/**
+ * Note content as email-safe HTML (Markdown with inline styles, raw HTML escaped)
+ * @param {string} content - Note content
+ * @param {string} [fallback] - Shown when the note is empty
+ * @returns {SafeHtml}
+ */
+export function noteContentHtml(content, fallback = '') {
+  const text = (content || fallback).slice(0, MAX_CONTENT_LENGTH);
+  return trustedHtml(renderMarkdown(text, { email: true }));
+}
+
+/**
+ * Subject line text: single line, so titles can't add header lines
+ * @param {string} text
+ * @returns {string}
+ */
+export function subjectLine(text) {
+  return String(text || '').replace(/[\r\n]+/g, ' ').trim().slice(0, 200);
+}
+
+// Shared button + plain link fallback
+function openNoteButton(url, { background, color, shadow, linkColor }) {
+  return html`
+                <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="margin-top:22px;">
+                  <tr>
+                    <td align="left">
+                      <a href="${url}"
+                        style="display:inline-block; padding:10px 22px; background:${background}; color:${color}; text-decoration:none; border-radius:999px; font-size:14px; font-weight:600; box-shadow:${shadow};">
+                        Open note
+                      </a>
+                    </td>
+                  </tr>
+                </table>
+
+                <p style="margin:18px 0 0 0; font-size:11px; color:#9ca3af; line-height:1.6;">
+                  If the button above doesn't work, copy and paste this link into your browser:<br />
+                  <span style="word-break:break-all; color:${linkColor};">${url}</span>
+                </p>`;
+}
+
+// Footer line of one-click unsubscribe links; nothing for addresses without an account
+function unsubscribeRow(links, color) {
+  if (!links || links.length === 0) return '';
+  return html`
+                <p style="margin:8px 0 0 0; font-size:11px; color:${color}; text-align:center; line-height:1.5;">
+                  ${links.map((link, i) => html`${i > 0 ? ' · ' : ''}<a href="${link.url}" style="color:${color}; text-decoration:underline;">${link.label}</a>`)}
+                </p>`;
+}
+
+/**
+ * Email telling collaborators a note was shared with them
+ * @param {object} params
+ * @param {object} params.note - Note (title, content)
+ * @param {string} params.ownerName - Who shared it
+ * @param {string} params.noteUrl - Link to the note
+ * @param {Array<{label: string, url: string}>} [params.unsubscribeLinks] - One-click unsubscribe links
+ * @returns {{subject: string, html: string}}
+ */
+export function noteSharedEmail({ note, ownerName, noteUrl, unsubscribeLinks = [] }) {
+  const noteTitle = note.title || 'Untitled Note';
+
+  const body = html`
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>New Note Shared</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  </head>
+  <body style="margin:0; padding:0; background-color:#f4f4f7; font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+    <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="background-color:#f4f4f7; padding:24px 0;">
+      <tr>
+        <td align="center">
+          <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="max-width:640px; background-color:#ffffff; border-radius:12px; overflow:hidden; box-shadow:0 10px 25px rgba(15,23,42,0.08);">
+            <!-- Header -->
+            <tr>
+              <td style="background:linear-gradient(135deg,#facc15,#f97316); padding:18px 24px;">
+                <table width="100%" cellpadding="0" cellspacing="0" role="presentation">
+                  <tr>
+                    <td align="left">
+                      <span style="display:inline-flex; align-items:center; gap:8px;">
+                        <span style="display:inline-block; width:28px; height:28px; border-radius:8px; background-color:rgba(255,255,255,0.18); text-align:center; line-height:28px; font-size:18px;">📝</span>
+                        <span style="color:#111827; font-weight:700; font-size:18px;">Your Notes</span>
+                      </span>
+                    </td>
+                    <td align="right" style="color:#111827; font-size:13px; opacity:0.9;">
+                      Shared Note Notification
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+
+            <!-- Body -->
+            <tr>
+              <td style="padding:24px 24px 8px 24px;">
+                <p style="margin:0 0 12px 0; font-size:15px; color:#374151;">
+                  Hi there,
+                </p>
+                <p style="margin:0 0 16px 0; font-size:14px; color:#4b5563; line-height:1.6;">
+                  <strong style="color:#111827;">${ownerName}</strong> has shared a new note with you.
+                </p>
+
+                <!-- Note Card -->
+                <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="background-color:#f9fafb; border-radius:10px; border:1px solid #e5e7eb; padding:16px 18px;">
+                  <tr>
+                    <td>
+                      <div style="font-size:14px; color:#6b7280; text-transform:uppercase; letter-spacing:0.08em; margin-bottom:4px;">
+                        Note
+                      </div>
+                      <h2 style="margin:0 0 10px 0; font-size:17px; font-weight:600; color:#111827;">
+                        ${noteTitle}
+                      </h2>
+                      <div style="margin:0; font-size:14px; color:#4b5563; line-height:1.6;">
+                        ${noteContentHtml(note.content, '(No content)')}
+                      </div>
+                    </td>
+                  </tr>
+                </table>
+${openNoteButton(noteUrl, {
+    background: 'linear-gradient(135deg,#3b82f6,#2563eb)',
+    color: '#ffffff',
+    shadow: '0 8px 18px rgba(37,99,235,0.35)',
+    linkColor: '#6b7280'
+  })}
+              </td>
+            </tr>
+
+            <!-- Footer -->
+            <tr>
+              <td style="padding:16px 24px 20px 24px; border-top:1px solid #e5e7eb; background-color:#f9fafb;">
+                <p style="margin:0; font-size:11px; color:#9ca3af; text-align:center; line-height:1.5;">
+                  You're receiving this email because a note was shared with you in <strong>Your Notes</strong>.<br/>
+                  If you weren't expecting this, you can safely ignore this email.
+                </p>
+${unsubscribeRow(unsubscribeLinks, '#9ca3af')}
+              </td>
+            </tr>
+          </table>
+
+          <!-- Brand footer -->
+          <div style="margin-top:10px; font-size:11px; color:#9ca3af; text-align:center;">
+            © ${new Date().getFullYear()} Your Notes. All rights reserved.
+          </div>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>
+  `;
+
+  return { subject: subjectLine(`New Note Shared: ${noteTitle}`), html: body.toString() };
+}
+
+// Row of one-click snooze links under the reminder button
+function snoozeLinksRow(links) {
+  if (!links || links.length === 0) return '';
+  return html`
+                <p style="margin:16px 0 0 0; font-size:12px; color:#9ca3af;">
+                  Snooze:
+                  ${links.map((link, i) => html`${i > 0 ? ' · ' : ''}<a href="${link.url}" style="color:#e5e7eb; text-decoration:underline;">${link.label}</a>`)}
+                </p>`;
+}
+
+/**
+ * Reminder email for a due note
+ * @param {object} params
+ * @param {object} params.note - Note (title, content, reminderAt)
+ * @param {string} params.noteUrl - Link to the note
+ * @param {Array<{label: string, url: string}>} [params.snoozeLinks] - One-click snooze links
+ * @param {string|null} [params.timeZone] - Recipient's IANA zone for the reminder time
+ * @param {Date} [params.reminderAt] - Time shown in the header (defaults to note.reminderAt)
+ * @param {Array<{label: string, url: string}>} [params.unsubscribeLinks] - One-click unsubscribe links
+ * @returns {{subject: string, html: string}}
+ */
+export function reminderEmail({ note, noteUrl, snoozeLinks = [], timeZone = null, reminderAt = note.reminderAt, unsubscribeLinks = [] }) {
+  const noteTitle = note.title || 'Untitled Note';
+
+  const body = html`
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Note Reminder</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  </head>
+  <body style="margin:0; padding:0; background-color:#020617; font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+    <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="background:radial-gradient(circle at top,#1d4ed8 0,#020617 52%,#020617 100%); padding:26px 0;">
+      <tr>
+        <td align="center">
+          <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="max-width:640px; background-color:#0b1120; border-radius:18px; overflow:hidden; box-shadow:0 20px 45px rgba(15,23,42,0.9); border:1px solid rgba(148,163,184,0.22);">
+            <!-- Header -->
+            <tr>
+              <td style="padding:18px 24px 10px 24px; border-bottom:1px solid rgba(148,163,184,0.3);">
+                <table width="100%" cellpadding="0" cellspacing="0" role="presentation">
+                  <tr>
+                    <td align="left">
+                      <span style="display:inline-flex; align-items:center; gap:10px;">
+                        <span style="display:inline-block; width:30px; height:30px; border-radius:999px; background:radial-gradient(circle,#22c55e,#16a34a); text-align:center; line-height:30px; font-size:18px; color:#ecfdf5;">⏰</span>
+                        <span style="color:#e5e7eb; font-weight:700; font-size:18px;">Note Reminder</span>
+                      </span>
+                    </td>
+                    <td align="right" style="color:#9ca3af; font-size:12px;">
+                      ${formatLocalString(reminderAt, timeZone)}
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+
+            <!-- Body -->
+            <tr>
+              <td style="padding:22px 24px 8px 24px;">
+                <p style="margin:0 0 8px 0; font-size:14px; color:#e5e7eb;">
+                  Hey,
+                </p>
+                <p style="margin:0 0 16px 0; font-size:14px; color:#cbd5f5; line-height:1.6;">
+                  This is a friendly reminder for your note:
+                </p>
+
+                <!-- Note Card -->
+                <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="background-color:#ffffff; border-radius:12px; border:1px solid #e5e7eb; padding:22px 26px; margin-top:18px;">
+                  <tr>
+                    <td>
+                      <div style="font-size:13px; color:#6b7280; text-transform:uppercase; letter-spacing:0.06em; margin-bottom:8px; font-weight:600;">
+                        Note
+                      </div>
+                      <h2 style="margin:0 0 12px 0; font-size:20px; font-weight:700; color:#111827; line-height:1.4;">
+                        ${noteTitle}
+                      </h2>
+                      <div style="margin:0; font-size:15px; color:#4b5563; line-height:1.7;">
+                        ${noteContentHtml(note.content, '(No additional details in this note)')}
+                      </div>
+                    </td>
+                  </tr>
+                </table>
+${openNoteButton(noteUrl, {
+    background: 'linear-gradient(135deg,#22c55e,#16a34a)',
+    color: '#022c22',
+    shadow: '0 10px 30px rgba(34,197,94,0.45)',
+    linkColor: '#e5e7eb'
+  })}
+${snoozeLinksRow(snoozeLinks)}
+              </td>
+            </tr>
+
+            <!-- Footer -->
+            <tr>
+              <td style="padding:14px 24px 18px 24px; border-top:1px solid rgba(148,163,184,0.3); background:linear-gradient(180deg,#020617,#020617 40%,#020617);">
+                <p style="margin:0; font-size:11px; color:#6b7280; text-align:center; line-height:1.6;">
+                  You are receiving this reminder from <strong style="color:#e5e7eb;">Your Notes</strong>.<br/>
+                  To stop receiving reminders for this note, you can update or remove the reminder inside the app.
+                </p>
+${unsubscribeRow(unsubscribeLinks, '#6b7280')}
+              </td>
+            </tr>
+          </table>
+
+          <div style="margin-top:12px; font-size:11px; color:#6b7280; text-align:center;">
+            © ${new Date().getFullYear()} Your Notes. All rights reserved.
+          </div>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>
+  `;
+
+  return { subject: subjectLine(`Reminder: ${note.title || 'You have a note reminder'}`), html: body.toString() };
+}
+
+// One titled list in the digest email; nothing when the list is empty
+function digestSection(title, items, { color, timeZone }) {
+  if (!items.length) return '';
+  return html`
+                <div style="margin:18px 0 6px 0; font-size:12px; color:${color}; text-transform:uppercase; letter-spacing:0.06em; font-weight:700;">
+                  ${title} (${items.length})
+                </div>
+                <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="background-color:#ffffff; border-radius:12px; border:1px solid #e5e7eb;">
+                  ${items.map((item, i) => html`
+                  <tr>
+                    <td style="padding:10px 16px;${i > 0 ? ' border-top:1px solid #e5e7eb;' : ''}">
+                      <a href="${item.url}" style="font-size:15px; font-weight:600; color:#111827; text-decoration:none;">${item.title || 'Untitled Note'}</a>
+                    </td>
+                    <td align="right" style="padding:10px 16px; font-size:12px; color:#6b7280; white-space:nowrap;${i > 0 ? ' border-top:1px solid #e5e7eb;' : ''}">
+                      ${formatLocalString(item.at, timeZone)}
+                    </td>
+                  </tr>`)}
+                </table>`;
+}
+
+/**
+ * Summary email for users on a daily or weekly reminder digest
+ * @param {object} params
+ * @param {'daily'|'weekly'} params.mode - Digest schedule
+ * @param {Array<{title: string, at: Date, url: string}>} params.due - Reminders that fired since the last digest
+ * @param {Array<{title: string, at: Date, url: string}>} params.overdue - Earlier reminders on notes not yet completed
+ * @param {Array<{title: string, at: Date, url: string}>} params.upcoming - Reminders before the next digest
+ * @param {string|null} [params.timeZone] - Recipient's IANA zone for the times
+ * @param {Array<{label: string, url: string}>} [params.unsubscribeLinks] - One-click unsubscribe links
+ * @returns {{subject: string, html: string}}
+ */
+export function reminderDigestEmail({ mode, due, overdue, upcoming, timeZone = null, unsubscribeLinks = [] }) {
+  const heading = mode === 'weekly' ? 'Weekly reminder digest' : 'Daily reminder digest';
+
+  const body = html`
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${heading}</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  </head>
+  <body style="margin:0; padding:0; background-color:#020617; font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+    <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="background:radial-gradient(circle at top,#1d4ed8 0,#020617 52%,#020617 100%); padding:26px 0;">
+      <tr>
+        <td align="center">
+          <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="max-width:640px; background-color:#0b1120; border-radius:18px; overflow:hidden; box-shadow:0 20px 45px rgba(15,23,42,0.9); border:1px solid rgba(148,163,184,0.22);">
+            <!-- Header -->
+            <tr>
+              <td style="padding:18px 24px 10px 24px; border-bottom:1px solid rgba(148,163,184,0.3);">
+                <span style="display:inline-flex; align-items:center; gap:10px;">
+                  <span style="display:inline-block; width:30px; height:30px; border-radius:999px; background:radial-gradient(circle,#22c55e,#16a34a); text-align:center; line-height:30px; font-size:18px; color:#ecfdf5;">⏰</span>
+                  <span style="color:#e5e7eb; font-weight:700; font-size:18px;">${heading}</span>
+                </span>
+              </td>
+            </tr>
+
+            <!-- Body -->
+            <tr>
+              <td style="padding:22px 24px 18px 24px;">
+                <p style="margin:0 0 8px 0; font-size:14px; color:#cbd5f5; line-height:1.6;">
+                  Hey, here are your note reminders in one place:
+                </p>
+${digestSection('Due', due, { color: '#86efac', timeZone })}
+${digestSection('Overdue', overdue, { color: '#fca5a5', timeZone })}
+${digestSection('Coming up', upcoming, { color: '#93c5fd', timeZone })}
+              </td>
+            </tr>
+
+            <!-- Footer -->
+            <tr>
+              <td style="padding:14px 24px 18px 24px; border-top:1px solid rgba(148,163,184,0.3);">
+                <p style="margin:0; font-size:11px; color:#6b7280; text-align:center; line-height:1.6;">
+                  You are receiving this digest from <strong style="color:#e5e7eb;">Your Notes</strong>.<br/>
+                  To get one email per reminder instead, change the reminder emails setting on the Settings page.
+                </p>
+${unsubscribeRow(unsubscribeLinks, '#6b7280')}
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>
+  `;
+
+  const counts = [due.length && `${due.length} due`, overdue.length && `${overdue.length} overdue`, upcoming.length && `${upcoming.length} coming up`]
+    .filter(Boolean)
+    .join(', ');
+  return { subject: subjectLine(`${heading}: ${counts}`), html: body.toString() };
+}
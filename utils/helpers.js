@@ -9,13 +9,103 @@ export const DEFAULT_APP_BASE = 'http://localhost:3000';
 /**
  * Format a date to a locale string safely
  * @param {Date|string} date - Date to format
+ * @param {string} [timeZone] - IANA zone to show the time in (with its abbreviation); server/browser zone if omitted
  * @returns {string} - Formatted date string
  */
-export function formatLocalString(date) {
+export function formatLocalString(date, timeZone) {
     try {
+        if (timeZone && isValidTimeZone(timeZone)) {
+            return new Date(date).toLocaleString(undefined, {
+                timeZone,
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit',
+                timeZoneName: 'short'
+            });
+        }
         return new Date(date).toLocaleString();
     } catch (e) {
         return String(date);
     }
 }
 
+// ==================== Time Zones ====================
+/**
+ * Whether `timeZone` is an IANA zone name this runtime knows (e.g. "Europe/Berlin")
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string' || timeZone.length > 64) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * The zone of the current runtime (the browser's zone on the client)
+ * @returns {string|null}
+ */
+export function getLocalTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Wall-clock date and time of `date` in `timeZone`
+ * @param {Date} date
+ * @param {string} timeZone - IANA zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} - month is 1-12
+ */
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+/**
+ * The instant when the clock in `timeZone` shows the given wall-clock time.
+ * Out-of-range values roll over (day 32 is the 1st of the next month). A time that a
+ * DST change skips lands an hour away from it.
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number}} wallTime - month is 1-12
+ * @param {string} timeZone - IANA zone
+ * @returns {Date}
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const target = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = (time) => {
+        const p = getZonedParts(new Date(time), timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - time;
+    };
+    // The zone's offset at the guess can differ from the one at the answer near a DST change
+    let time = target - offsetAt(target);
+    time = target - offsetAt(time);
+    return new Date(time);
+}
+
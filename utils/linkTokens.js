@@ -0,0 +1,41 @@
+// utils/linkTokens.js
+// Signed tokens for one-click links in emails (e.g. snoozing a reminder). A token is
+// only accepted for the purpose it was issued for, so a link can't be reused elsewhere.
+// Kept apart from utils/auth.js so the reminder scripts can use it without the DB helpers.
+
+import jwt from 'jsonwebtoken';
+
+// How long an emailed link keeps working
+export const LINK_TOKEN_EXPIRY = '7d';
+
+function secret() {
+  // Read on use so scripts can load .env first; same secret as utils/auth.js
+  return process.env.JWT_SECRET || 'devsecret';
+}
+
+/**
+ * Signs `data` for use in a link
+ * @param {string} purpose - What the link does (e.g. 'snooze')
+ * @param {object} data - Claims to carry (e.g. { note, option })
+ * @param {string} [expiresIn] - jsonwebtoken expiry
+ * @returns {string}
+ */
+export function signLinkToken(purpose, data, expiresIn = LINK_TOKEN_EXPIRY) {
+  return jwt.sign({ ...data, purpose }, secret(), { expiresIn });
+}
+
+/**
+ * Checks a link token
+ * @param {string} token
+ * @param {string} purpose - Expected purpose
+ * @returns {object|null} - Claims, or null when the token is invalid, expired or for something else
+ */
+export function verifyLinkToken(token, purpose) {
+  if (!token || typeof token !== 'string') return null;
+  try {
+    const claims = jwt.verify(token, secret());
+    return claims.purpose === purpose ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,83 @@
+// utils/liveNotes.js
+// Client-side helpers for the live note streams (/api/notes/events and /api/notes/[id]/events)
+import { getCollaboratorRole, roleCanEdit } from './collaborators';
+
+/**
+ * Applies the changes from an "update" event to a note the page already has.
+ * Events leave out per-viewer fields, so the viewer's role is worked out again
+ * when collaborator roles change.
+ * @param {object} note - Note currently shown
+ * @param {object} changes - `note` field of the event
+ * @param {{email: string}|null} user - Signed-in user
+ * @returns {object} - Updated note
+ */
+export function mergeNoteChanges(note, changes, user) {
+  const merged = { ...note, ...changes };
+  if (!note.isOwner && changes.collaboratorRoles && user?.email) {
+    merged.role = getCollaboratorRole(merged, user.email);
+    merged.canEdit = roleCanEdit(merged.role);
+  }
+  return merged;
+}
+
+/**
+ * Applies a list stream event to a notes list
+ * @param {Array<object>} notes - Notes currently shown
+ * @param {object} event - Parsed event ({ type, noteId, note })
+ * @param {{email: string}|null} user - Signed-in user
+ * @param {object} [options]
+ * @param {boolean} [options.archived] - Whether the list shows archived notes
+ * @returns {Array<object>} - Updated list (same array if nothing changed)
+ */
+export function applyNoteListEvent(notes, event, user, { archived = false } = {}) {
+  const index = notes.findIndex(n => String(n._id) === String(event.noteId));
+  if (index === -1) return notes;
+
+  if (event.type === 'deleted' || event.type === 'revoked') {
+    return notes.filter((_, i) => i !== index);
+  }
+  if (event.type !== 'update' || !event.note) return notes;
+
+  const merged = mergeNoteChanges(notes[index], event.note, user);
+  // Archiving or unarchiving moves the note to the other list
+  if (Boolean(merged.archived) !== archived || merged.deletedAt) {
+    return notes.filter((_, i) => i !== index);
+  }
+  return notes.map((n, i) => (i === index ? merged : n));
+}
+
+/**
+ * Subscribes to a live note stream, reconnecting when the browser gives up
+ * (the browser retries dropped connections itself, but not HTTP errors such
+ * as an expired access_token cookie)
+ * @param {string} url - Stream URL
+ * @param {object} handlers - Map of event type -> function(data)
+ * @returns {function(): void} - Closes the stream
+ */
+export function subscribeToNoteStream(url, handlers) {
+  if (typeof window === 'undefined' || !window.EventSource) return () => {};
+
+  let source = null;
+  let retryTimer = null;
+  let stopped = false;
+
+  function connect() {
+    source = new EventSource(url);
+    Object.keys(handlers).forEach(type => {
+      source.addEventListener(type, e => handlers[type](JSON.parse(e.data)));
+    });
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED && !stopped) {
+        retryTimer = setTimeout(connect, 15000);
+      }
+    };
+  }
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    if (source) source.close();
+  };
+}
@@ -0,0 +1,248 @@
+// utils/markdown.js
+// Markdown renderer for note content (note cards, detail page and emails).
+// Safe by construction: every piece of text is HTML-escaped before markup is added,
+// raw HTML in a note shows up as text, links are limited to http(s)/mailto and only
+// the tags built below are ever produced.
+// Supports headings, paragraphs, emphasis, strikethrough, inline code, fenced code blocks,
+// block quotes, (nested) bullet/numbered/task lists, horizontal rules and links.
+
+const SAFE_URL_REGEX = /^(https?:\/\/|mailto:)/i;
+
+// Quotes and lists nested deeper than this are shown as plain text, so a note made of
+// thousands of ">" can't run the renderer out of stack
+export const MAX_NESTING_DEPTH = 16;
+
+const FENCE_REGEX = /^\s*(```|~~~)/;
+const HEADING_REGEX = /^\s{0,3}(#{1,6})\s+(.*)$/;
+const RULE_REGEX = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_REGEX = /^\s{0,3}>\s?(.*)$/;
+const LIST_ITEM_REGEX = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TASK_REGEX = /^\[( |x|X)\]\s+(.*)$/;
+
+// Inline styles for email clients, which ignore stylesheets
+const EMAIL_STYLES = {
+  h1: 'margin:16px 0 8px 0; font-size:20px; font-weight:700; color:#111827;',
+  h2: 'margin:14px 0 8px 0; font-size:18px; font-weight:700; color:#111827;',
+  h3: 'margin:12px 0 6px 0; font-size:16px; font-weight:600; color:#111827;',
+  h4: 'margin:12px 0 6px 0; font-size:15px; font-weight:600; color:#111827;',
+  h5: 'margin:10px 0 4px 0; font-size:14px; font-weight:600; color:#111827;',
+  h6: 'margin:10px 0 4px 0; font-size:13px; font-weight:600; color:#4b5563;',
+  p: 'margin:0 0 10px 0;',
+  ul: 'margin:0 0 10px 0; padding-left:22px;',
+  ol: 'margin:0 0 10px 0; padding-left:22px;',
+  li: 'margin:2px 0;',
+  blockquote: 'margin:0 0 10px 0; padding:4px 12px; border-left:3px solid #d1d5db; color:#6b7280;',
+  pre: 'margin:0 0 10px 0; padding:10px 12px; background-color:#f3f4f6; border-radius:6px; overflow:auto; white-space:pre-wrap;',
+  code: "font-family:SFMono-Regular,Menlo,Consolas,'Liberation Mono',monospace; font-size:13px; background-color:#f3f4f6; padding:1px 4px; border-radius:4px;",
+  a: 'color:#2563eb; text-decoration:underline;',
+  hr: 'border:none; border-top:1px solid #e5e7eb; margin:12px 0;'
+};
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function open(tag, options, extra = '') {
+  const style = options.email && EMAIL_STYLES[tag] ? ` style="${EMAIL_STYLES[tag]}"` : '';
+  return `<${tag}${style}${extra}>`;
+}
+
+// Heading text without its optional closing "#" run. Done outside the regex: a lazy
+// group before trailing spaces backtracks in cubic time on a long run of spaces.
+function headingText(text) {
+  const trimmed = text.trimEnd();
+  if (/^#+$/.test(trimmed)) return '';
+  return trimmed.replace(/\s#+$/, '').trimEnd();
+}
+
+function link(href, label, options) {
+  return `${open('a', options, ` href="${href}" target="_blank" rel="noopener noreferrer"`)}${label}</a>`;
+}
+
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([^*]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([^_]*?\S)__(?=[^\w]|$)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?=[^\w]|$)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([^~]*?\S)~~/g, '<del>$1</del>');
+}
+
+// Escapes a line and adds inline markup. Code spans and links are swapped for
+// placeholders (escaped on their own) so emphasis and autolinking can't reach inside them.
+// Link labels can't contain "[", so a long run of "[" doesn't make the link match quadratic.
+function renderInline(text, options) {
+  const tokens = [];
+  const hold = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+  let html = String(text)
+    .replace(/\u0000/g, '')
+    .replace(/`([^`]+)`/g, (match, code) => hold(`${open('code', options)}${escapeHtml(code)}</code>`))
+    .replace(/\[([^[\]]+)\]\(\s*([^)\s]+)\s*\)/g, (match, label, href) => (
+      SAFE_URL_REGEX.test(href) ? hold(link(escapeHtml(href), renderEmphasis(escapeHtml(label)), options)) : label
+    ))
+    .replace(/\bhttps?:\/\/[^\s<>"'\u0000]*[^\s<>"'\u0000.,:;!?)\]]/g, url => hold(link(escapeHtml(url), escapeHtml(url), options)));
+
+  html = renderEmphasis(escapeHtml(html));
+
+  // Link labels can hold code spans, so restore until no placeholders are left
+  const placeholder = /\u0000(\d+)\u0000/g;
+  while (placeholder.test(html)) {
+    html = html.replace(placeholder, (match, index) => tokens[Number(index)]);
+  }
+  return html;
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, '  ').length;
+}
+
+// Renders list lines starting at `start`; deeper-indented items become nested lists
+// (below MAX_NESTING_DEPTH, after which they are kept as text of the item above)
+function renderList(lines, start, options, depth) {
+  const first = lines[start].match(LIST_ITEM_REGEX);
+  const baseIndent = indentOf(first[1]);
+  const ordered = /\d/.test(first[2]);
+  const tag = ordered ? 'ol' : 'ul';
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+
+  const items = [];
+  let i = start;
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM_REGEX);
+    if (!match) {
+      // Indented lines continue the previous item
+      if (items.length && lines[i].trim() && indentOf(lines[i]) > baseIndent) {
+        items[items.length - 1].text += `\n${lines[i].trim()}`;
+        i++;
+        continue;
+      }
+      break;
+    }
+
+    const indent = indentOf(match[1]);
+    if (indent < baseIndent) break;
+    if (indent > baseIndent && items.length && depth + 1 >= MAX_NESTING_DEPTH) {
+      items[items.length - 1].text += `\n${lines[i].trim()}`;
+      i++;
+      continue;
+    }
+    if (indent > baseIndent && items.length) {
+      const nested = renderList(lines, i, options, depth + 1);
+      items[items.length - 1].children += nested.html;
+      i = nested.next;
+      continue;
+    }
+    // A different list type at the same level starts a new list
+    if (/\d/.test(match[2]) !== ordered) break;
+
+    items.push({ text: match[3], children: '' });
+    i++;
+  }
+
+  const html = items.map(item => {
+    const task = item.text.match(TASK_REGEX);
+    const body = task
+      ? `${task[1] === ' ' ? '☐' : '☑'} ${renderInline(task[2], options).replace(/\n/g, '<br />')}`
+      : renderInline(item.text, options).replace(/\n/g, '<br />');
+    return `${open('li', options)}${body}${item.children}</li>`;
+  }).join('');
+
+  const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+  return { html: `${open(tag, options, startAttr)}${html}</${tag}>`, next: i };
+}
+
+function renderBlocks(lines, options, depth = 0) {
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block - an unclosed fence runs to the end
+    const fence = line.match(FENCE_REGEX);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+      i++;
+      out.push(`${open('pre', options)}<code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(HEADING_REGEX);
+    if (heading) {
+      const tag = `h${heading[1].length}`;
+      out.push(`${open(tag, options)}${renderInline(headingText(heading[2]), options)}</${tag}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE_REGEX.test(line)) {
+      out.push(options.email ? `<hr style="${EMAIL_STYLES.hr}" />` : '<hr />');
+      i++;
+      continue;
+    }
+
+    if (QUOTE_REGEX.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_REGEX.test(lines[i])) quoted.push(lines[i++].match(QUOTE_REGEX)[1]);
+      out.push(depth >= MAX_NESTING_DEPTH
+        ? `${open('p', options)}${quoted.map(escapeHtml).join('<br />')}</p>`
+        : `${open('blockquote', options)}${renderBlocks(quoted, options, depth + 1)}</blockquote>`);
+      continue;
+    }
+
+    if (LIST_ITEM_REGEX.test(line)) {
+      const list = renderList(lines, i, options, depth);
+      out.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    // Paragraph: consecutive lines up to a blank line or another block, line breaks kept
+    const paragraph = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !FENCE_REGEX.test(lines[i]) &&
+      !HEADING_REGEX.test(lines[i]) &&
+      !RULE_REGEX.test(lines[i]) &&
+      !QUOTE_REGEX.test(lines[i]) &&
+      !LIST_ITEM_REGEX.test(lines[i])
+    ) {
+      paragraph.push(renderInline(lines[i].trim(), options));
+      i++;
+    }
+    out.push(`${open('p', options)}${paragraph.join('<br />')}</p>`);
+  }
+
+  return out.join('');
+}
+
+/**
+ * Renders note Markdown to HTML. The output is safe to insert as-is (see the notes at the top).
+ * @param {string} text - Markdown source
+ * @param {{email?: boolean}} [options] - email: inline styles instead of relying on the app's CSS
+ * @returns {string} - HTML
+ */
+export function renderMarkdown(text, { email = false } = {}) {
+  if (!text) return '';
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  return renderBlocks(lines, { email });
+}
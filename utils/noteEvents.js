@@ -0,0 +1,197 @@
+// utils/noteEvents.js
+// In-process event bus for live note updates (server-side only).
+// Streams in pages/api/notes/events.js and pages/api/notes/[id]/events.js subscribe here;
+// the notes API publishes after every change. Works for a single Node instance only.
+import { EventEmitter } from 'events';
+
+/*
+  Kept on global so Next.js hot reloads and separate API route bundles
+  share one bus (same trick as the mongoose connection cache).
+*/
+let bus = global.noteEventBus;
+
+if (!bus) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // one listener per open stream
+  bus = global.noteEventBus = { emitter, presence: new Map() };
+}
+
+const ALL_NOTES = 'note:*';
+
+// Fields that depend on who is asking - every subscriber works them out for themselves
+const VIEWER_FIELDS = ['isOwner', 'role', 'canEdit'];
+
+function toId(value) {
+  if (!value) return null;
+  return String(value._id || value);
+}
+
+/**
+ * Who may receive events about a note
+ * @param {object} note - Note document or plain object
+ * @returns {{owner: string|null, collaborators: string[]}}
+ */
+export function getNoteAudience(note) {
+  return {
+    owner: toId(note.owner),
+    collaborators: (note.collaborators || []).filter(Boolean).map(email => email.toLowerCase())
+  };
+}
+
+/**
+ * Whether a user is in a note's audience
+ * @param {{owner: string|null, collaborators: string[]}} audience - From getNoteAudience
+ * @param {{id: string, email: string, isAdmin: boolean}} user - Subscriber
+ * @returns {boolean}
+ */
+export function canReceive(audience, user) {
+  if (!audience || !user) return false;
+  if (user.isAdmin) return true;
+  if (audience.owner && audience.owner === String(user.id)) return true;
+  return audience.collaborators.includes((user.email || '').toLowerCase());
+}
+
+/**
+ * Publishes a change to everyone subscribed to the note (and to the list streams)
+ * @param {object} note - Note after the change (document or plain object with owner/collaborators)
+ * @param {'update'|'deleted'} type - Event type
+ * @param {object} [data] - Extra event fields, e.g. { note, by, permanent }
+ * @param {Array<string>} [previousCollaborators] - Collaborators before the change, so removed ones can be told
+ */
+export function publishNoteEvent(note, type, data = {}, previousCollaborators = null) {
+  const noteId = toId(note);
+  const event = { type, noteId, at: new Date().toISOString(), ...data };
+
+  if (event.note) {
+    event.note = { ...event.note };
+    VIEWER_FIELDS.forEach(field => delete event.note[field]);
+  }
+
+  const message = { event, audience: getNoteAudience(note) };
+  if (previousCollaborators) {
+    message.previousAudience = getNoteAudience({ owner: note.owner, collaborators: previousCollaborators });
+  }
+  bus.emitter.emit(`note:${noteId}`, message);
+  bus.emitter.emit(ALL_NOTES, message);
+}
+
+/**
+ * Describes the user behind a change for event payloads
+ * @param {{id: string, name: string, email: string}} user
+ * @returns {{id: string, name: string|null, email: string|null}}
+ */
+export function describeActor(user) {
+  if (!user) return null;
+  return { id: String(user.id), name: user.name || null, email: user.email || null };
+}
+
+/**
+ * Listens to one note's events
+ * @param {string} noteId - Note ID
+ * @param {function({event: object, audience: object}): void} listener
+ * @returns {function(): void} - Unsubscribe
+ */
+export function subscribeToNote(noteId, listener) {
+  const channel = `note:${noteId}`;
+  bus.emitter.on(channel, listener);
+  return () => bus.emitter.off(channel, listener);
+}
+
+/**
+ * Listens to every note's events (the list stream filters by audience)
+ * @param {function({event: object, audience: object}): void} listener
+ * @returns {function(): void} - Unsubscribe
+ */
+export function subscribeToAllNotes(listener) {
+  bus.emitter.on(ALL_NOTES, listener);
+  return () => bus.emitter.off(ALL_NOTES, listener);
+}
+
+/**
+ * Users currently viewing a note - one entry per user even with several tabs open
+ * @param {string} noteId - Note ID
+ * @returns {Array<{id: string, name: string|null, email: string|null}>}
+ */
+export function getPresence(noteId) {
+  const connections = bus.presence.get(String(noteId));
+  if (!connections) return [];
+
+  const viewers = new Map();
+  connections.forEach(viewer => viewers.set(viewer.id, viewer));
+  return Array.from(viewers.values());
+}
+
+function publishPresence(noteId) {
+  const event = { type: 'presence', noteId, at: new Date().toISOString(), viewers: getPresence(noteId) };
+  // Presence only goes to the note's own stream - audience checks happen when the stream is opened
+  bus.emitter.emit(`note:${noteId}`, { event, audience: null });
+}
+
+/**
+ * Registers an open detail-page stream and tells the other viewers
+ * @param {string} noteId - Note ID
+ * @param {string} connectionId - Unique per stream
+ * @param {{id: string, name: string|null, email: string|null}} viewer
+ */
+export function joinPresence(noteId, connectionId, viewer) {
+  const key = String(noteId);
+  if (!bus.presence.has(key)) bus.presence.set(key, new Map());
+  bus.presence.get(key).set(connectionId, viewer);
+  publishPresence(key);
+}
+
+/**
+ * Removes a closed stream from the note's viewers
+ * @param {string} noteId - Note ID
+ * @param {string} connectionId - Same ID passed to joinPresence
+ */
+export function leavePresence(noteId, connectionId) {
+  const key = String(noteId);
+  const connections = bus.presence.get(key);
+  if (!connections || !connections.delete(connectionId)) return;
+  if (connections.size === 0) bus.presence.delete(key);
+  publishPresence(key);
+}
+
+// Comment line sent now and then so proxies don't drop idle streams
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+/**
+ * Turns an API response into a Server-Sent Events stream
+ * @param {object} req - HTTP request
+ * @param {object} res - HTTP response
+ * @param {function(): void} onClose - Cleanup, called once when the stream ends
+ * @returns {{send: function(object): void, close: function(): void}}
+ */
+export function openEventStream(req, res, onClose) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop compression and proxy buffering from holding events back
+    'Content-Encoding': 'none',
+    'X-Accel-Buffering': 'no'
+  });
+  // Browsers reconnect after this many ms if the stream drops
+  res.write('retry: 5000\n\n');
+
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    onClose();
+    res.end();
+  };
+  req.on('close', close);
+
+  return {
+    send(event) {
+      if (closed) return;
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    },
+    close
+  };
+}
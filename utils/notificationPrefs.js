@@ -0,0 +1,72 @@
+// utils/notificationPrefs.js
+// Which notifications a user gets (User.notificationPrefs): an on/off toggle per event and
+// channel, plus muted notes that send nothing at all. Read by every sender (utils/emailService.js,
+// the reminder engine, utils/notifications.js) and edited on the settings page, the note page
+// and through the one-click unsubscribe links in emails.
+
+// Events and the channels each one can use (edits and role changes are in-app only)
+export const NOTIFICATION_EVENTS = [
+  { id: 'share', label: 'Someone shares a note with me', channels: ['email', 'inApp'] },
+  { id: 'edit', label: 'Someone edits a shared note', channels: ['inApp'] },
+  { id: 'reminder', label: 'Reminders', channels: ['email', 'inApp'] },
+  { id: 'role', label: 'My role on a note changes', channels: ['inApp'] }
+];
+
+export const NOTIFICATION_CHANNELS = ['email', 'inApp'];
+
+export const CHANNEL_LABELS = {
+  email: 'Email',
+  inApp: 'In-app'
+};
+
+/**
+ * Whether `event` can be sent over `channel` at all
+ * @param {string} event
+ * @param {string} channel
+ * @returns {boolean}
+ */
+export function isNotificationChannel(event, channel) {
+  return NOTIFICATION_EVENTS.some(e => e.id === event && e.channels.includes(channel));
+}
+
+/**
+ * Whether a user has muted a note
+ * @param {object} user - User with notificationPrefs
+ * @param {string|object} noteId
+ * @returns {boolean}
+ */
+export function isNoteMuted(user, noteId) {
+  if (!user || !noteId) return false;
+  const id = String(noteId._id || noteId);
+  return (user.notificationPrefs?.mutedNotes || []).some(muted => String(muted._id || muted) === id);
+}
+
+/**
+ * Whether a user wants `event` over `channel` (everything is on until turned off)
+ * @param {object|null} user - User with notificationPrefs; null for addresses without an account
+ * @param {string} event - 'share', 'edit', 'reminder' or 'role'
+ * @param {string} channel - 'email' or 'inApp'
+ * @param {string|object} [noteId] - Note it is about; muted notes send nothing
+ * @returns {boolean}
+ */
+export function wantsNotification(user, event, channel, noteId = null) {
+  if (!user) return true;
+  if (isNoteMuted(user, noteId)) return false;
+  return user.notificationPrefs?.[channel]?.[event] !== false;
+}
+
+/**
+ * A user's toggles as { email: { share: true, ... }, inApp: { ... } }, with defaults filled in
+ * @param {object} user - User with notificationPrefs
+ * @returns {object}
+ */
+export function getNotificationToggles(user) {
+  const toggles = {};
+  NOTIFICATION_CHANNELS.forEach(channel => {
+    toggles[channel] = {};
+    NOTIFICATION_EVENTS.filter(e => e.channels.includes(channel)).forEach(e => {
+      toggles[channel][e.id] = user?.notificationPrefs?.[channel]?.[e.id] !== false;
+    });
+  });
+  return toggles;
+}
@@ -0,0 +1,149 @@
+// utils/notifications.js
+// In-app notifications (models/Notification.js), shown by the bell in components/Layout.js
+// and served by /api/notifications. Created next to the matching emails: share invites,
+// edits by collaborators, reminders firing (utils/reminders.js) and role changes.
+// Only people with an account get one, never the person who caused it, nor anyone who
+// turned that kind off or muted the note (User.notificationPrefs). Creating them never
+// throws: a notification failing must not fail the change that caused it.
+
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { ROLE_LABELS } from './collaborators.js';
+import { wantsNotification } from './notificationPrefs.js';
+
+// Edits to a note by the same person within this window update one unread notification
+// instead of adding another, so typing or ticking items doesn't flood the bell
+export const EDIT_NOTIFICATION_WINDOW_MS = 10 * 60 * 1000;
+
+// Most notifications returned by one list request
+export const MAX_NOTIFICATIONS_PAGE = 50;
+
+function noteTitle(note) {
+  return note.title || 'Untitled Note';
+}
+
+function actorName(actor) {
+  return actor?.name || actor?.email || 'Someone';
+}
+
+/**
+ * Creates one notification per recipient
+ * @param {object} params
+ * @param {Array} [params.userIds] - Recipients by user id
+ * @param {string[]} [params.emails] - Recipients by email (addresses without an account are skipped)
+ * @param {'share'|'edit'|'reminder'|'role'} params.type
+ * @param {object} params.note - Note it is about
+ * @param {{id: string, name: string, email: string}|null} [params.actor] - Who caused it (see describeActor)
+ * @param {string} params.message
+ * @returns {Promise<number>} - Notifications created or updated
+ */
+export async function notifyUsers({ userIds = [], emails = [], type, note, actor = null, message }) {
+  try {
+    const conditions = [];
+    const ids = userIds.filter(Boolean).map(id => String(id._id || id));
+    const addresses = emails.filter(Boolean).map(email => email.trim().toLowerCase());
+    if (ids.length) conditions.push({ _id: { $in: ids } });
+    if (addresses.length) conditions.push({ email: { $in: addresses } });
+    if (!conditions.length) return 0;
+
+    const users = await User.find({ $or: conditions }).select('_id notificationPrefs').lean();
+    const recipients = users
+      .filter(user => wantsNotification(user, type, 'inApp', note._id))
+      .map(user => String(user._id))
+      .filter(id => id !== actor?.id);
+    if (!recipients.length) return 0;
+
+    const fields = { type, note: note._id, noteTitle: note.title || '', actor, message };
+
+    // Fold repeated edits into the recent unread notification
+    let pending = recipients;
+    if (type === 'edit' && actor?.id) {
+      const recent = await Notification.find({
+        user: { $in: recipients },
+        type,
+        note: note._id,
+        'actor.id': actor.id,
+        readAt: null,
+        updatedAt: { $gte: new Date(Date.now() - EDIT_NOTIFICATION_WINDOW_MS) }
+      })
+        .select('user')
+        .lean();
+      if (recent.length) {
+        await Notification.updateMany({ _id: { $in: recent.map(n => n._id) } }, { $set: fields });
+        const updated = new Set(recent.map(n => String(n.user)));
+        pending = recipients.filter(id => !updated.has(id));
+      }
+    }
+
+    if (pending.length) {
+      await Notification.insertMany(pending.map(user => ({ ...fields, user })));
+    }
+    return recipients.length;
+  } catch (err) {
+    console.error(`Error creating ${type} notifications:`, err.message);
+    return 0;
+  }
+}
+
+/**
+ * Tells people they were added to a note
+ * @param {object} note
+ * @param {object} actor - Who shared it (describeActor)
+ * @param {string[]} emails - New collaborators
+ */
+export function notifyNoteShared(note, actor, emails) {
+  return notifyUsers({
+    emails,
+    type: 'share',
+    note,
+    actor,
+    message: `${actorName(actor)} shared "${noteTitle(note)}" with you`
+  });
+}
+
+/**
+ * Tells everyone else on a note that it was edited
+ * @param {object} note - Note with owner (id or populated) and collaborators
+ * @param {object} actor - Who edited it (describeActor)
+ */
+export function notifyNoteEdited(note, actor) {
+  return notifyUsers({
+    userIds: [note.owner],
+    emails: note.collaborators || [],
+    type: 'edit',
+    note,
+    actor,
+    message: `${actorName(actor)} edited "${noteTitle(note)}"`
+  });
+}
+
+/**
+ * Tells reminder recipients that a reminder fired
+ * @param {object} note
+ * @param {string[]} emails - Who the reminder went to
+ */
+export function notifyReminder(note, emails) {
+  return notifyUsers({
+    emails,
+    type: 'reminder',
+    note,
+    message: `Reminder: "${noteTitle(note)}"`
+  });
+}
+
+/**
+ * Tells a collaborator their role on a note changed
+ * @param {object} note
+ * @param {object} actor - Who changed it (describeActor)
+ * @param {string} email - Collaborator
+ * @param {string} role - New role
+ */
+export function notifyRoleChanged(note, actor, email, role) {
+  return notifyUsers({
+    emails: [email],
+    type: 'role',
+    note,
+    actor,
+    message: `${actorName(actor)} changed your access to "${noteTitle(note)}": ${ROLE_LABELS[role] || role}`
+  });
+}
@@ -0,0 +1,365 @@
+// utils/recurrence.js
+// Recurring reminders: a small RFC 5545 RRULE subset shared by the notes API,
+// the reminder senders and NoteForm.
+//
+// Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY
+// (plain weekdays, plus ordinals like 1MO / -1FR for MONTHLY), BYMONTHDAY
+// (MONTHLY only, negative counts from month end), COUNT, UNTIL and WKST=MO.
+// Occurrences are computed in the note owner's time zone (server local time
+// without one) and keep the wall-clock time of the first reminder across DST
+// changes. A date-only or floating UNTIL is read in that zone too.
+
+import { isValidTimeZone, getZonedParts, zonedTimeToDate } from './helpers.js';
+
+// Index matches Date#getDay()
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+
+// Safety net so a rule that can never match (e.g. BYMONTHDAY=31;INTERVAL=12 from February) can't spin forever
+const MAX_PERIODS = 5000;
+const MAX_OCCURRENCES = 100000;
+
+function parseInteger(value, key, min, max) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new Error(`${key} must be a whole number between ${min} and ${max}`);
+  }
+  return n;
+}
+
+function parseByDay(value) {
+  const match = value.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+  if (!match) throw new Error(`Invalid BYDAY value "${value}"`);
+  const ordinal = match[1] ? Number(match[1]) : null;
+  if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+    throw new Error(`Invalid BYDAY ordinal "${value}"`);
+  }
+  return { day: WEEKDAY_CODES.indexOf(match[2]), ordinal };
+}
+
+// UNTIL as an instant, plus its wall-clock time unless it is UTC ("Z"): a date-only or
+// floating UNTIL is only placed in a zone once the rule is evaluated
+function parseUntil(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) throw new Error('UNTIL must look like 20250131 or 20250131T090000Z');
+  const [, y, mo, d, h, mi, s, utc] = match;
+  const dateOnly = h === undefined;
+  // Date-only UNTIL includes the whole day
+  const wallTime = {
+    year: Number(y),
+    month: Number(mo) - 1,
+    day: Number(d),
+    hour: dateOnly ? 23 : Number(h),
+    minute: dateOnly ? 59 : Number(mi),
+    second: dateOnly ? 59 : Number(s),
+    ms: dateOnly ? 999 : 0
+  };
+  const date = utc ? fromWallClock(wallTime, 'UTC') : fromWallClock(wallTime, null);
+  if (isNaN(date.getTime())) throw new Error('UNTIL is not a valid date');
+  return { until: date, untilWallTime: utc ? null : { ...wallTime, dateOnly } };
+}
+
+/**
+ * Parses an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE", optionally prefixed with "RRULE:")
+ * @param {string} input - RRULE string
+ * @returns {{freq: string, interval: number, byDay: Array<{day: number, ordinal: number|null}>, byMonthDay: number[], count: number|null, until: Date|null}}
+ * @throws {Error} - With a user-facing message when the rule is invalid or unsupported
+ */
+export function parseRRule(input) {
+  if (typeof input !== 'string') throw new Error('Recurrence rule must be a string');
+  const str = input.trim().replace(/^RRULE:/i, '');
+  if (!str) throw new Error('Recurrence rule is empty');
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null, untilWallTime: null };
+  const seen = new Set();
+
+  str.split(';').filter(Boolean).forEach(part => {
+    const pieces = part.split('=');
+    const key = (pieces[0] || '').trim().toUpperCase();
+    const value = (pieces[1] || '').trim().toUpperCase();
+    if (pieces.length !== 2 || !key || !value) throw new Error(`Invalid rule part "${part}"`);
+    if (seen.has(key)) throw new Error(`${key} is specified more than once`);
+    seen.add(key);
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          throw new Error(`Unsupported FREQ "${value}" (use DAILY, WEEKLY, MONTHLY or YEARLY)`);
+        }
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInteger(value, 'INTERVAL', 1, 365);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(parseByDay);
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(v => {
+          const n = parseInteger(v, 'BYMONTHDAY', -31, 31);
+          if (n === 0) throw new Error('BYMONTHDAY cannot be 0');
+          return n;
+        });
+        break;
+      case 'COUNT':
+        rule.count = parseInteger(value, 'COUNT', 1, 1000);
+        break;
+      case 'UNTIL':
+        Object.assign(rule, parseUntil(value));
+        break;
+      case 'WKST':
+        if (value !== 'MO') throw new Error('Only WKST=MO is supported');
+        break;
+      default:
+        throw new Error(`Unsupported rule part "${key}"`);
+    }
+  });
+
+  if (!rule.freq) throw new Error('FREQ is required');
+  if (rule.count && rule.until) throw new Error('COUNT and UNTIL cannot be combined');
+  if (rule.byMonthDay.length > 0 && rule.freq !== 'MONTHLY') {
+    throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+  if (rule.byDay.some(d => d.ordinal !== null) && rule.freq !== 'MONTHLY') {
+    throw new Error('BYDAY ordinals (e.g. 1MO) are only supported with FREQ=MONTHLY');
+  }
+  if (rule.byDay.length > 0 && rule.freq === 'YEARLY') {
+    throw new Error('BYDAY is not supported with FREQ=YEARLY');
+  }
+
+  return rule;
+}
+
+function formatUntil(rule) {
+  const wall = rule.untilWallTime;
+  if (!wall) return rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const pad = n => String(n).padStart(2, '0');
+  const date = `${wall.year}${pad(wall.month + 1)}${pad(wall.day)}`;
+  return wall.dateOnly ? date : `${date}T${pad(wall.hour)}${pad(wall.minute)}${pad(wall.second)}`;
+}
+
+/**
+ * Serializes a parsed rule back into a canonical RRULE string
+ * @param {object} rule - Result of parseRRule
+ * @returns {string}
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(d => `${d.ordinal !== null ? d.ordinal : ''}${WEEKDAY_CODES[d.day]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule)}`);
+  return parts.join(';');
+}
+
+/**
+ * Parses and re-serializes a rule so stored rules are always canonical
+ * @param {string} input - RRULE string
+ * @returns {string}
+ */
+export function normalizeRRule(input) {
+  return formatRRule(parseRRule(input));
+}
+
+// Calendar arithmetic is done on UTC dates, which have no DST gaps; months are 0-11 as in Date
+function calendarDay(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate(), weekday: date.getUTCDay() };
+}
+
+function daysInMonth(year, month) {
+  return calendarDay(year, month + 1, 0).day;
+}
+
+// Wall-clock time of `date` in `timeZone`, or in server local time without a zone
+function wallClock(date, timeZone) {
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth(),
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds(),
+      ms: date.getMilliseconds()
+    };
+  }
+  const parts = getZonedParts(date, timeZone);
+  return { ...parts, month: parts.month - 1, ms: date.getMilliseconds() };
+}
+
+// The instant the clock in `timeZone` (server local time without one) shows `wallTime`
+function fromWallClock({ year, month, day, hour, minute, second, ms }, timeZone) {
+  if (!timeZone) return new Date(year, month, day, hour, minute, second, ms);
+  const date = zonedTimeToDate({ year, month: month + 1, day, hour, minute }, timeZone);
+  return new Date(date.getTime() + second * 1000 + ms);
+}
+
+// Days of the month matching "1MO" / "-1FR" style BYDAY entries (or every matching weekday without an ordinal)
+function monthDaysForWeekday(year, month, { day, ordinal }) {
+  const total = daysInMonth(year, month);
+  const first = (day - calendarDay(year, month, 1).weekday + 7) % 7 + 1;
+  const all = [];
+  for (let d = first; d <= total; d += 7) all.push(d);
+  if (ordinal === null) return all;
+  const picked = ordinal > 0 ? all[ordinal - 1] : all[all.length + ordinal];
+  return picked ? [picked] : [];
+}
+
+/**
+ * Yields occurrences in order, starting with startAt itself (RFC 5545 counts
+ * DTSTART as the first instance even when it doesn't match BYDAY/BYMONTHDAY)
+ */
+function* occurrences(rule, startAt, timeZone) {
+  const start = new Date(startAt);
+  const clock = wallClock(start, timeZone);
+  const first = calendarDay(clock.year, clock.month, clock.day);
+  // The instant of calendar day `day` at the first occurrence's wall-clock time
+  const at = day => fromWallClock({ ...clock, year: day.year, month: day.month, day: day.day }, timeZone);
+  yield start;
+
+  if (rule.freq === 'DAILY') {
+    const allowed = rule.byDay.map(d => d.day);
+    for (let i = rule.interval, periods = 0; periods < MAX_PERIODS * 7; i += rule.interval, periods++) {
+      const day = calendarDay(first.year, first.month, first.day + i);
+      if (allowed.length === 0 || allowed.includes(day.weekday)) yield at(day);
+    }
+  } else if (rule.freq === 'WEEKLY') {
+    const days = rule.byDay.length > 0 ? rule.byDay.map(d => d.day) : [first.weekday];
+    // Weeks start on Monday (WKST=MO); walk the week in Mon..Sun order
+    const offsets = Array.from(new Set(days.map(d => (d + 6) % 7))).sort((a, b) => a - b);
+    const mondayOffset = (first.weekday + 6) % 7;
+    for (let w = 0, periods = 0; periods < MAX_PERIODS; w += rule.interval, periods++) {
+      for (const offset of offsets) {
+        const date = at(calendarDay(first.year, first.month, first.day - mondayOffset + w * 7 + offset));
+        if (date > start) yield date;
+      }
+    }
+  } else if (rule.freq === 'MONTHLY') {
+    for (let m = 0, periods = 0; periods < MAX_PERIODS; m += rule.interval, periods++) {
+      const year = first.year + Math.floor((first.month + m) / 12);
+      const month = (first.month + m) % 12;
+      const total = daysInMonth(year, month);
+      let days = [];
+      rule.byMonthDay.forEach(n => days.push(n > 0 ? n : total + n + 1));
+      rule.byDay.forEach(d => days.push(...monthDaysForWeekday(year, month, d)));
+      if (rule.byMonthDay.length === 0 && rule.byDay.length === 0) days.push(first.day);
+      // Days that don't exist in this month (e.g. the 31st in April) are skipped, per RFC 5545
+      days = Array.from(new Set(days)).filter(d => d >= 1 && d <= total).sort((a, b) => a - b);
+      for (const d of days) {
+        const date = at({ year, month, day: d });
+        if (date > start) yield date;
+      }
+    }
+  } else if (rule.freq === 'YEARLY') {
+    for (let y = rule.interval, periods = 0; periods < MAX_PERIODS; y += rule.interval, periods++) {
+      const day = calendarDay(first.year + y, first.month, first.day);
+      // Feb 29 only recurs in leap years
+      if (day.month === first.month) yield at(day);
+    }
+  }
+}
+
+/**
+ * First occurrence strictly after `after`, honouring COUNT and UNTIL
+ * @param {string|object} rule - RRULE string or parsed rule
+ * @param {Date|string} startAt - First occurrence (DTSTART)
+ * @param {Date} after - Usually now; missed occurrences are skipped rather than sent late
+ * @param {string|null} [timeZone] - IANA zone the series repeats in (server local time if omitted)
+ * @returns {Date|null} - Next occurrence, or null when the series has ended
+ */
+export function getNextOccurrence(rule, startAt, after = new Date(), timeZone = null) {
+  const parsed = typeof rule === 'string' ? parseRRule(rule) : rule;
+  const zone = isValidTimeZone(timeZone) ? timeZone : null;
+  const until = parsed.untilWallTime ? fromWallClock(parsed.untilWallTime, zone) : parsed.until;
+  const afterTime = new Date(after).getTime();
+  let index = 0;
+
+  for (const date of occurrences(parsed, startAt, zone)) {
+    if (parsed.count && index >= parsed.count) return null;
+    if (until && date > until) return null;
+    if (date.getTime() > afterTime) return date;
+    index++;
+    if (index > MAX_OCCURRENCES) return null;
+  }
+  return null;
+}
+
+/**
+ * Update to apply to a note once its reminder has been sent: recurring notes
+ * move on to their next occurrence, one-off reminders are marked as sent
+ * @param {object} note - Note with reminderAt and optional recurrence { rule, startAt }
+ * @param {Date} now - Current time
+ * @param {string|null} [timeZone] - Zone the series repeats in; the owner's (note.owner.timezone, if populated) by default
+ * @returns {{reminderAt?: Date, reminderSent: boolean}}
+ */
+export function getReminderUpdateAfterSend(note, now = new Date(), timeZone = note.owner?.timezone || null) {
+  const recurrence = note.recurrence;
+  if (recurrence && recurrence.rule) {
+    try {
+      const reminderAt = note.reminderAt ? new Date(note.reminderAt) : now;
+      const after = reminderAt > now ? reminderAt : now;
+      const next = getNextOccurrence(recurrence.rule, recurrence.startAt || note.reminderAt, after, timeZone);
+      if (next) return { reminderAt: next, reminderSent: false };
+    } catch (err) {
+      // A rule that no longer parses behaves like a one-off reminder
+      console.warn('Invalid recurrence rule on note', note._id, err.message);
+    }
+  }
+  return { reminderSent: true };
+}
+
+/**
+ * Maps a rule to the NoteForm presets so simple rules get the simple UI
+ * @param {string} ruleString - RRULE string or empty
+ * @returns {{preset: 'none'|'daily'|'weekly'|'monthly'|'custom', byDay: string[]}}
+ */
+export function getRecurrencePreset(ruleString) {
+  if (!ruleString) return { preset: 'none', byDay: [] };
+  let rule;
+  try {
+    rule = parseRRule(ruleString);
+  } catch (e) {
+    return { preset: 'custom', byDay: [] };
+  }
+  const simple = rule.interval === 1 && !rule.count && !rule.until && rule.byMonthDay.length === 0;
+  if (simple && rule.freq === 'DAILY' && rule.byDay.length === 0) return { preset: 'daily', byDay: [] };
+  if (simple && rule.freq === 'MONTHLY' && rule.byDay.length === 0) return { preset: 'monthly', byDay: [] };
+  if (simple && rule.freq === 'WEEKLY' && rule.byDay.every(d => d.ordinal === null)) {
+    return { preset: 'weekly', byDay: rule.byDay.map(d => WEEKDAY_CODES[d.day]) };
+  }
+  return { preset: 'custom', byDay: [] };
+}
+
+/**
+ * Human readable summary, e.g. "Weekly on Mon, Wed" or "Monthly on the last Fri, 5 times"
+ * @param {string} ruleString - RRULE string
+ * @returns {string|null} - null when the rule is invalid
+ */
+export function describeRecurrence(ruleString) {
+  let rule;
+  try {
+    rule = parseRRule(ruleString);
+  } catch (e) {
+    return null;
+  }
+
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  const adverbs = { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Yearly' };
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${units[rule.freq]}s` : adverbs[rule.freq];
+
+  const dayNames = rule.byDay.map(d =>
+    d.ordinal !== null ? `the ${ORDINAL_NAMES[d.ordinal] || `${d.ordinal}.`} ${WEEKDAY_NAMES[d.day]}` : WEEKDAY_NAMES[d.day]
+  );
+  const on = [...rule.byMonthDay.map(n => (n > 0 ? `day ${n}` : n === -1 ? 'the last day' : `day ${-n} from the end`)), ...dayNames];
+  if (on.length > 0) text += ` on ${on.join(', ')}`;
+
+  if (rule.count) text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  if (rule.until) text += `, until ${rule.until.toLocaleDateString()}`;
+  return text;
+}
@@ -0,0 +1,212 @@
+// utils/reminderDigest.js
+// Daily and weekly reminder digests. Users who opt in (User.reminderDigest.mode) don't get
+// one email per reminder: the reminder engine (utils/reminders.js) queues each reminder on
+// their account, and processReminderDigests sends one summary at 8:00 in the user's time
+// zone (Mondays for weekly) through the same transport as the reminders. The summary lists:
+// - due: the queued reminders, i.e. the ones that fired since the last digest
+// - overdue: reminders from the digest before, on notes that still aren't completed (each is
+//   listed in one digest only, so old reminders don't come back every time)
+// - coming up: reminders that fire before the next digest
+// Muted notes are left out, and users who turned reminder emails off get no digest
+// (User.notificationPrefs, see utils/notificationPrefs.js).
+// Called after each reminder check by the service, the one-shot script and /api/reminders/check.
+
+import Note from '../models/Note.js';
+import User from '../models/User.js';
+import { getReminderRecipients, getNoteUrl } from './reminders.js';
+import { getSnoozeTime } from './snooze.js';
+import { getUnsubscribeLinks, unsubscribeHeaders } from './emailService.js';
+import { reminderDigestEmail } from './emailTemplates.js';
+import { isNoteMuted, wantsNotification } from './notificationPrefs.js';
+
+export const REMINDER_DIGEST_MODES = ['off', 'daily', 'weekly'];
+
+// Longest list in each digest section
+const MAX_DIGEST_ITEMS = 20;
+
+// How far back the overdue section looks from the last digest
+const DIGEST_PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * When the digest after `lastSentAt` is due: 8:00 the next day (daily) or the next
+ * Monday (weekly), in the user's zone - the same times as the matching snooze options
+ * @param {'daily'|'weekly'} mode
+ * @param {Date} lastSentAt - Previous digest (or when the digest was turned on)
+ * @param {string|null} [timeZone] - User's IANA zone
+ * @returns {Date}
+ */
+export function getNextDigestTime(mode, lastSentAt, timeZone = null) {
+  return getSnoozeTime(mode === 'weekly' ? 'next-week' : 'tomorrow', lastSentAt, timeZone);
+}
+
+/**
+ * Whether `user` should get a digest now. Anything still queued after the digest was
+ * turned off goes out straight away.
+ * @param {object} user - User with reminderDigest
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isDigestDue(user, now = new Date()) {
+  const digest = user.reminderDigest || {};
+  if (!digest.mode || digest.mode === 'off') return (digest.queue || []).length > 0;
+  if (!digest.lastSentAt) return true;
+  return getNextDigestTime(digest.mode, digest.lastSentAt, user.timezone) <= now;
+}
+
+// Notes `user` can see that aren't archived or in trash
+function accessibleNotes(user) {
+  return {
+    deletedAt: null,
+    archived: { $ne: true },
+    $or: [{ owner: user._id }, { collaborators: user.email }]
+  };
+}
+
+// Every reminder on `notes` the user receives, as digest items
+function userReminders(notes, user) {
+  const email = user.email.toLowerCase();
+  const items = [];
+  notes.forEach(note => {
+    const item = (at, sent) => ({ noteId: String(note._id), title: note.title, at, url: getNoteUrl(note), sent });
+    if (note.reminderAt) items.push(item(note.reminderAt, note.reminderSent));
+    (note.reminders || []).forEach(reminder => {
+      const recipients = getReminderRecipients(note, reminder).map(r => r.toLowerCase());
+      if (recipients.includes(email)) items.push(item(reminder.at, reminder.sent));
+    });
+  });
+  return items;
+}
+
+function byTime(a, b) {
+  return new Date(a.at) - new Date(b.at);
+}
+
+/**
+ * Collects the digest for `user`
+ * @param {object} user - User with reminderDigest and notificationPrefs (lean)
+ * @param {Date} now - Current time
+ * @returns {Promise<{mode: string, due: Array, overdue: Array, upcoming: Array}>} - Items are { title, at, url }
+ */
+export async function buildReminderDigest(user, now = new Date()) {
+  const digest = user.reminderDigest || {};
+  const mode = digest.mode === 'weekly' ? 'weekly' : 'daily';
+  const since = digest.lastSentAt || now;
+  const overdueSince = new Date(new Date(since).getTime() - DIGEST_PERIOD_MS[mode]);
+  const until = getNextDigestTime(mode, now, user.timezone);
+
+  // Due: what the engine queued since the last digest
+  const queue = digest.queue || [];
+  const queuedNotes = await Note.find({ _id: { $in: queue.map(entry => entry.note) }, deletedAt: null })
+    .select('title')
+    .lean();
+  const titles = new Map(queuedNotes.map(note => [String(note._id), note.title]));
+  const due = queue
+    .filter(entry => titles.has(String(entry.note)) && !isNoteMuted(user, entry.note))
+    .map(entry => ({ title: titles.get(String(entry.note)), at: entry.at, url: getNoteUrl({ _id: entry.note }) }))
+    .sort(byTime);
+  const dueNotes = new Set(queue.map(entry => String(entry.note)));
+
+  // Overdue and coming up: reminders on notes the user can see
+  const notes = await Note.find({
+    ...accessibleNotes(user),
+    completed: { $ne: true },
+    $and: [{
+      $or: [
+        { reminderAt: { $gte: overdueSince, $lt: since } },
+        { reminderAt: { $gt: now, $lte: until } },
+        { 'reminders.at': { $gte: overdueSince, $lt: since } },
+        { 'reminders.at': { $gt: now, $lte: until } }
+      ]
+    }]
+  })
+    .select('title owner collaborators reminderAt reminderSent reminders')
+    .populate('owner', 'email')
+    .lean();
+  const reminders = userReminders(notes.filter(note => !isNoteMuted(user, note._id)), user);
+
+  const overdue = reminders
+    .filter(item => item.sent && new Date(item.at) >= overdueSince && new Date(item.at) < since && !dueNotes.has(item.noteId))
+    .sort(byTime)
+    .slice(-MAX_DIGEST_ITEMS);
+  const upcoming = reminders
+    .filter(item => !item.sent && new Date(item.at) > now && new Date(item.at) <= until)
+    .sort(byTime)
+    .slice(0, MAX_DIGEST_ITEMS);
+
+  return { mode, due: due.slice(-MAX_DIGEST_ITEMS), overdue, upcoming };
+}
+
+/**
+ * Sends every digest that is due. Each user is claimed by moving lastSentAt forward first,
+ * so two workers never send the same digest; the queued reminders are only removed once
+ * the email went out, and a failed send is tried again on the next run. Digests with
+ * nothing in them aren't sent, and neither are digests for users who turned reminder
+ * emails off (their queue is dropped).
+ * @param {object} params
+ * @param {{send: function}} params.transport - Same transport as processDueReminders (utils/reminders.js)
+ * @param {Date} [params.now] - Current time
+ * @returns {Promise<{checked: number, sent: number, empty: number, skipped: number, errors: Array<{userId: string, error: string}>}>}
+ */
+export async function processReminderDigests({ transport, now = new Date() }) {
+  const results = { checked: 0, sent: 0, empty: 0, skipped: 0, errors: [] };
+
+  const candidates = await User.find({
+    $or: [
+      { 'reminderDigest.mode': { $in: ['daily', 'weekly'] } },
+      { 'reminderDigest.queue.0': { $exists: true } }
+    ]
+  })
+    .select('email name timezone reminderDigest notificationPrefs')
+    .lean();
+
+  for (const candidate of candidates) {
+    if (!isDigestDue(candidate, now)) continue;
+
+    const previous = candidate.reminderDigest?.lastSentAt || null;
+    const claimed = await User.findOneAndUpdate(
+      { _id: candidate._id, 'reminderDigest.lastSentAt': previous },
+      { $set: { 'reminderDigest.lastSentAt': now } },
+      { timestamps: false }
+    )
+      .select('email name timezone reminderDigest notificationPrefs')
+      .lean();
+    if (!claimed) continue; // Another worker got it
+    results.checked++;
+
+    try {
+      const digest = wantsNotification(claimed, 'reminder', 'email') ? await buildReminderDigest(claimed, now) : null;
+
+      if (!digest) {
+        results.skipped++;
+      } else if (digest.due.length || digest.overdue.length || digest.upcoming.length) {
+        const unsubscribeLinks = getUnsubscribeLinks({ userId: claimed._id, event: 'reminder' });
+        const { subject, html } = reminderDigestEmail({ ...digest, timeZone: claimed.timezone || null, unsubscribeLinks });
+        await transport.send({ to: [claimed.email], subject, html, headers: unsubscribeHeaders(unsubscribeLinks) });
+        results.sent++;
+      } else {
+        results.empty++;
+      }
+
+      await User.updateOne(
+        { _id: claimed._id },
+        // Only what this digest covered; the engine may have queued more meanwhile
+        { $pull: { 'reminderDigest.queue': { _id: { $in: (claimed.reminderDigest?.queue || []).map(entry => entry._id) } } } },
+        { timestamps: false }
+      );
+    } catch (err) {
+      console.error('Error sending reminder digest to', claimed.email, err.message);
+      results.errors.push({ userId: String(claimed._id), error: err.message });
+      // Give the digest back so the next run tries again
+      await User.updateOne(
+        { _id: claimed._id, 'reminderDigest.lastSentAt': now },
+        { $set: { 'reminderDigest.lastSentAt': previous } },
+        { timestamps: false }
+      );
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,539 @@
+// utils/reminders.js
+// Reminder engine shared by the background service (scripts/reminderService.js), the
+// one-shot script (scripts/sendReminders.js) and POST /api/reminders/check.
+// Each entry point picks a transport ({ name, send({ to, subject, html, headers }) }) and calls
+// processDueReminders; finding due notes, recipients, the email and the follow-up
+// update (next occurrence or reminderSent) all live here.
+//
+// Several workers can run at once (the service plus the notes page calling the API), so
+// each due note is claimed with an atomic findOneAndUpdate that stores a lease
+// (Note.reminderLease). Only the lease holder sends and updates the note; a worker that
+// dies mid-send leaves a lease that expires after REMINDER_LEASE_MS, and the note is
+// picked up again.
+//
+// A failed send is retried after an exponential backoff (REMINDER_RETRY_BASE_MS, doubling
+// up to REMINDER_RETRY_MAX_MS). After MAX_REMINDER_ATTEMPTS failures the reminder is
+// dead-lettered (reminderFailedAt) until the owner retries it.
+//
+// Reminder emails to recipients who can edit the note carry signed snooze links
+// (utils/linkTokens.js) that /api/notes/[id]/reminder accepts without a login. Each link
+// names its recipient and the reminder time it was sent for, so it stops working once
+// the reminder moves on or the recipient loses edit rights.
+//
+// Besides the main reminder (Note.reminderAt, sent to everyone on the note) a note can
+// carry extra one-off reminders in Note.reminders, each with its own time and audience.
+// Both kinds go through the same claim/send/retry cycle; the delivery fields just live in
+// different places (see deliveryPath). Every recipient gets their own email, and each
+// address is recorded in sentTo once it has gone out, so a retry after a partial failure
+// only emails the people who haven't had it yet.
+//
+// Times in an email are shown in the recipient's time zone (User.timezone). Addresses
+// without an account or a saved zone get server time. Recipients on a daily or weekly
+// digest (User.reminderDigest) get no email here; the reminder is queued on their account
+// and utils/reminderDigest.js sends the summary. Recipients who turned reminder emails off
+// or muted the note (User.notificationPrefs, see utils/notificationPrefs.js) get nothing;
+// the others get one-click unsubscribe links with the email.
+
+import crypto from 'crypto';
+import os from 'os';
+import nodemailer from 'nodemailer';
+import Note from '../models/Note.js';
+import User from '../models/User.js';
+import { getReminderUpdateAfterSend } from './recurrence.js';
+import { reminderEmail } from './emailTemplates.js';
+import { DEFAULT_APP_BASE } from './helpers.js';
+import { signLinkToken } from './linkTokens.js';
+import { SNOOZE_OPTIONS, getSnoozeTime } from './snooze.js';
+import { notifyReminder } from './notifications.js';
+import { getUnsubscribeLinks, unsubscribeHeaders } from './emailService.js';
+import { wantsNotification } from './notificationPrefs.js';
+import { getCollaboratorRole, roleCanEdit } from './collaborators.js';
+
+/**
+ * Sends reminders over SMTP (SMTP_* and EMAIL_FROM from the environment).
+ * Reads the environment when called, so scripts can load .env first.
+ * @param {{verify?: boolean}} [options] - verify: check the connection first (throws on failure)
+ * @returns {Promise<object|null>} - Transport, or null when SMTP isn't configured
+ */
+export async function createSmtpTransport({ verify = true } = {}) {
+  const { SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, EMAIL_FROM } = process.env;
+  if (!SMTP_HOST || !SMTP_USER || !SMTP_PASS) return null;
+
+  const port = Number(SMTP_PORT || 587);
+  const mailer = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port,
+    secure: port === 465,
+    requireTLS: port === 587, // Gmail requires TLS on port 587
+    auth: {
+      user: SMTP_USER,
+      pass: SMTP_PASS
+    }
+  });
+
+  if (verify) await mailer.verify();
+
+  return {
+    name: 'smtp',
+    send: ({ to, subject, html, headers }) => mailer.sendMail({ from: EMAIL_FROM || SMTP_USER, to, subject, html, headers })
+  };
+}
+
+// Logs instead of sending (no SMTP configured); reminders still advance
+export const logTransport = {
+  name: 'log',
+  async send({ to, subject }) {
+    console.log(`(NO SMTP) Would send to ${to.join(', ')}: ${subject}`);
+  }
+};
+
+
+// How long a claimed reminder stays with its worker before others may take it
+export const REMINDER_LEASE_MS = 5 * 60 * 1000;
+
+// Failed sends before a reminder is marked failed, and the delay between them
+export const MAX_REMINDER_ATTEMPTS = 5;
+export const REMINDER_RETRY_BASE_MS = 60 * 1000;
+export const REMINDER_RETRY_MAX_MS = 60 * 60 * 1000;
+
+// User fields the engine reads for recipients
+const RECIPIENT_FIELDS = 'name email timezone reminderDigest.mode notificationPrefs';
+
+// Delivery state of a reminder that hasn't failed yet
+export const CLEAR_REMINDER_FAILURES = {
+  reminderAttempts: 0,
+  reminderLastError: null,
+  reminderNextAttemptAt: null,
+  reminderFailedAt: null
+};
+
+// The same for an entry in note.reminders
+export const CLEAR_NOTE_REMINDER_FAILURES = {
+  attempts: 0,
+  lastError: null,
+  nextAttemptAt: null,
+  failedAt: null
+};
+
+/**
+ * Id for this worker's leases, unique per call
+ * @returns {string}
+ */
+export function createWorkerId() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Delay before retrying a reminder that has failed `attempts` times
+ * @param {number} attempts - Failed attempts so far (1 or more)
+ * @returns {number} - Milliseconds
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(REMINDER_RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), REMINDER_RETRY_MAX_MS);
+}
+
+// Where a delivery field ('sent', 'sentTo', 'attempts', 'lease', ...) lives: on the note
+// for the main reminder (sentTo -> reminderSentTo), or on the note.reminders entry
+// matched by the `slot` array filter
+function deliveryPath(reminder, field) {
+  return reminder ? `reminders.$[slot].${field}` : `reminder${field[0].toUpperCase()}${field.slice(1)}`;
+}
+
+// $set for delivery fields (named as on a note.reminders entry) of either kind of reminder
+function deliverySet(reminder, fields) {
+  return Object.fromEntries(Object.entries(fields).map(([field, value]) => [deliveryPath(reminder, field), value]));
+}
+
+// Filter and options for updates by the worker holding a reminder's lease; they match
+// nothing once the lease has passed to another worker
+function leaseUpdate(note, reminder, workerId) {
+  if (!reminder) {
+    return { filter: { _id: note._id, 'reminderLease.owner': workerId }, options: {} };
+  }
+  return {
+    filter: { _id: note._id, reminders: { $elemMatch: { _id: reminder._id, 'lease.owner': workerId } } },
+    options: { arrayFilters: [{ 'slot._id': reminder._id }] }
+  };
+}
+
+/**
+ * Query for notes whose reminder is due, not waiting out a retry backoff, not failed
+ * and not leased by a live worker. Archived and trashed notes don't fire reminders.
+ * @param {Date} now - Current time
+ * @returns {object} - Mongo filter
+ */
+export function dueReminderQuery(now = new Date()) {
+  return {
+    reminderAt: { $ne: null, $lte: now },
+    reminderSent: { $ne: true },
+    reminderFailedAt: null,
+    archived: { $ne: true },
+    deletedAt: null,
+    $and: [
+      { $or: [{ reminderNextAttemptAt: null }, { reminderNextAttemptAt: { $lte: now } }] },
+      { $or: [{ reminderLease: null }, { 'reminderLease.expiresAt': { $lte: now } }] }
+    ]
+  };
+}
+
+/**
+ * The same rules as dueReminderQuery for one entry in note.reminders (use in $elemMatch)
+ * @param {Date} now - Current time
+ * @returns {object} - Mongo filter for the entry
+ */
+export function dueNoteReminderMatch(now = new Date()) {
+  return {
+    at: { $lte: now },
+    sent: { $ne: true },
+    failedAt: null,
+    $and: [
+      { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] },
+      { $or: [{ lease: null }, { 'lease.expiresAt': { $lte: now } }] }
+    ]
+  };
+}
+
+/**
+ * Atomically claims the next due reminder for `workerId`: a note's main reminder first,
+ * then entries in note.reminders
+ * @param {string} workerId - Lease owner
+ * @param {object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {Array} [options.exclude] - Note ids whose main reminder was handled in this run
+ * @param {Array} [options.excludeReminders] - note.reminders ids handled in this run
+ * @returns {Promise<{note: object, reminder: object|null}|null>} - Claimed note (owner populated)
+ *   and entry (null for the main reminder), or null when none are due
+ */
+export async function claimDueReminder(workerId, { now = new Date(), exclude = [], excludeReminders = [] } = {}) {
+  const lease = { owner: workerId, expiresAt: new Date(now.getTime() + REMINDER_LEASE_MS) };
+
+  const note = await Note.findOneAndUpdate(
+    { ...dueReminderQuery(now), _id: { $nin: exclude } },
+    { $set: { reminderLease: lease } },
+    { new: true, sort: { reminderAt: 1 }, timestamps: false }
+  ).populate('owner', RECIPIENT_FIELDS);
+  if (note) return { note, reminder: null };
+
+  const withReminder = await Note.findOneAndUpdate(
+    {
+      archived: { $ne: true },
+      deletedAt: null,
+      reminders: { $elemMatch: { ...dueNoteReminderMatch(now), _id: { $nin: excludeReminders } } }
+    },
+    { $set: { 'reminders.$.lease': lease } },
+    { new: true, timestamps: false }
+  ).populate('owner', RECIPIENT_FIELDS);
+  if (!withReminder) return null;
+
+  const reminder = withReminder.reminders.find(r =>
+    r.lease && r.lease.owner === workerId && r.lease.expiresAt.getTime() === lease.expiresAt.getTime()
+  );
+  return reminder ? { note: withReminder, reminder } : null;
+}
+
+/**
+ * Records a failed send on a claimed reminder and gives it back: it is retried after the
+ * backoff delay, or marked failed once MAX_REMINDER_ATTEMPTS is reached
+ * @param {object} note - Claimed note
+ * @param {object|null} reminder - Claimed note.reminders entry, or null for the main reminder
+ * @param {string} workerId - Lease owner
+ * @param {Error} err - Why the send failed
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} - Whether the reminder is now failed
+ */
+export async function recordReminderFailure(note, reminder, workerId, err, now = new Date()) {
+  const attempts = ((reminder ? reminder.attempts : note.reminderAttempts) || 0) + 1;
+  const failed = attempts >= MAX_REMINDER_ATTEMPTS;
+  const { filter, options } = leaseUpdate(note, reminder, workerId);
+
+  await Note.updateOne(
+    filter,
+    {
+      $set: deliverySet(reminder, {
+        attempts,
+        lastError: String(err?.message || err).slice(0, 500),
+        nextAttemptAt: failed ? null : new Date(now.getTime() + getRetryDelay(attempts)),
+        failedAt: failed ? now : null,
+        lease: null
+      })
+    },
+    { ...options, timestamps: false }
+  );
+  return failed;
+}
+
+/**
+ * Who gets a reminder, each address once (compared case-insensitively, first spelling
+ * kept). The main reminder goes to the owner and every collaborator; an entry in
+ * note.reminders goes to its audience, and only to people still on the note.
+ * @param {object} note - Note with owner populated
+ * @param {object|null} [reminder] - note.reminders entry, or null for the main reminder
+ * @returns {string[]} - Email addresses
+ */
+export function getReminderRecipients(note, reminder = null) {
+  const recipients = new Map();
+  const add = (email) => {
+    if (!email || typeof email !== 'string') return;
+    const trimmed = email.trim();
+    const key = trimmed.toLowerCase();
+    if (trimmed && !recipients.has(key)) recipients.set(key, trimmed);
+  };
+
+  add(note.owner?.email);
+  (note.collaborators || []).forEach(add);
+
+  const everyone = Array.from(recipients.values());
+  if (!reminder || reminder.audience === 'everyone') return everyone;
+
+  const chosen = reminder.audience === 'owner'
+    ? [note.owner?.email]
+    : reminder.recipients || [];
+  const keys = new Set(chosen.filter(Boolean).map(email => email.trim().toLowerCase()));
+  return everyone.filter(email => keys.has(email.toLowerCase()));
+}
+
+function recipientSettings(user, note) {
+  return {
+    userId: user._id,
+    timeZone: user.timezone || null,
+    digest: user.reminderDigest?.mode || 'off',
+    email: wantsNotification(user, 'reminder', 'email', note._id)
+  };
+}
+
+/**
+ * Looks up each recipient's reminder settings (time zone, digest mode and whether they
+ * want reminder emails for this note)
+ * @param {object} note - Note with owner populated (RECIPIENT_FIELDS)
+ * @param {string[]} recipients - Email addresses
+ * @returns {Promise<Map<string, {userId: string, timeZone: string|null, digest: string, email: boolean}>>} -
+ *   Lowercased address -> settings (missing for addresses without an account)
+ */
+export async function getRecipientSettings(note, recipients) {
+  const settings = new Map();
+  if (note.owner?.email) settings.set(note.owner.email.toLowerCase(), recipientSettings(note.owner, note));
+
+  const unknown = recipients.map(email => email.toLowerCase()).filter(email => !settings.has(email));
+  if (unknown.length) {
+    const users = await User.find({ email: { $in: unknown } }).select(RECIPIENT_FIELDS).lean();
+    users.forEach(user => settings.set(user.email, recipientSettings(user, note)));
+  }
+  return settings;
+}
+
+/**
+ * Queues a reminder for a recipient's next digest instead of emailing it now
+ * @param {string} email - Recipient (has an account on a digest)
+ * @param {object} note
+ * @param {object|null} reminder - note.reminders entry, or null for the main reminder
+ * @param {Date} now - Current time
+ */
+export function queueForDigest(email, note, reminder, now = new Date()) {
+  return User.updateOne(
+    { email: email.toLowerCase() },
+    {
+      $push: {
+        'reminderDigest.queue': {
+          note: note._id,
+          reminder: reminder ? reminder._id : null,
+          at: reminder ? reminder.at : note.reminderAt,
+          queuedAt: now
+        }
+      }
+    }
+  );
+}
+
+/**
+ * Link to the note used in reminder emails
+ * @param {object} note
+ * @returns {string}
+ */
+export function getNoteUrl(note) {
+  return `${process.env.APP_BASE || DEFAULT_APP_BASE}/notes/${note._id}`;
+}
+
+/**
+ * Whether a reminder recipient may snooze it: the owner or an editor of the note
+ * @param {object} note - Note with owner populated (email)
+ * @param {string} email - Recipient
+ * @returns {boolean}
+ */
+export function recipientCanSnooze(note, email) {
+  if (!email) return false;
+  if (note.owner?.email && note.owner.email.toLowerCase() === email.toLowerCase()) return true;
+  return roleCanEdit(getCollaboratorRole(note, email));
+}
+
+/**
+ * Snooze links for one recipient's reminder email, one per snooze option. Each opens a
+ * confirmation page; the token names the recipient and the reminder time it is for.
+ * @param {object} note
+ * @param {string} email - Recipient (see recipientCanSnooze)
+ * @param {string|null} [timeZone] - Recipient's zone, for "tomorrow morning" and "next week"
+ * @param {object|null} [reminder] - note.reminders entry the email is for (null for the main reminder)
+ * @returns {Array<{label: string, url: string}>}
+ */
+export function getSnoozeLinks(note, email, timeZone = null, reminder = null) {
+  const base = process.env.APP_BASE || DEFAULT_APP_BASE;
+  const at = reminder ? reminder.at : note.reminderAt;
+  const claims = { note: String(note._id), email: email.toLowerCase(), at: new Date(at).toISOString(), tz: timeZone };
+  if (reminder) claims.reminder = String(reminder._id);
+
+  return SNOOZE_OPTIONS.map(option => ({
+    label: option.label,
+    url: `${base}/api/notes/${note._id}/reminder?token=${encodeURIComponent(
+      signLinkToken('snooze', { ...claims, option: option.id })
+    )}`
+  }));
+}
+
+/**
+ * Pushes a reminder back and clears its sent/failed state. Call save() after.
+ * @param {object} note - Note document
+ * @param {string} option - Snooze option id (see utils/snooze.js)
+ * @param {Date} now - Current time
+ * @param {string|null} [timeZone] - Zone of the person snoozing
+ * @param {object|null} [reminder] - note.reminders entry to snooze (null for the main reminder)
+ * @returns {Date|null} - New reminder time, or null for an unknown option
+ */
+export function snoozeReminder(note, option, now = new Date(), timeZone = null, reminder = null) {
+  const at = getSnoozeTime(option, now, timeZone);
+  if (!at) return null;
+  if (reminder) {
+    reminder.set({ ...CLEAR_NOTE_REMINDER_FAILURES, at, sent: false, sentTo: [], lease: null });
+  } else {
+    note.set({ ...CLEAR_REMINDER_FAILURES, reminderAt: at, reminderSent: false, reminderSentTo: [], reminderLease: null });
+  }
+  return at;
+}
+
+/**
+ * Records that one recipient of a claimed reminder has been emailed
+ * @param {object} note - Claimed note
+ * @param {object|null} reminder - Claimed note.reminders entry, or null for the main reminder
+ * @param {string} workerId - Lease owner
+ * @param {string} email - Address the reminder went to
+ */
+export function markRecipientSent(note, reminder, workerId, email) {
+  const { filter, options } = leaseUpdate(note, reminder, workerId);
+  return Note.updateOne(
+    filter,
+    { $addToSet: { [deliveryPath(reminder, 'sentTo')]: email.toLowerCase() } },
+    { ...options, timestamps: false }
+  );
+}
+
+/**
+ * Moves a claimed reminder past its send (next occurrence or reminderSent for the main
+ * reminder, sent for an entry in note.reminders) and drops the lease. Does nothing if the
+ * lease was lost to another worker.
+ * @param {object} note - Claimed note
+ * @param {object|null} reminder - Claimed note.reminders entry, or null for the main reminder
+ * @param {string} workerId - Lease owner
+ * @param {Date} now - Current time
+ */
+export function markReminderSent(note, reminder, workerId, now = new Date()) {
+  const { filter, options } = leaseUpdate(note, reminder, workerId);
+  const update = reminder
+    ? deliverySet(reminder, { ...CLEAR_NOTE_REMINDER_FAILURES, sent: true, lease: null })
+    : { ...getReminderUpdateAfterSend(note, now), ...CLEAR_REMINDER_FAILURES, reminderSentTo: [], reminderLease: null };
+  return Note.updateOne(filter, { $set: update }, { ...options, timestamps: false });
+}
+
+/**
+ * Sends every due reminder through `transport`, claiming each one first so no other
+ * worker sends it too. Each recipient gets their own email; a failed send is scheduled for
+ * a retry (or marked failed after the last attempt) and the retry skips recipients already
+ * emailed. Recipients on a digest get the reminder queued instead, and recipients with
+ * reminder emails off (or the note muted) get no email. A reminder with no recipients is
+ * marked sent to avoid a loop.
+ * @param {object} params
+ * @param {{name: string, send: Function}} params.transport - Where emails go
+ * @param {Date} [params.now] - Current time
+ * @param {string} [params.workerId] - Lease owner (defaults to a new id)
+ * @returns {Promise<{checked: number, sent: number, skipped: number, failed: number, queued: number, errors: Array<{noteId: string, reminderId?: string, error: string}>}>}
+ */
+export async function processDueReminders({ transport, now = new Date(), workerId = createWorkerId() }) {
+  const results = { checked: 0, sent: 0, skipped: 0, failed: 0, queued: 0, errors: [] };
+  const handledNotes = [];
+  const handledReminders = [];
+
+  let claim;
+  while ((claim = await claimDueReminder(workerId, { now, exclude: handledNotes, excludeReminders: handledReminders }))) {
+    const { note, reminder } = claim;
+    if (reminder) handledReminders.push(reminder._id);
+    else handledNotes.push(note._id);
+    results.checked++;
+
+    const label = reminder ? `reminder ${reminder._id} of note ${note._id}` : `reminder for note ${note._id}`;
+    const recipients = getReminderRecipients(note, reminder);
+    if (!recipients.length) {
+      console.warn(`No recipient for ${label} - marking as sent to avoid loop`);
+      await markReminderSent(note, reminder, workerId, now);
+      results.skipped++;
+      continue;
+    }
+
+    const alreadySent = new Set((reminder ? reminder.sentTo : note.reminderSentTo) || []);
+    const pending = recipients.filter(email => !alreadySent.has(email.toLowerCase()));
+
+    const queued = [];
+    const optedOut = [];
+    // Recorded and notified in-app one recipient at a time, so a later failure doesn't
+    // cost the people already emailed their notification
+    const delivered = async email => {
+      await markRecipientSent(note, reminder, workerId, email);
+      await notifyReminder(note, [email]);
+    };
+    try {
+      const settings = await getRecipientSettings(note, pending);
+      for (const email of pending) {
+        const { userId = null, timeZone = null, digest = 'off', email: wantsEmail = true } = settings.get(email.toLowerCase()) || {};
+        if (!wantsEmail) {
+          await delivered(email);
+          optedOut.push(email);
+          continue;
+        }
+        if (digest !== 'off') {
+          await queueForDigest(email, note, reminder, now);
+          await delivered(email);
+          queued.push(email);
+          results.queued++;
+          continue;
+        }
+
+        const unsubscribeLinks = userId ? getUnsubscribeLinks({ userId, event: 'reminder', note }) : [];
+        const { subject, html } = reminderEmail({
+          note,
+          noteUrl: getNoteUrl(note),
+          snoozeLinks: recipientCanSnooze(note, email) ? getSnoozeLinks(note, email, timeZone, reminder) : [],
+          timeZone,
+          reminderAt: reminder ? reminder.at : note.reminderAt,
+          unsubscribeLinks
+        });
+        await transport.send({ to: [email], subject, html, headers: unsubscribeHeaders(unsubscribeLinks) });
+        await delivered(email);
+      }
+    } catch (err) {
+      console.error(`Error sending ${label}:`, err.message);
+      results.errors.push({
+        noteId: note._id.toString(),
+        ...(reminder && { reminderId: reminder._id.toString() }),
+        error: err.message
+      });
+      if (await recordReminderFailure(note, reminder, workerId, err, now)) {
+        console.error(`Giving up on ${label} after ${MAX_REMINDER_ATTEMPTS} attempts`);
+        results.failed++;
+      }
+      continue;
+    }
+
+    const emailed = pending.filter(email => !queued.includes(email) && !optedOut.includes(email));
+    console.log(`Sent ${label} -> ${emailed.join(', ') || '(no emails)'}${queued.length ? `, queued for digest: ${queued.join(', ')}` : ''}${optedOut.length ? `, emails off: ${optedOut.join(', ')}` : ''}`);
+    await markReminderSent(note, reminder, workerId, now);
+    results.sent++;
+  }
+
+  return results;
+}
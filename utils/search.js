@@ -0,0 +1,92 @@
+// utils/search.js
+// Helpers for server-side note search (term parsing and snippet highlighting)
+
+/**
+ * Escape special regex characters in a string
+ * @param {string} str - String to escape
+ * @returns {string} - Escaped string safe for use in RegExp
+ */
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Splits a search query into the terms worth highlighting
+ * Negated terms (-word) are dropped since they never appear in results
+ * @param {string} query - Raw search query
+ * @returns {string[]} - Unique lowercase terms
+ */
+export function getSearchTerms(query) {
+  if (!query || typeof query !== 'string') return [];
+
+  const terms = query
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.toLowerCase());
+
+  return Array.from(new Set(terms));
+}
+
+/**
+ * Finds every place a term matches in the text
+ * Terms match as word prefixes so "note" also highlights "notes"
+ * @param {string} text - Text to search in
+ * @param {string[]} terms - Terms from getSearchTerms
+ * @returns {{start: number, end: number}[]} - Sorted, non-overlapping ranges
+ */
+export function findHighlights(text, terms) {
+  if (!text || !terms || terms.length === 0) return [];
+
+  const pattern = new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})\\w*`, 'gi');
+  const ranges = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    ranges.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  return ranges;
+}
+
+/**
+ * Builds a short snippet around the first match, with highlight ranges
+ * relative to the snippet text (the client wraps them in <mark>)
+ * @param {string} text - Full note content
+ * @param {string[]} terms - Terms from getSearchTerms
+ * @param {number} maxLength - Maximum snippet length
+ * @returns {{text: string, highlights: {start: number, end: number}[]}} - Snippet
+ */
+export function buildSnippet(text, terms, maxLength = 200) {
+  if (!text) return { text: '', highlights: [] };
+
+  const all = findHighlights(text, terms);
+  let start = 0;
+
+  if (all.length > 0 && all[0].start > maxLength / 3) {
+    // Start a little before the first match, on a word boundary if possible
+    start = all[0].start - Math.floor(maxLength / 3);
+    const space = text.lastIndexOf(' ', all[0].start - 1);
+    if (space > start && space < all[0].start) start = space + 1;
+  }
+
+  const end = Math.min(text.length, start + maxLength);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  const highlights = all
+    .filter(range => range.start >= start && range.end <= end)
+    .map(range => ({
+      start: range.start - start + prefix.length,
+      end: range.end - start + prefix.length
+    }));
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights
+  };
+}
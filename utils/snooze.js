@@ -0,0 +1,60 @@
+// utils/snooze.js
+// Snooze choices for reminders, shared by NoteCard, the reminder email links and
+// /api/notes/[id]/reminder. "Tomorrow morning" and "next week" are computed in the
+// user's time zone when one is known, otherwise in the server's local time.
+
+import { isValidTimeZone, getZonedParts, zonedTimeToDate } from './helpers.js';
+
+// Hour used for "tomorrow morning" and "next week"
+export const SNOOZE_MORNING_HOUR = 8;
+
+export const SNOOZE_OPTIONS = [
+  { id: '10m', label: '10 minutes' },
+  { id: '1h', label: '1 hour' },
+  { id: 'tomorrow', label: 'Tomorrow morning' },
+  { id: 'next-week', label: 'Next week' }
+];
+
+/**
+ * @param {string} option - Snooze option id
+ * @returns {boolean}
+ */
+export function isSnoozeOption(option) {
+  return SNOOZE_OPTIONS.some(o => o.id === option);
+}
+
+// Days from `weekday` (0 = Sunday) to the next Monday, a full week on Mondays
+function daysUntilNextMonday(weekday) {
+  return (8 - weekday) % 7 || 7;
+}
+
+/**
+ * When a reminder snoozed with `option` should fire again
+ * @param {string} option - '10m', '1h', 'tomorrow' (8:00 tomorrow) or 'next-week' (8:00 next Monday)
+ * @param {Date} now - Current time
+ * @param {string} [timeZone] - IANA zone the morning times are in
+ * @returns {Date|null} - New reminder time, or null for an unknown option
+ */
+export function getSnoozeTime(option, now = new Date(), timeZone = null) {
+  switch (option) {
+    case '10m':
+      return new Date(now.getTime() + 10 * 60 * 1000);
+    case '1h':
+      return new Date(now.getTime() + 60 * 60 * 1000);
+    case 'tomorrow':
+    case 'next-week': {
+      if (timeZone && isValidTimeZone(timeZone)) {
+        const today = getZonedParts(now, timeZone);
+        const weekday = new Date(Date.UTC(today.year, today.month - 1, today.day)).getUTCDay();
+        const days = option === 'tomorrow' ? 1 : daysUntilNextMonday(weekday);
+        return zonedTimeToDate({ ...today, day: today.day + days, hour: SNOOZE_MORNING_HOUR, minute: 0 }, timeZone);
+      }
+      const date = new Date(now);
+      date.setDate(date.getDate() + (option === 'tomorrow' ? 1 : daysUntilNextMonday(date.getDay())));
+      date.setHours(SNOOZE_MORNING_HOUR, 0, 0, 0);
+      return date;
+    }
+    default:
+      return null;
+  }
+}
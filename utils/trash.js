@@ -0,0 +1,60 @@
+// utils/trash.js
+// Soft delete helpers shared by the notes API and the background purge job
+
+import Note from '../models/Note.js';
+import NoteVersion from '../models/NoteVersion.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+
+// How long a note stays in trash before it is permanently removed
+export const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Date after which a trashed note gets purged
+ * @param {Date|string} deletedAt - When the note was moved to trash
+ * @returns {Date} - Purge date
+ */
+export function getPurgeDate(deletedAt) {
+  const date = new Date(deletedAt);
+  date.setDate(date.getDate() + TRASH_RETENTION_DAYS);
+  return date;
+}
+
+/**
+ * Permanently removes notes that have been in trash longer than the retention period.
+ * A note restored while the purge runs is kept.
+ * @param {Date} now - Current time (injectable for scripts)
+ * @returns {Promise<number>} - Number of notes purged
+ */
+export async function purgeExpiredTrash(now = new Date()) {
+  const cutoff = new Date(now);
+  cutoff.setDate(cutoff.getDate() - TRASH_RETENTION_DAYS);
+  const expiry = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  const expired = await Note.find(expiry).select('_id').lean();
+  if (expired.length === 0) return 0;
+
+  const ids = expired.map(note => note._id);
+  const result = await Note.deleteMany({ _id: { $in: ids }, ...expiry });
+  if (!result.deletedCount) return 0;
+
+  // Whatever is still there was restored in between
+  const kept = new Set((await Note.find({ _id: { $in: ids } }).select('_id').lean()).map(note => String(note._id)));
+  const removed = ids.filter(id => !kept.has(String(id)));
+
+  // Version history goes with the note
+  await NoteVersion.deleteMany({ note: { $in: removed } });
+  // So do its reminders waiting for a digest
+  await User.updateMany(
+    { 'reminderDigest.queue.note': { $in: removed } },
+    { $pull: { 'reminderDigest.queue': { note: { $in: removed } } } },
+    { timestamps: false }
+  );
+  await Notification.deleteMany({ note: { $in: removed } });
+  await User.updateMany(
+    { 'notificationPrefs.mutedNotes': { $in: removed } },
+    { $pullAll: { 'notificationPrefs.mutedNotes': removed } },
+    { timestamps: false }
+  );
+  return result.deletedCount;
+}
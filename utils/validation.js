@@ -1,6 +1,12 @@
 // utils/validation.js
 // Comprehensive validation utilities for the application
 
+import { NOTE_TYPES, MAX_CHECKLIST_ITEMS, MAX_CHECKLIST_ITEM_LENGTH } from './checklist';
+import { normalizeRRule } from './recurrence';
+import { COLLABORATOR_ROLES } from './collaborators';
+import { isValidTimeZone } from './helpers';
+import { NOTIFICATION_CHANNELS, isNotificationChannel } from './notificationPrefs';
+
 /**
  * Validates email format
  * @param {string} email - Email to validate
@@ -187,6 +193,39 @@ export function validateCollaborators(collaborators) {
   };
 }
 
+/**
+ * Validates collaborator role changes
+ * @param {object} roles - Map of collaborator email -> role
+ * @returns {{valid: boolean, errors: string[], roles: object|null}} - Validation result with lowercased emails
+ */
+export function validateCollaboratorRoles(roles) {
+  const errors = [];
+
+  if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+    errors.push('Collaborator roles must be an object of email -> role');
+    return { valid: false, errors, roles: null };
+  }
+
+  const sanitizedRoles = {};
+  Object.keys(roles).forEach(email => {
+    if (!isValidEmail(email)) {
+      errors.push(`Invalid email format: ${email}`);
+      return;
+    }
+    if (!COLLABORATOR_ROLES.includes(roles[email])) {
+      errors.push(`Role for ${email} must be one of: ${COLLABORATOR_ROLES.join(', ')}`);
+      return;
+    }
+    sanitizedRoles[sanitizeEmail(email)] = roles[email];
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    roles: errors.length === 0 ? sanitizedRoles : null
+  };
+}
+
 /**
  * Validates reminder date
  * @param {Date|string|null} reminderAt - Reminder date
@@ -225,6 +264,118 @@ export function validateReminderDate(reminderAt) {
   };
 }
 
+/**
+ * Validates a reminder recurrence rule (RRULE subset, see utils/recurrence.js)
+ * @param {string|null} recurrence - RRULE string, or null/empty for no recurrence
+ * @returns {{valid: boolean, errors: string[], rule: string|null}} - Validation result with the normalized rule
+ */
+export function validateRecurrenceRule(recurrence) {
+  if (recurrence === null || recurrence === '') {
+    return { valid: true, errors: [], rule: null };
+  }
+
+  if (typeof recurrence !== 'string' || recurrence.length > 500) {
+    return { valid: false, errors: ['Recurrence must be an RRULE string under 500 characters'], rule: null };
+  }
+
+  try {
+    return { valid: true, errors: [], rule: normalizeRRule(recurrence) };
+  } catch (err) {
+    return { valid: false, errors: [`Invalid recurrence: ${err.message}`], rule: null };
+  }
+}
+
+// Who an extra reminder (Note.reminders) goes to, and how many a note can carry
+export const REMINDER_AUDIENCES = ['everyone', 'owner', 'selected'];
+export const MAX_NOTE_REMINDERS = 20;
+
+/**
+ * Validates an extra reminder ({ at, audience, recipients }). Whether the recipients are
+ * on the note (and whether 'selected' has any) is up to the caller.
+ * @param {object} data - Reminder data
+ * @param {{partial?: boolean}} options - When partial, missing fields are skipped (for updates)
+ * @returns {{valid: boolean, errors: string[], sanitized: object|null}} - Validation result
+ */
+export function validateNoteReminder(data, { partial = false } = {}) {
+  const errors = [];
+  const sanitized = {};
+
+  if (data.at !== undefined || !partial) {
+    if (!data.at) {
+      errors.push('Reminder time is required');
+    } else {
+      const dateValidation = validateReminderDate(data.at);
+      if (!dateValidation.valid) {
+        errors.push(...dateValidation.errors);
+      } else {
+        sanitized.at = new Date(data.at);
+      }
+    }
+  }
+
+  if (data.audience !== undefined || !partial) {
+    const audience = data.audience === undefined ? 'everyone' : data.audience;
+    if (!REMINDER_AUDIENCES.includes(audience)) {
+      errors.push('Invalid reminder audience');
+    } else {
+      sanitized.audience = audience;
+    }
+  }
+
+  if (data.recipients !== undefined) {
+    if (!Array.isArray(data.recipients)) {
+      errors.push('Recipients must be an array');
+    } else if (data.recipients.some(email => typeof email !== 'string' || !isValidEmail(email))) {
+      errors.push('Recipients must be valid email addresses');
+    } else {
+      sanitized.recipients = Array.from(new Set(data.recipients.map(sanitizeEmail)));
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: errors.length === 0 ? sanitized : null
+  };
+}
+
+/**
+ * Validates notification toggles ({ email: { share: false }, inApp: { edit: true }, ... })
+ * @param {object} prefs - Toggles to change, by channel and event
+ * @returns {{valid: boolean, errors: string[], sanitized: object|null}} - Validation result; sanitized
+ *   maps User paths (e.g. 'notificationPrefs.email.share') to booleans
+ */
+export function validateNotificationPrefs(prefs) {
+  const errors = [];
+  const sanitized = {};
+
+  if (!prefs || typeof prefs !== 'object' || Array.isArray(prefs)) {
+    return { valid: false, errors: ['Notification preferences must be an object'], sanitized: null };
+  }
+
+  Object.entries(prefs).forEach(([channel, events]) => {
+    if (!NOTIFICATION_CHANNELS.includes(channel) || !events || typeof events !== 'object') {
+      errors.push(`Unknown notification channel: ${channel}`);
+      return;
+    }
+    Object.entries(events).forEach(([event, enabled]) => {
+      if (!isNotificationChannel(event, channel)) {
+        errors.push(`Unknown ${channel} notification: ${event}`);
+      } else if (typeof enabled !== 'boolean') {
+        errors.push(`${channel}.${event} must be true or false`);
+      } else {
+        sanitized[`notificationPrefs.${channel}.${event}`] = enabled;
+      }
+    });
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: errors.length === 0 ? sanitized : null
+  };
+}
+
 /**
  * Sanitizes string input to prevent XSS
  * @param {string} str - String to sanitize
@@ -279,6 +430,11 @@ export function validateRegistration(data) {
     sanitized.password = data.password; // Don't trim password, keep as is
   }
 
+  // Time zone is optional (sent by the browser); an unknown one is dropped, not an error
+  if (isValidTimeZone(data.timezone)) {
+    sanitized.timezone = data.timezone;
+  }
+
   return {
     valid: errors.length === 0,
     errors,
@@ -351,6 +507,16 @@ export function validateNote(data) {
     }
   }
 
+  // Validate collaborator roles
+  if (data.collaboratorRoles !== undefined) {
+    const rolesValidation = validateCollaboratorRoles(data.collaboratorRoles);
+    if (!rolesValidation.valid) {
+      errors.push(...rolesValidation.errors);
+    } else {
+      sanitized.collaboratorRoles = rolesValidation.roles;
+    }
+  }
+
   // Validate reminder date
   if (data.reminderAt !== undefined) {
     const reminderValidation = validateReminderDate(data.reminderAt);
@@ -361,6 +527,170 @@ export function validateNote(data) {
     }
   }
 
+  // Validate recurrence rule (null/empty clears it)
+  if (data.recurrence !== undefined) {
+    const recurrenceValidation = validateRecurrenceRule(data.recurrence);
+    if (!recurrenceValidation.valid) {
+      errors.push(...recurrenceValidation.errors);
+    } else {
+      sanitized.recurrence = recurrenceValidation.rule;
+    }
+  }
+
+  // Validate labels
+  if (data.labels !== undefined) {
+    const labelsValidation = validateLabelIds(data.labels);
+    if (!labelsValidation.valid) {
+      errors.push(...labelsValidation.errors);
+    } else {
+      sanitized.labels = Array.from(new Set(data.labels.map(id => String(id))));
+    }
+  }
+
+  // Validate note type
+  if (data.type !== undefined) {
+    if (!NOTE_TYPES.includes(data.type)) {
+      errors.push(`Note type must be one of: ${NOTE_TYPES.join(', ')}`);
+    } else {
+      sanitized.type = data.type;
+    }
+  }
+
+  // Validate checklist items
+  if (data.items !== undefined) {
+    const itemsValidation = validateChecklistItems(data.items);
+    if (!itemsValidation.valid) {
+      errors.push(...itemsValidation.errors);
+    } else {
+      sanitized.items = itemsValidation.sanitized;
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: errors.length === 0 ? sanitized : null
+  };
+}
+
+/**
+ * Validates label creation/update data
+ * @param {object} data - Label data ({ name, color })
+ * @param {{partial?: boolean}} options - When partial, missing fields are skipped (for updates)
+ * @returns {{valid: boolean, errors: string[], sanitized: object|null}} - Validation result
+ */
+export function validateLabel(data, { partial = false } = {}) {
+  const errors = [];
+  const sanitized = {};
+  const allowedColors = ['default', 'red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink', 'gray'];
+
+  if (data.name !== undefined || !partial) {
+    if (!data.name || typeof data.name !== 'string' || !sanitizeString(data.name)) {
+      errors.push('Label name is required');
+    } else if (data.name.trim().length > 50) {
+      errors.push('Label name must be less than 50 characters');
+    } else {
+      sanitized.name = sanitizeString(data.name);
+    }
+  }
+
+  if (data.color !== undefined) {
+    if (!allowedColors.includes(data.color)) {
+      errors.push('Invalid label color');
+    } else {
+      sanitized.color = data.color;
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: errors.length === 0 ? sanitized : null
+  };
+}
+
+/**
+ * Validates an array of label IDs attached to a note
+ * @param {Array<string>} labels - Array of label ObjectIds
+ * @returns {{valid: boolean, errors: string[]}} - Validation result
+ */
+export function validateLabelIds(labels) {
+  const errors = [];
+
+  if (!Array.isArray(labels)) {
+    errors.push('Labels must be an array');
+    return { valid: false, errors };
+  }
+
+  if (labels.length > 20) {
+    errors.push('Cannot have more than 20 labels on a note');
+  }
+
+  labels.forEach((id, index) => {
+    if (!isValidObjectId(id)) {
+      errors.push(`Invalid label ID at position ${index + 1}`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a single checklist item's text
+ * @param {string} text - Item text
+ * @returns {{valid: boolean, errors: string[]}} - Validation result
+ */
+export function validateChecklistItemText(text) {
+  const errors = [];
+
+  if (typeof text !== 'string' || !text.trim()) {
+    errors.push('Checklist item text is required');
+  } else if (text.trim().length > MAX_CHECKLIST_ITEM_LENGTH) {
+    errors.push(`Checklist item must be less than ${MAX_CHECKLIST_ITEM_LENGTH} characters`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates and sanitizes a full list of checklist items
+ * @param {Array<{text: string, checked?: boolean}>} items - Checklist items
+ * @returns {{valid: boolean, errors: string[], sanitized: Array|null}} - Validation result
+ */
+export function validateChecklistItems(items) {
+  const errors = [];
+
+  if (!Array.isArray(items)) {
+    errors.push('Checklist items must be an array');
+    return { valid: false, errors, sanitized: null };
+  }
+
+  if (items.length > MAX_CHECKLIST_ITEMS) {
+    errors.push(`Cannot have more than ${MAX_CHECKLIST_ITEMS} checklist items`);
+  }
+
+  const sanitized = [];
+  items.forEach((item, index) => {
+    if (!item || typeof item !== 'object') {
+      errors.push(`Checklist item at position ${index + 1} must be an object`);
+      return;
+    }
+    const textValidation = validateChecklistItemText(item.text);
+    if (!textValidation.valid) {
+      errors.push(`Checklist item at position ${index + 1}: ${textValidation.errors[0]}`);
+      return;
+    }
+    const clean = { text: item.text.trim(), checked: Boolean(item.checked) };
+    // Keep existing item ids so edits don't reshuffle subdocuments
+    if (item._id && isValidObjectId(String(item._id))) clean._id = String(item._id);
+    sanitized.push(clean);
+  });
 
   return {
     valid: errors.length === 0,